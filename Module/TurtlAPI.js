@@ -1,6 +1,25 @@
 import { TurtlAPIService } from "./TurtlAPIService.js";
 import { TurtlRequestModel } from "./TurtlRequestModel.js";
 import { TurtlResponse } from "./TurtlResponse.js";
+import { TurtlTransport } from "./TurtlTransport.js";
+import { TurtlXHRTransport } from "./TurtlXHRTransport.js";
+import { TurtlFetchTransport } from "./TurtlFetchTransport.js";
+import { TurtlRetryPolicy } from "./TurtlRetryPolicy.js";
+import { TurtlPath } from "./TurtlPath.js";
+import { TurtlMessages } from "./TurtlMessages.js";
+import { TurtlResponseModel } from "./TurtlResponseModel.js";
+import { TurtlAuth } from "./TurtlAuth.js";
+import { TurtlBearerAuth } from "./TurtlBearerAuth.js";
+import { TurtlCache } from "./TurtlCache.js";
+import { TurtlBody } from "./TurtlBody.js";
+import { TurtlQuery } from "./TurtlQuery.js";
+import { TurtlOpenAPI } from "./TurtlOpenAPI.js";
+import { TurtlDefinition } from "./TurtlDefinition.js";
+import { TurtlMockServer } from "./TurtlMockServer.js";
+import { TurtlResponseAdapter } from "./TurtlResponseAdapter.js";
+import { TurtlRestAdapter } from "./TurtlRestAdapter.js";
+
+/** @typedef {import("./TurtlEndpoint.js").TurtlEndpoint} TurtlEndpoint */
 
 /**
  * TurtlAPI is a modular API client for managing services, endpoints, and request models with built-in validation.
@@ -15,42 +34,101 @@ import { TurtlResponse } from "./TurtlResponse.js";
  *
  * @param {Object} config - Configuration object.
  * @param {string} config.host - The base URL for API requests.
- * @param {Function} [config.getAuthToken=null] - Optional function to retrieve authentication token.
- * @param {boolean} [config.mock=false] - Whether to enable mock mode for responses.
+ * @param {Function} [config.getAuthToken=null] - Optional function to retrieve authentication token, sent as Bearer token when no `auth` is given.
+ * @param {TurtlAuth} [config.auth=null] - Default auth strategy for endpoints that require auth, services and endpoints can override it.
+ * @param {boolean|TurtlMockServer|Object} [config.mock=false] - Whether to enable mock mode for responses, a mock server (or its options) answers calls from in-memory collections.
+ * @param {TurtlTransport} [config.transport=null] - Transport adapter used to send requests, detected from the environment when omitted.
+ * @param {Object|boolean} [config.retry=null] - Default retry options, see TurtlRetryPolicy.
+ * @param {number} [config.timeoutMs=0] - Default timeout per attempt in milliseconds, 0 for none.
+ * @param {string} [config.validationMode="first"] - Default validation mode for request models, `first` or `all`.
+ * @param {string} [config.locale="en"] - Locale used for validation and transport messages.
+ * @param {string} [config.fallbackLocale="en"] - Locale used when a message is missing in the active locale.
+ * @param {Object} [config.messages=null] - Extra messages per locale, like `{ nl: { "validation.required": "..." } }`.
+ * @param {string} [config.responseValidation="strict"] - Default handling of responses that don't match the response model, `strict` or `lenient`.
+ * @param {TurtlCache} [config.cache=null] - Response cache, an in-memory cache when omitted.
+ * @param {TurtlResponseAdapter} [config.responseAdapter=null] - Maps raw responses into a TurtlResponse, the Turtl envelope `{ success, message, data }` when omitted. Services and endpoints can override it.
  *
  * @property {string} host - The API host URL.
  * @property {Function|null} getAuthToken - Function to retrieve authentication token.
+ * @property {TurtlAuth|null} auth - Default auth strategy.
  * @property {Map<string, TurtlAPIService>} services - Registry of API services.
  * @property {Map<string, Function>} validationRules - Registry of validation rules.
- * @property {boolean} mock - Indicates if mock mode is enabled.
+ * @property {Map<string, Object|Function>} validationRuleSchemas - JSON schema fragments of custom rules, used by `toOpenAPI`.
+ * @property {boolean|TurtlMockServer} mock - Indicates if mock mode is enabled, the mock server when one is used.
  * @property {Map<string, string>} headers - Registry of global headers.
+ * @property {TurtlTransport} transport - Transport adapter used to send requests.
+ * @property {Function[]} middleware - API wide middleware, runs before service and endpoint middleware.
+ * @property {Object|boolean|null} retry - Default retry options, service and endpoint options take priority.
+ * @property {number} timeoutMs - Default timeout per attempt in milliseconds.
+ * @property {string} validationMode - Default validation mode for request models.
+ * @property {TurtlMessages} messages - Message catalog used for validation and transport messages.
+ * @property {string} responseValidation - Default handling of responses that don't match the response model.
+ * @property {TurtlCache} cache - Response cache for endpoints with the `cache` option.
+ * @property {TurtlResponseAdapter} responseAdapter - Default response adapter.
  *
  * @description
  * - Manages API services and endpoints.
  * - Supports request model creation and validation.
- * - Provides built-in validation rules: required, email, minLength, arrayOf, instanceOf, typeOf.
- * - Handles global headers and authentication.
- * - Supports mock responses for testing.
+ * - Provides built-in validation rules: required, email, minLength, maxLength, min, max, between, pattern, oneOf, url, uuid, integer, date, dateRange, phone, sameAs, arrayOf, instanceOf, typeOf, fileType, maxFileSize, model, arrayOfModel.
+ * - Error messages support `{placeholders}` filled from the rule options and context.
+ * - Handles global headers and authentication, with pluggable auth strategies and token refresh.
+ * - Supports mock responses for testing, and a stateful in-memory mock server with latency, failures and scenarios.
+ * - Sends requests through a pluggable transport (XHR, fetch, node http or in-memory).
+ * - Runs request/response middleware at api, service and endpoint level.
+ * - Retries failed requests with backoff, configurable per api, service and endpoint.
+ * - Fills path templates (`/users/:id`, `/users/{id}`) from the request model.
+ * - Sends the request model as JSON, multipart form data, url encoded form, text or binary.
+ * - Sends model fields in the query, path, body or headers, with configurable array styles for the query string.
+ * - Resolves validation and transport messages through a localized message catalog.
+ * - Transforms and validates response data with response models.
+ * - Caches GET responses with TTL, stale-while-revalidate and tag invalidation.
+ * - Shares one request between identical concurrent calls (GET by default).
+ * - Maps other response formats (plain REST, problem+json, JSON:API) with response adapters.
+ * - Creates services, endpoints and request models from an OpenAPI 3 document, and exports them as one.
+ * - Loads and writes whole APIs as data in a versioned definition format.
  *
- * @method registerValidationRule(name, fn) Registers or overrides a validation rule.
+ * @method registerValidationRule(name, fn, options) Registers or overrides a validation rule.
  * @method getValidationRule(name) Retrieves a validation rule by name.
  * @method listValidationRules() Lists all registered validation rule names.
  * @method addService(service) Adds a new service to the API.
  * @method getService(name) Retrieves a service by name.
- * @method call(fullName, modelOrData, mockResult) Calls an endpoint with data or a request model.
+ * @method call(fullName, modelOrData, options) Calls an endpoint with data or a request model.
+ * @method static fromOpenAPI(spec, options) Creates an api from an OpenAPI 3 document.
+ * @method toOpenAPI(options) Exports the services, endpoints and models as an OpenAPI 3.1 document.
+ * @method static fromDefinition(definition, options) Creates an api from a definition.
+ * @method toDefinition() Writes the headers, models and services as a definition.
  * @method createRequest(fullName, data) Creates and validates a request model for an endpoint.
+ * @method createRequestAsync(fullName, data, options) Creates a request model and awaits async validation rules.
  * @method addHeader(name, value) Adds a global header.
  * @method getHeaders() Returns the global headers map.
+ * @method use(middleware) Adds an API wide middleware.
+ * @method setLocale(locale) Sets the locale used for messages.
+ * @method getLocale() Returns the locale used for messages.
+ * @method addMessages(locale, messages) Adds or overrides messages for a locale.
+ * @method translate(key, params) Resolves a message key (or literal message) in the active locale.
  */
 export class TurtlAPI {
+  #inflight = new Map();
+
   /**
    * Creates a new TurtlAPI instance with configuration and built-in validation rules.
    *
    * @param {Object} config - Configuration object
    * @param {string} config.host - The API host URL
    * @param {Function} [config.getAuthToken=null] - Optional function to retrieve authentication token
-   * @param {boolean} [config.mock=false] - Whether to use mock mode
-   * @param {boolean} [config.defaultMockResultmock=false] - What mock result to use in default
+   * @param {TurtlAuth} [config.auth=null] - Default auth strategy, a Bearer strategy using `getAuthToken` when omitted
+   * @param {boolean|TurtlMockServer|Object} [config.mock=false] - Whether to use mock mode, a mock server or the options of one
+   * @param {boolean} [config.defaultMockResult=false] - What mock result to use in default
+   * @param {TurtlTransport} [config.transport=null] - Transport adapter, detected from the environment when omitted
+   * @param {Object|boolean} [config.retry=null] - Default retry options, see TurtlRetryPolicy
+   * @param {number} [config.timeoutMs=0] - Default timeout per attempt in milliseconds, 0 for none
+   * @param {string} [config.validationMode="first"] - Default validation mode for request models, `first` or `all`
+   * @param {string} [config.locale="en"] - Locale used for validation and transport messages
+   * @param {string} [config.fallbackLocale="en"] - Locale used when a message is missing in the active locale
+   * @param {Object} [config.messages=null] - Extra messages per locale
+   * @param {string} [config.responseValidation="strict"] - `strict` turns a response that doesn't match the response model into a failure, `lenient` logs a warning
+   * @param {TurtlCache} [config.cache=null] - Response cache, an in-memory cache when omitted
+   * @param {TurtlResponseAdapter} [config.responseAdapter=null] - Default response adapter, the Turtl envelope when omitted
    *
    * @description
    * Initializes the TurtlAPI module with:
@@ -65,127 +143,591 @@ export class TurtlAPI {
    * - `arrayOf`: Validates array items match specified type (primitive or class instance)
    * - `instanceOf`: Validates value is instance of specified class
    * - `typeOf`: Validates value matches specified primitive type
+   * - `maxLength`: Validates maximum string or array length
+   * - `min`, `max`, `between`: Validate a numeric value against bounds
+   * - `pattern`: Validates a string against a regular expression
+   * - `oneOf`: Validates the value is one of a list of allowed values
+   * - `url`, `uuid`, `phone`: Validate common string formats
+   * - `integer`: Validates the value is a whole number
+   * - `date`, `dateRange`: Validate a date and optional bounds
+   * - `sameAs`: Validates the value equals another field
+   * - `fileType`, `maxFileSize`: Validate uploaded files by MIME type or extension and size
+   * - `model`: Validates a nested object against a registered model or inline schema
+   * - `arrayOfModel`: Validates every item of an array against a registered model or inline schema
    */
   constructor({
     host,
     getAuthToken = null,
+    auth = null,
     mock = false,
     defaultMockResult = false,
+    transport = null,
+    retry = null,
+    timeoutMs = 0,
+    validationMode = "first",
+    locale = "en",
+    fallbackLocale = "en",
+    messages = null,
+    responseValidation = "strict",
+    cache = null,
+    responseAdapter = null,
   }) {
     this.host = host;
     this.getAuthToken = getAuthToken;
     this.services = new Map();
     this.validationRules = new Map();
-    this.mock = mock;
+    this.validationRuleSchemas = new Map();
+    this.mock =
+      mock && typeof mock === "object" && !TurtlMockServer.isMockServer(mock)
+        ? new TurtlMockServer(mock)
+        : mock;
     this.defaultMockResult = defaultMockResult;
     this.headers = new Map();
     this.Models = new Map();
+    this.middleware = [];
+    this.retry = retry;
+    this.timeoutMs = timeoutMs;
+    this.validationMode = validationMode;
+    this.responseValidation = responseValidation;
+    this.cache = cache ?? new TurtlCache();
+    this.messages = new TurtlMessages({ locale, fallbackLocale });
+    for (const name in messages || {}) {
+      this.messages.addMessages(name, messages[name]);
+    }
+
+    if (transport !== null && !TurtlTransport.isTransport(transport)) {
+      throw new Error("Transport must implement a 'send(request)' method.");
+    }
+    this.transport = transport ?? TurtlAPI.#createDefaultTransport();
+
+    if (auth !== null && !TurtlAuth.isAuth(auth)) {
+      throw new Error("Auth must implement an 'authorize(request)' method.");
+    }
+    this.auth =
+      auth ??
+      (getAuthToken ? new TurtlBearerAuth({ getToken: getAuthToken }) : null);
+
+    if (
+      responseAdapter !== null &&
+      !TurtlResponseAdapter.isAdapter(responseAdapter)
+    ) {
+      throw new Error(
+        "Response adapter must implement an 'adapt(raw, context)' method."
+      );
+    }
+    this.responseAdapter = responseAdapter ?? new TurtlResponseAdapter();
 
     // Register built-in validation rules
-    this.registerValidationRule("required", (value, instance, options) => {
-      if (value === undefined || value === null || value === "") {
+    const isEmpty = (value) =>
+      value === undefined || value === null || value === "";
+    const toNumber = (value) =>
+      typeof value === "number"
+        ? value
+        : typeof value === "string" && value.trim() !== ""
+        ? Number(value)
+        : NaN;
+    const toDate = (value) => {
+      const date = value instanceof Date ? value : new Date(value);
+      return Number.isNaN(date.getTime()) ? null : date;
+    };
+    const toFiles = (value) => (Array.isArray(value) ? value : [value]);
+    const formatSize = (bytes) => {
+      const units = ["B", "KB", "MB", "GB"];
+      let size = bytes;
+      let unit = 0;
+      while (size >= 1024 && unit < units.length - 1) {
+        size /= 1024;
+        unit++;
+      }
+      return `${Math.round(size * 10) / 10} ${units[unit]}`;
+    };
+
+    this.registerValidationRule(
+      "required",
+      (value, instance, options, context) => {
+        if (isEmpty(value)) {
+          return TurtlResponse.Error(
+            instance.getErrorMessage(0, "validation.required", options, context)
+          );
+        }
+        return TurtlResponse.Success();
+      }
+    );
+    this.registerValidationRule(
+      "email",
+      (value, instance, options, context) => {
+        if (value && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) {
+          return TurtlResponse.Error(
+            instance.getErrorMessage(0, "validation.email", options, context)
+          );
+        }
+        return TurtlResponse.Success();
+      }
+    );
+
+    this.registerValidationRule(
+      "minLength",
+      (value, instance, options, context) => {
+        if (value !== undefined && typeof value === "string") {
+          if (value.length < (options.length || 0)) {
+            return TurtlResponse.Error(
+              instance.getErrorMessage(
+                0,
+                "validation.minLength",
+                options,
+                context
+              )
+            );
+          }
+        }
+        return TurtlResponse.Success();
+      }
+    );
+    this.registerValidationRule(
+      "arrayOf",
+      (value, instance, options, context) => {
+        const { type, isTypeClass = false } = options || {};
+        if (!Array.isArray(value)) {
+          return TurtlResponse.Error(
+            instance.getErrorMessage(0, "validation.array", options, context)
+          );
+        }
+        if (!type) {
+          return TurtlResponse.Error("No type specified for arrayOf rule.");
+        }
+        for (const item of value) {
+          if (isTypeClass) {
+            // Check if item is an instance of the specified class
+            if (!(item instanceof type)) {
+              return TurtlResponse.Error(
+                instance.getErrorMessage(
+                  2,
+                  "validation.arrayOf.instance",
+                  options,
+                  { ...context, actualType: typeof item }
+                )
+              );
+            }
+          } else {
+            // Check if item is of the specified type
+            if (typeof item !== type) {
+              return TurtlResponse.Error(
+                instance.getErrorMessage(
+                  3,
+                  "validation.arrayOf.type",
+                  options,
+                  { ...context, actualType: typeof item }
+                )
+              );
+            }
+          }
+        }
+        return TurtlResponse.Success();
+      }
+    );
+    this.registerValidationRule(
+      "instanceOf",
+      (value, instance, options, context) => {
+        const type = options.type || null;
+        if (!type) {
+          return TurtlResponse.Error("No type specified for InstanceOf rule.");
+        }
+        if (!(value instanceof type)) {
+          return TurtlResponse.Error(
+            instance.getErrorMessage(0, "validation.instanceOf", options, {
+              ...context,
+              actualType: typeof value,
+            })
+          );
+        }
+        return TurtlResponse.Success();
+      }
+    );
+    this.registerValidationRule(
+      "typeOf",
+      (value, instance, options, context) => {
+        const type = options.type || null;
+        if (!type) {
+          return TurtlResponse.Error("No type specified for TypeOf rule.");
+        }
+        if (typeof value !== type) {
+          return TurtlResponse.Error(
+            instance.getErrorMessage(0, "validation.typeOf", options, {
+              ...context,
+              actualType: typeof value,
+            })
+          );
+        }
+        return TurtlResponse.Success();
+      }
+    );
+    this.registerValidationRule(
+      "maxLength",
+      (value, instance, options, context) => {
+        if (
+          (typeof value === "string" || Array.isArray(value)) &&
+          value.length > (options.length ?? Infinity)
+        ) {
+          return TurtlResponse.Error(
+            instance.getErrorMessage(
+              0,
+              "validation.maxLength",
+              options,
+              context
+            )
+          );
+        }
+        return TurtlResponse.Success();
+      }
+    );
+    this.registerValidationRule("min", (value, instance, options, context) => {
+      if (isEmpty(value)) {
+        return TurtlResponse.Success();
+      }
+      const number = toNumber(value);
+      if (Number.isNaN(number)) {
         return TurtlResponse.Error(
-          instance.getErrorMessage(0, "Field is required.", options)
+          instance.getErrorMessage(1, "validation.number", options, context)
+        );
+      }
+      if (number < options.min) {
+        return TurtlResponse.Error(
+          instance.getErrorMessage(0, "validation.min", options, context)
         );
       }
       return TurtlResponse.Success();
     });
-    this.registerValidationRule("email", (value, instance, options) => {
-      if (value && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) {
+    this.registerValidationRule("max", (value, instance, options, context) => {
+      if (isEmpty(value)) {
+        return TurtlResponse.Success();
+      }
+      const number = toNumber(value);
+      if (Number.isNaN(number)) {
         return TurtlResponse.Error(
-          instance.getErrorMessage(0, "Must be a valid email.", options)
+          instance.getErrorMessage(1, "validation.number", options, context)
+        );
+      }
+      if (number > options.max) {
+        return TurtlResponse.Error(
+          instance.getErrorMessage(0, "validation.max", options, context)
         );
       }
       return TurtlResponse.Success();
     });
-
-    this.registerValidationRule("minLength", (value, instance, options) => {
-      if (value !== undefined && typeof value === "string") {
-        if (value.length < (options.length || 0)) {
+    this.registerValidationRule(
+      "between",
+      (value, instance, options, context) => {
+        if (isEmpty(value)) {
+          return TurtlResponse.Success();
+        }
+        const number = toNumber(value);
+        if (Number.isNaN(number)) {
           return TurtlResponse.Error(
-            instance.getErrorMessage(
-              0,
-              `Minimum length is ${options.length}.`,
-              options
-            )
+            instance.getErrorMessage(1, "validation.number", options, context)
+          );
+        }
+        if (number < options.min || number > options.max) {
+          return TurtlResponse.Error(
+            instance.getErrorMessage(0, "validation.between", options, context)
+          );
+        }
+        return TurtlResponse.Success();
+      }
+    );
+    this.registerValidationRule(
+      "pattern",
+      (value, instance, options, context) => {
+        if (!options.pattern) {
+          return TurtlResponse.Error("No pattern specified for pattern rule.");
+        }
+        if (isEmpty(value)) {
+          return TurtlResponse.Success();
+        }
+        const pattern =
+          options.pattern instanceof RegExp
+            ? options.pattern
+            : new RegExp(options.pattern, options.flags);
+        if (!pattern.test(String(value))) {
+          return TurtlResponse.Error(
+            instance.getErrorMessage(0, "validation.pattern", options, context)
           );
         }
+        return TurtlResponse.Success();
+      }
+    );
+    this.registerValidationRule(
+      "oneOf",
+      (value, instance, options, context) => {
+        if (isEmpty(value)) {
+          return TurtlResponse.Success();
+        }
+        if (!(options.values || []).includes(value)) {
+          return TurtlResponse.Error(
+            instance.getErrorMessage(0, "validation.oneOf", options, context)
+          );
+        }
+        return TurtlResponse.Success();
+      }
+    );
+    this.registerValidationRule("url", (value, instance, options, context) => {
+      if (isEmpty(value)) {
+        return TurtlResponse.Success();
+      }
+      const protocols = options.protocols || ["http:", "https:"];
+      let valid = false;
+      try {
+        valid = protocols.includes(new URL(String(value)).protocol);
+      } catch (e) {
+        valid = false;
+      }
+      if (!valid) {
+        return TurtlResponse.Error(
+          instance.getErrorMessage(0, "validation.url", options, context)
+        );
       }
       return TurtlResponse.Success();
     });
-    this.registerValidationRule("arrayOf", (value, instance, options) => {
-      const { type, isTypeClass = false } = options || {};
-      if (!Array.isArray(value)) {
+    this.registerValidationRule("uuid", (value, instance, options, context) => {
+      if (
+        !isEmpty(value) &&
+        !/^[0-9a-f]{8}-[0-9a-f]{4}-[1-8][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(
+          String(value)
+        )
+      ) {
         return TurtlResponse.Error(
-          instance.getErrorMessage(0, "Value must be an array.", options)
+          instance.getErrorMessage(0, "validation.uuid", options, context)
         );
       }
-      if (!type) {
-        return TurtlResponse.Error("No type specified for arrayOf rule.");
+      return TurtlResponse.Success();
+    });
+    this.registerValidationRule(
+      "integer",
+      (value, instance, options, context) => {
+        if (!isEmpty(value) && !Number.isInteger(toNumber(value))) {
+          return TurtlResponse.Error(
+            instance.getErrorMessage(0, "validation.integer", options, context)
+          );
+        }
+        return TurtlResponse.Success();
+      }
+    );
+    this.registerValidationRule("date", (value, instance, options, context) => {
+      if (!isEmpty(value) && !toDate(value)) {
+        return TurtlResponse.Error(
+          instance.getErrorMessage(0, "validation.date", options, context)
+        );
+      }
+      return TurtlResponse.Success();
+    });
+    this.registerValidationRule(
+      "dateRange",
+      (value, instance, options, context) => {
+        if (isEmpty(value)) {
+          return TurtlResponse.Success();
+        }
+        const date = toDate(value);
+        if (!date) {
+          return TurtlResponse.Error(
+            instance.getErrorMessage(0, "validation.date", options, context)
+          );
+        }
+        if (!isEmpty(options.min) && date < toDate(options.min)) {
+          return TurtlResponse.Error(
+            instance.getErrorMessage(
+              1,
+              "validation.dateRange.min",
+              options,
+              context
+            )
+          );
+        }
+        if (!isEmpty(options.max) && date > toDate(options.max)) {
+          return TurtlResponse.Error(
+            instance.getErrorMessage(
+              2,
+              "validation.dateRange.max",
+              options,
+              context
+            )
+          );
+        }
+        return TurtlResponse.Success();
       }
-      for (const item of value) {
-        if (isTypeClass) {
-          // Check if item is an instance of the specified class
-          if (!(item instanceof type)) {
+    );
+    this.registerValidationRule(
+      "phone",
+      (value, instance, options, context) => {
+        if (isEmpty(value)) {
+          return TurtlResponse.Success();
+        }
+        const phone = String(value);
+        const digits = phone.replace(/\D/g, "").length;
+        if (!/^\+?[\d\s\-().]+$/.test(phone) || digits < 7 || digits > 15) {
+          return TurtlResponse.Error(
+            instance.getErrorMessage(0, "validation.phone", options, context)
+          );
+        }
+        return TurtlResponse.Success();
+      }
+    );
+    this.registerValidationRule(
+      "sameAs",
+      (value, instance, options, context) => {
+        if (!options.field) {
+          return TurtlResponse.Error("No field specified for sameAs rule.");
+        }
+        const other = instance[options.field];
+        if (isEmpty(value) && isEmpty(other)) {
+          return TurtlResponse.Success();
+        }
+        if (value !== other) {
+          return TurtlResponse.Error(
+            instance.getErrorMessage(0, "validation.sameAs", options, {
+              ...context,
+              other: options.field,
+            })
+          );
+        }
+        return TurtlResponse.Success();
+      }
+    );
+    this.registerValidationRule(
+      "fileType",
+      (value, instance, options, context) => {
+        if (isEmpty(value) || (Array.isArray(value) && value.length === 0)) {
+          return TurtlResponse.Success();
+        }
+        const types =
+          typeof options.types === "string"
+            ? options.types.split(",").map((type) => type.trim())
+            : options.types || [];
+        for (const file of toFiles(value)) {
+          if (!TurtlBody.isFile(file)) {
             return TurtlResponse.Error(
-              instance.getErrorMessage(
-                2,
-                `Array item must be an instance of '${
-                  type.name
-                }', but got '${typeof item}'.`,
-                options
-              )
+              instance.getErrorMessage(1, "validation.file", options, context)
             );
           }
-        } else {
-          // Check if item is of the specified type
-          if (typeof item !== type) {
+          const matches = types.some((type) => {
+            const expected = type.toLowerCase();
+            if (expected.startsWith(".")) {
+              return (file.name || "").toLowerCase().endsWith(expected);
+            }
+            if (expected.endsWith("/*")) {
+              return file.type.toLowerCase().startsWith(expected.slice(0, -1));
+            }
+            return file.type.toLowerCase() === expected;
+          });
+          if (!matches) {
             return TurtlResponse.Error(
-              instance.getErrorMessage(
-                3,
-                `Array item must be of type '${type}', but got '${typeof item}'.`,
-                options
-              )
+              instance.getErrorMessage(0, "validation.fileType", options, {
+                ...context,
+                types,
+              })
             );
           }
         }
+        return TurtlResponse.Success();
       }
-      return TurtlResponse.Success();
-    });
-    this.registerValidationRule("instanceOf", (value, instance, options) => {
-      const type = options.type || null;
-      if (!type) {
-        return TurtlResponse.Error("No type specified for InstanceOf rule.");
+    );
+    this.registerValidationRule(
+      "maxFileSize",
+      (value, instance, options, context) => {
+        if (isEmpty(value) || (Array.isArray(value) && value.length === 0)) {
+          return TurtlResponse.Success();
+        }
+        for (const file of toFiles(value)) {
+          if (!TurtlBody.isFile(file)) {
+            return TurtlResponse.Error(
+              instance.getErrorMessage(1, "validation.file", options, context)
+            );
+          }
+          if (file.size > options.size) {
+            return TurtlResponse.Error(
+              instance.getErrorMessage(0, "validation.maxFileSize", options, {
+                ...context,
+                limit: formatSize(options.size),
+              })
+            );
+          }
+        }
+        return TurtlResponse.Success();
       }
-      if (!(value instanceof type)) {
-        return TurtlResponse.Error(
-          instance.getErrorMessage(
-            0,
-            `Value must be an instance of '${
-              type.name
-            }', but got '${typeof value}'.`,
-            options
-          )
+    );
+
+    this.registerValidationRule(
+      "model",
+      (value, instance, options, context) => {
+        if (value === undefined || value === null) {
+          return TurtlResponse.Success();
+        }
+        if (typeof value !== "object" || Array.isArray(value)) {
+          return TurtlResponse.Error(
+            instance.getErrorMessage(0, "validation.object", options, context)
+          );
+        }
+        return TurtlRequestModel.validateNested(
+          value,
+          instance,
+          options,
+          context
         );
       }
-      return TurtlResponse.Success();
-    });
-    this.registerValidationRule("typeOf", (value, instance, options) => {
-      const type = options.type || null;
-      if (!type) {
-        return TurtlResponse.Error("No type specified for TypeOf rule.");
-      }
-      if (typeof value !== type) {
-        return TurtlResponse.Error(
-          instance.getErrorMessage(
-            0,
-            `Value must be of type '${type}', but got '${typeof value}'.`,
-            options
-          )
+    );
+    this.registerValidationRule(
+      "arrayOfModel",
+      (value, instance, options, context) => {
+        if (value === undefined || value === null) {
+          return TurtlResponse.Success();
+        }
+        if (!Array.isArray(value)) {
+          return TurtlResponse.Error(
+            instance.getErrorMessage(0, "validation.array", options, context)
+          );
+        }
+        const results = value.map((item, index) =>
+          typeof item === "object" && item !== null && !Array.isArray(item)
+            ? TurtlRequestModel.validateNested(item, instance, options, context)
+            : TurtlResponse.Error(
+                instance.getErrorMessage(
+                  1,
+                  "validation.arrayItemObject",
+                  options,
+                  { ...context, index }
+                )
+              )
         );
+        const combine = (results) => {
+          const errors = {};
+          let message = null;
+          for (let i = 0; i < results.length; i++) {
+            const result = results[i];
+            if (result.success) {
+              continue;
+            }
+            message = message ?? result.message;
+            if (result.data?.errors) {
+              for (const path in result.data.errors) {
+                errors[`[${i}].${path}`] = result.data.errors[path];
+              }
+            } else {
+              errors[`[${i}]`] = [result.message];
+            }
+            if (instance._options?.validationMode !== "all") {
+              break;
+            }
+          }
+          if (message !== null) {
+            return new TurtlResponse(false, message, { errors });
+          }
+          return TurtlResponse.Success();
+        };
+        // Items with async rules return promises
+        if (results.some((result) => typeof result.then === "function")) {
+          return Promise.all(results).then(combine);
+        }
+        return combine(results);
       }
-      return TurtlResponse.Success();
-    });
+    );
 
     this.addModel("empty", TurtlRequestModel.createFactory({}));
   }
@@ -194,9 +736,11 @@ export class TurtlAPI {
    * Registers a new validation rule, overrides any rule that has the same name.
    *
    * @param {string} name - Name of the validation rule
-   * @param {CallableFunction} fn - Validation function, should return TurtlResponse in all cases
+   * @param {CallableFunction} fn - Validation function `(value, instance, options, context)`, should return TurtlResponse (or a Promise of one) in all cases. `context.signal` aborts when the validation is superseded
+   * @param {Object} [options={}] - rule options
+   * @param {Object|Function} [options.jsonSchema=null] - JSON schema fragment of the rule for `toOpenAPI`, or `(options) => fragment` to build it from the rule options
    */
-  registerValidationRule(name, fn) {
+  registerValidationRule(name, fn, { jsonSchema = null } = {}) {
     if (name in this.validationRules) {
       console.warn(
         `[TurtlAPI] Validation rule '${name}' is already registered. Overwriting.`
@@ -204,6 +748,11 @@ export class TurtlAPI {
     }
 
     this.validationRules.set(name, fn);
+    if (jsonSchema !== null) {
+      this.validationRuleSchemas.set(name, jsonSchema);
+    } else {
+      this.validationRuleSchemas.delete(name);
+    }
   }
 
   /**
@@ -230,62 +779,304 @@ export class TurtlAPI {
     return Array.from(this.validationRules.keys());
   }
 
-  static async #sendRequest(
-    method,
-    url,
-    body,
-    requiresAuth,
-    getAuthToken,
-    headers = {}
-  ) {
-    return new Promise((resolve) => {
-      const xhr = new XMLHttpRequest();
+  /**
+   * Sends a normalized request through the transport, retrying according to the policy
+   *
+   * @param {Object} request - normalized request object
+   * @param {TurtlRetryPolicy} retryPolicy - policy deciding which failures are sent again
+   * @param {Object} [responseOptions={}] - `{ validateStatus, responseType, responseAdapter }`, see #createResponse
+   * @returns {Promise<TurtlResponse>} - response from the transport or error response, with the number of attempts
+   */
+  async #sendRequest(request, retryPolicy, responseOptions = {}) {
+    let attempts = 0;
+    let raw;
+    while (true) {
+      attempts++;
+      raw = await this.transport.send(request);
+      if (!retryPolicy.shouldRetry(request, raw, attempts)) {
+        break;
+      }
+      const delay = retryPolicy.getDelay(attempts, raw);
+      if (!(await TurtlRetryPolicy.wait(delay, request.signal))) {
+        raw = TurtlTransport.createResponse({ error: "aborted" });
+        break;
+      }
+    }
 
-      // Handle GET requests with query parameters
-      let finalUrl = url;
-      if (
-        method.toUpperCase() === "GET" &&
-        body &&
-        Object.keys(body).length > 0
-      ) {
-        const params = new URLSearchParams(body);
-        finalUrl = `${url}?${params.toString()}`;
+    const response = await this.#createResponse(raw, responseOptions);
+    response.attempts = attempts;
+    return response;
+  }
+
+  /**
+   * Converts a raw transport response into a TurtlResponse
+   *
+   * @param {Object} raw - normalized raw response
+   * @param {Object} [options={}] - response options of the endpoint
+   * @param {Function|boolean|null} [options.validateStatus=null] - `(status) => boolean` deciding which statuses are a success, `false` accepts every status
+   * @param {string} [options.responseType="json"] - `json` runs the response adapter, other types use the body as data. Refused responses always go through the adapter
+   * @param {TurtlResponseAdapter} [options.responseAdapter] - adapter mapping the body into a response, the api adapter when omitted
+   * @returns {Promise<TurtlResponse>} - parsed response or error response, with the status, headers and raw body
+   */
+  async #createResponse(
+    raw,
+    {
+      validateStatus = null,
+      responseType = "json",
+      responseAdapter = this.responseAdapter,
+    } = {}
+  ) {
+    if (raw.error === "network") {
+      const response = TurtlResponse.Error(
+        this.translate("transport.network"),
+        TurtlResponse.ErrorType.NETWORK
+      );
+      if (raw.cause) {
+        response.error = raw.cause;
       }
+      return response;
+    }
+    if (raw.error === "timeout") {
+      return TurtlResponse.TimedOut(this.translate("transport.timeout"));
+    }
+    if (raw.error === "aborted") {
+      return TurtlResponse.Aborted(this.translate("transport.aborted"));
+    }
+
+    const accepted =
+      validateStatus === false ||
+      (typeof validateStatus === "function"
+        ? validateStatus(raw.status)
+        : raw.status >= 200 && raw.status < 300);
+    if (accepted && responseType !== "json") {
+      const response = TurtlResponse.Success("", raw.body);
+      response.status = raw.status;
+      response.headers = raw.headers;
+      response.body = raw.body;
+      return response;
+    }
+    // Servers often send JSON errors for file endpoints, read the body as text to parse them
+    const body =
+      typeof raw.body === "string"
+        ? raw.body
+        : await new Response(raw.body).text().catch(() => "");
+    const response = responseAdapter.adapt(
+      {
+        status: raw.status,
+        statusText: raw.statusText,
+        headers: raw.headers,
+        body,
+      },
+      { api: this, accepted }
+    );
+    if (!accepted) {
+      response.success = false;
+      response.message =
+        response.message ||
+        this.translate("transport.status", { status: raw.status });
+      response.errorType = TurtlResponse.getErrorTypeForStatus(raw.status);
+    }
+    response.status = raw.status;
+    response.headers = raw.headers;
+    response.body = body;
+    return response;
+  }
+
+  /**
+   * Builds the normalized transport request for an endpoint call
+   *
+   * @param {TurtlRequestModel} model - validated request model
+   * @param {TurtlAPIService} service - service of the endpoint
+   * @param {TurtlEndpoint} endpoint - endpoint being called
+   * @param {string} url - resolved endpoint url
+   * @param {string[]} [pathParams=[]] - fields used in the path, left out of the body and query
+   * @returns {Object} - normalized request
+   */
+  #createTransportRequest(model, service, endpoint, url, pathParams = []) {
+    const method = endpoint.method.toUpperCase();
+    const data = model.toDataObject();
+    for (const param of pathParams) {
+      delete data[param];
+    }
+    const fields = TurtlAPI.#splitFields(data, endpoint, method);
+    const headers = { "Content-Type": "application/json" };
+
+    const finalUrl = TurtlQuery.append(
+      url,
+      TurtlQuery.stringify(fields.query, {
+        style: endpoint.queryStyle,
+        styles: fields.styles,
+      })
+    );
+    // GET requests have no body
+    const encoded =
+      method === "GET"
+        ? { body: null, contentType: "application/json" }
+        : TurtlBody.encode(fields.body, endpoint.bodyType, endpoint.bodyField);
+    // Without a content type the transport sets it, like the multipart boundary
+    if (encoded.contentType) {
+      headers["Content-Type"] = encoded.contentType;
+    } else {
+      delete headers["Content-Type"];
+    }
+
+    // Endpoint headers override service headers, which override api headers
+    Object.assign(
+      headers,
+      Object.fromEntries(this.headers),
+      Object.fromEntries(service.headers),
+      endpoint.headers || {},
+      fields.headers
+    );
 
-      xhr.open(method, finalUrl);
-      xhr.setRequestHeader("Content-Type", "application/json");
+    return TurtlTransport.createRequest({
+      method,
+      url: finalUrl,
+      headers,
+      body: encoded.body,
+      // JSON is parsed from the text
+      responseType:
+        endpoint.responseType === "json" ? "text" : endpoint.responseType,
+    });
+  }
 
-      if (requiresAuth) {
-        const token = getAuthToken ? getAuthToken() : null;
-        if (token) {
-          xhr.setRequestHeader("Authorization", `Bearer ${token}`);
-        } else {
-          resolve(TurtlResponse.Error("Authentication required."));
-          return;
+  /**
+   * Splits the request model data over the query, body and headers using the endpoint `fieldLocations`.
+   * Fields without a location go to the query for GET and to the body otherwise.
+   *
+   * @param {Object} data - request model data without the path params
+   * @param {TurtlEndpoint} endpoint - endpoint being called
+   * @param {string} method - HTTP method in upper case
+   * @returns {{query: Object, body: Object, headers: Object, styles: Object}} - values per location and query styles per parameter
+   */
+  static #splitFields(data, endpoint, method) {
+    const fields = { query: {}, body: {}, headers: {}, styles: {} };
+    for (const field in data) {
+      const config = endpoint.fieldLocations?.[field];
+      const location =
+        (typeof config === "string" ? config : config?.in) ??
+        (method === "GET" ? "query" : "body");
+      const name = config?.name ?? field;
+      const value = data[field];
+      if (location === "query" || (location === "body" && method === "GET")) {
+        fields.query[name] = value;
+        if (config?.style) {
+          fields.styles[name] = config.style;
         }
+      } else if (location === "body") {
+        fields.body[name] = value;
+      } else if (location === "header") {
+        if (value !== undefined && value !== null) {
+          fields.headers[name] = []
+            .concat(value)
+            .map((item) =>
+              item instanceof Date ? item.toISOString() : String(item)
+            )
+            .join(", ");
+        }
+      } else if (location !== "path") {
+        throw new Error(
+          `Unknown location '${location}' for field '${field}', use one of: query, path, body, header.`
+        );
       }
+    }
+    return fields;
+  }
 
-      for (const key in headers) {
-        xhr.setRequestHeader(key, headers[key]);
-      }
+  /**
+   * Creates an api from an OpenAPI 3 document, see TurtlOpenAPI
+   *
+   * @param {Object|string} spec - the document, or its JSON text
+   * @param {Object} [options={}] - api config, plus the import options
+   * @param {string} [options.host] - api host, the first server url of the document when omitted
+   * @param {string} [options.groupBy="tag"] - `tag` for a service per tag, `path` for a service per first path segment
+   * @param {Object} [options.auth={}] - auth strategy per security scheme name
+   * @param {TurtlResponseAdapter} [options.responseAdapter] - response adapter, a TurtlRestAdapter when omitted
+   * @returns {TurtlAPI} - the api with the services, endpoints and models of the document
+   */
+  static fromOpenAPI(
+    spec,
+    {
+      groupBy = "tag",
+      auth = {},
+      responseAdapter = new TurtlRestAdapter(),
+      ...config
+    } = {}
+  ) {
+    const document = TurtlOpenAPI.parse(spec);
+    const api = new TurtlAPI({
+      ...config,
+      host: config.host ?? TurtlOpenAPI.getHost(document),
+      responseAdapter,
+    });
+    return TurtlOpenAPI.apply(api, document, {
+      groupBy,
+      auth,
+      responseAdapter,
+    });
+  }
 
-      xhr.onload = () => {
-        try {
-          const json = JSON.parse(xhr.responseText);
-          resolve(TurtlResponse.fromJson(json));
-        } catch (e) {
-          resolve(TurtlResponse.Error("Invalid response"));
-        }
-      };
+  /**
+   * Exports the services, endpoints and models as an OpenAPI 3.1 document, see TurtlOpenAPI
+   *
+   * @param {Object} [options={}] - export options
+   * @param {string} [options.title="Turtl API"] - `info.title` of the document
+   * @param {string} [options.version="1.0.0"] - `info.version` of the document
+   * @param {string} [options.description] - `info.description` of the document
+   * @returns {Object} - the document, pass it to `JSON.stringify` to save it
+   */
+  toOpenAPI(options = {}) {
+    return TurtlOpenAPI.generate(this, options);
+  }
 
-      xhr.onerror = () => resolve(TurtlResponse.Error("Network error"));
-      xhr.ontimeout = () => resolve(TurtlResponse.Error("Request timed out."));
+  /**
+   * Creates an api from a definition, see TurtlDefinition for the format
+   *
+   * @param {Object} definition - the definition
+   * @param {Object} [options={}] - api config, overrides the `api` settings of the definition
+   * @param {Object} [options.rules={}] - custom validation rules by name, registered before the definition is checked
+   * @returns {TurtlAPI} - the api with the headers, models and services of the definition
+   *
+   * @throws {Error} - If the definition has problems, listed in `error.errors`
+   */
+  static fromDefinition(definition, { rules = {}, ...config } = {}) {
+    const { headers, ...settings } = definition?.api ?? {};
+    const api = new TurtlAPI({ ...settings, ...config });
+    for (const name in rules) {
+      api.registerValidationRule(name, rules[name]);
+    }
+    return TurtlDefinition.apply(api, definition);
+  }
 
-      // Only send body for non-GET requests
-      const sendBody =
-        method.toUpperCase() !== "GET" ? JSON.stringify(body) : null;
-      xhr.send(sendBody);
-    });
+  /**
+   * Writes the headers, models and services as a definition, see TurtlDefinition for the format
+   *
+   * @returns {Object} - the definition, pass it to `JSON.stringify` to save it
+   *
+   * @throws {Error} - If a model has no schema or a rule option is a function
+   */
+  toDefinition() {
+    return TurtlDefinition.serialize(this);
+  }
+
+  /**
+   * Picks a transport for the current environment: XHR in browsers and fetch where available (Node 18+)
+   *
+   * @returns {TurtlTransport} - transport instance
+   *
+   * @throws {Error} - If there is neither, older Node versions have to pass a TurtlNodeTransport
+   */
+  static #createDefaultTransport() {
+    if (typeof XMLHttpRequest !== "undefined") {
+      return new TurtlXHRTransport();
+    }
+    if (typeof fetch === "function") {
+      return new TurtlFetchTransport();
+    }
+    // The node transport is not imported here, it would put node: modules in every browser bundle
+    throw new Error(
+      "No XMLHttpRequest or fetch available, pass a transport like 'new TurtlNodeTransport()' from 'turtl-js-api/node'."
+    );
   }
 
   /**
@@ -294,13 +1085,22 @@ export class TurtlAPI {
    * @async
    * @param {string} fullName - endpoint name in format of serviceName.Endpoint
    * @param {{}} [modelOrData={}] - an object with data or model created with `TurtleAPI.CreateRequest`
-   * @param {boolean} [mockResult=false] - whether to return a mock success or failure response (only in mock mode)
+   * @param {Object|boolean} [options={}] - call options, passing a boolean is the same as `{ mockResult }`
+   * @param {boolean} [options.mockResult] - whether to return a mock success or failure response (only in mock mode)
+   * @param {AbortSignal} [options.signal] - signal to cancel the call
+   * @param {number} [options.timeoutMs] - timeout per attempt in milliseconds, overrides endpoint and api defaults
+   * @param {Function} [options.onUploadProgress] - `({ loaded, total, percentage }) => void` called while the body is sent, `total` and `percentage` are null when unknown
+   * @param {Function} [options.onDownloadProgress] - `({ loaded, total, percentage }) => void` called while the response is received
    * @returns {TurtlResponse} - response from the endpoint or error response
    */
-  async call(fullName, modelOrData = {}, mockResult = null) {
-    if (mockResult == null) {
-      mockResult = this.defaultMockResult;
+  async call(fullName, modelOrData = {}, options = {}) {
+    if (typeof options !== "object" || options === null) {
+      options = { mockResult: options };
     }
+    options = {
+      ...options,
+      mockResult: options.mockResult ?? this.defaultMockResult,
+    };
     const data = this.#getDataFromFullName(fullName);
     if (data.Failed) {
       return data.Response;
@@ -308,29 +1108,13 @@ export class TurtlAPI {
     const service = data.Service;
     const endpoint = data.Endpoint;
 
-    for (const [key, value] of this.headers) {
-      if (key in endpoint.headers == false) {
-        endpoint.headers[key] = value;
-      }
-    }
-
     const isModel =
       modelOrData._schema != undefined &&
       typeof modelOrData._schema === "object";
-    if (isModel) {
-      return await this.#callWithModel(
-        modelOrData,
-        service,
-        endpoint,
-        mockResult
-      );
-    } else {
-      return await this.#callWithData(
-        modelOrData,
-        service,
-        endpoint,
-        mockResult
-      );
+    if (isModel) {
+      return await this.#callWithModel(modelOrData, service, endpoint, options);
+    } else {
+      return await this.#callWithData(modelOrData, service, endpoint, options);
     }
   }
 
@@ -357,40 +1141,38 @@ export class TurtlAPI {
     return this.Models.get(name);
   }
 
-  async #callWithData(data, service, endpoint, mockResult) {
-    const modelFactory = service.getModel(endpoint.modelName);
-    if (
-      modelFactory &&
-      modelFactory.create &&
-      typeof modelFactory.create === "function"
-    ) {
-      const requestModel = modelFactory.create(data, this);
+  async #callWithData(data, service, endpoint, options) {
+    const modelFactory = this.#getModelFactory(service, endpoint.modelName);
+    if (modelFactory) {
+      const requestModel = await this.#createModelAsync(
+        modelFactory,
+        data,
+        service,
+        options.signal ?? null
+      );
       return await this.#callWithModel(
         requestModel,
         service,
         endpoint,
-        mockResult
+        options
       );
-    } else {
-      const modelFactory = this.getModel(endpoint.modelName);
-      if (
-        modelFactory &&
-        modelFactory.create &&
-        typeof modelFactory.create === "function"
-      ) {
-        const requestModel = modelFactory.create(data, this);
-        return await this.#callWithModel(
-          requestModel,
-          service,
-          endpoint,
-          mockResult
-        );
-      }
     }
-    return TurtlResponse.Error("Invalid data");
+    return TurtlResponse.Error(
+      this.translate("request.invalidData"),
+      TurtlResponse.ErrorType.CONFIG
+    );
   }
 
-  async #callWithModel(requestModel, service, endpoint, mockResult) {
+  async #callWithModel(requestModel, service, endpoint, options) {
+    if (
+      requestModel.isPending &&
+      typeof requestModel.validateAsync === "function"
+    ) {
+      const result = await requestModel.validateAsync(options.signal ?? null);
+      if (result.aborted) {
+        return result;
+      }
+    }
     if (!requestModel.isValid) {
       return requestModel.validateResult;
     }
@@ -398,10 +1180,49 @@ export class TurtlAPI {
       requestModel,
       service,
       endpoint,
-      mockResult
+      options
     );
   }
 
+  /**
+   * Finds a model factory on the service, falling back to the global models
+   *
+   * @param {TurtlAPIService} service - service of the endpoint
+   * @param {string} modelName - model name
+   * @returns {Object|null} - model factory or null
+   */
+  #getModelFactory(service, modelName) {
+    for (const modelFactory of [
+      service.getModel(modelName),
+      this.getModel(modelName),
+    ]) {
+      if (modelFactory && typeof modelFactory.create === "function") {
+        return modelFactory;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Creates a request model and awaits its validation, including async rules
+   *
+   * @param {Object} modelFactory - model factory
+   * @param {Object} data - data to populate the request model
+   * @param {TurtlAPIService} service - service of the endpoint
+   * @param {AbortSignal|null} signal - signal passed to async rules
+   * @returns {Promise<TurtlRequestModel>} - the validated request model
+   */
+  async #createModelAsync(modelFactory, data, service, signal) {
+    if (typeof modelFactory.createAsync === "function") {
+      return await modelFactory.createAsync(data, this, service, signal);
+    }
+    const model = modelFactory.create(data, this, service);
+    if (model.isPending && typeof model.validateAsync === "function") {
+      await model.validateAsync(signal);
+    }
+    return model;
+  }
+
   async #createMockResponse(endpoint, service, mockResult, model, response) {
     console.groupCollapsed(
       `%cMOCK ${endpoint.method} ${service.basePath}${endpoint.path}`,
@@ -416,92 +1237,592 @@ export class TurtlAPI {
     return response;
   }
 
-  async #prepareSendRequest(model, service, endpoint, mockResult) {
-    if (this.mock) {
-      if (mockResult) {
-        // If endpoint has a mockResponse, use it
-        if (typeof endpoint.mockResponseSuccess === "function") {
-          return this.#createMockResponse(
-            endpoint,
-            service,
-            mockResult,
-            model,
-            await endpoint.mockResponseSuccess(model)
-          );
-        }
-        if (
-          endpoint.mockResponseSuccess !== undefined &&
-          endpoint.mockResponseSuccess !== null
-        ) {
-          return this.#createMockResponse(
-            endpoint,
-            service,
-            mockResult,
-            model,
-            typeof endpoint.mockResponseSuccess.then === "function"
-              ? await endpoint.mockResponseSuccess
-              : endpoint.mockResponseSuccess
-          );
-        }
-        // Default mock response
+  async #getMockResponse(model, service, endpoint, mockResult) {
+    if (mockResult) {
+      // If endpoint has a mockResponse, use it
+      if (typeof endpoint.mockResponseSuccess === "function") {
         return this.#createMockResponse(
           endpoint,
           service,
           mockResult,
           model,
-          TurtlResponse.Success("Mocked response", {})
+          await endpoint.mockResponseSuccess(model)
         );
-      } else {
-        // If endpoint has a mockResponseFailure, use it
-        if (typeof endpoint.mockResponseFailure === "function") {
-          return this.#createMockResponse(
-            endpoint,
-            service,
-            mockResult,
-            model,
-            await endpoint.mockResponseFailure(model)
-          );
-        }
-        if (
-          endpoint.mockResponseFailure !== undefined &&
-          endpoint.mockResponseFailure !== null
-        ) {
-          return this.#createMockResponse(
-            endpoint,
-            service,
-            mockResult,
-            model,
-            typeof endpoint.mockResponseFailure.then === "function"
-              ? await endpoint.mockResponseFailure
-              : endpoint.mockResponseFailure
-          );
-        }
-        // Default mock failure response
+      }
+      if (
+        endpoint.mockResponseSuccess !== undefined &&
+        endpoint.mockResponseSuccess !== null
+      ) {
+        return this.#createMockResponse(
+          endpoint,
+          service,
+          mockResult,
+          model,
+          typeof endpoint.mockResponseSuccess.then === "function"
+            ? await endpoint.mockResponseSuccess
+            : endpoint.mockResponseSuccess
+        );
+      }
+      // Default mock response
+      return this.#createMockResponse(
+        endpoint,
+        service,
+        mockResult,
+        model,
+        TurtlResponse.Success(this.translate("mock.success"), {})
+      );
+    } else {
+      // If endpoint has a mockResponseFailure, use it
+      if (typeof endpoint.mockResponseFailure === "function") {
+        return this.#createMockResponse(
+          endpoint,
+          service,
+          mockResult,
+          model,
+          await endpoint.mockResponseFailure(model)
+        );
+      }
+      if (
+        endpoint.mockResponseFailure !== undefined &&
+        endpoint.mockResponseFailure !== null
+      ) {
         return this.#createMockResponse(
           endpoint,
           service,
           mockResult,
           model,
-          TurtlResponse.Error("Mocked failure response")
+          typeof endpoint.mockResponseFailure.then === "function"
+            ? await endpoint.mockResponseFailure
+            : endpoint.mockResponseFailure
         );
       }
+      // Default mock failure response
+      return this.#createMockResponse(
+        endpoint,
+        service,
+        mockResult,
+        model,
+        TurtlResponse.Error(
+          this.translate("mock.failure"),
+          TurtlResponse.ErrorType.SERVER
+        )
+      );
+    }
+  }
+
+  async #prepareSendRequest(model, service, endpoint, options) {
+    const path = TurtlPath.resolve(
+      `${service.basePath}${endpoint.path}`,
+      model.toDataObject()
+    );
+    if (path.missing.length > 0) {
+      return TurtlResponse.Error(
+        this.translate("request.missingPathParam", {
+          param: path.missing[0],
+        }),
+        TurtlResponse.ErrorType.VALIDATION
+      );
+    }
+    const url = `${this.host}${path.path}`;
+    const request = this.#createTransportRequest(
+      model,
+      service,
+      endpoint,
+      url,
+      endpoint.keepPathParams ? [] : path.params
+    );
+    request.signal = options.signal ?? null;
+    request.timeout = options.timeoutMs ?? endpoint.timeoutMs ?? this.timeoutMs;
+    request.onUploadProgress = options.onUploadProgress ?? null;
+    request.onDownloadProgress = options.onDownloadProgress ?? null;
+    const context = {
+      api: this,
+      service,
+      endpoint,
+      model,
+      request,
+      mock: this.mock,
+      mockResult: options.mockResult,
+      retry: TurtlRetryPolicy.resolve(
+        this.retry,
+        service.retry,
+        endpoint.retry
+      ),
+      response: null,
+    };
+    const middleware = [
+      ...this.middleware,
+      ...service.middleware,
+      ...endpoint.middleware,
+    ];
+    // Tells a failing transport apart from a failing middleware
+    let dispatchError;
+    try {
+      const response = await TurtlAPI.#runMiddleware(
+        middleware,
+        context,
+        async () => {
+          try {
+            return await this.#dispatch(context);
+          } catch (error) {
+            dispatchError = error;
+            throw error;
+          }
+        }
+      );
+      return (
+        response ??
+        TurtlResponse.Error(
+          this.translate("transport.notHandled"),
+          TurtlResponse.ErrorType.CONFIG
+        )
+      );
+    } catch (error) {
+      const response = TurtlResponse.Error(
+        error === dispatchError
+          ? this.translate("transport.failed")
+          : this.translate("middleware.failed", {
+              message: error?.message ?? String(error),
+            }),
+        TurtlResponse.ErrorType.CONFIG
+      );
+      response.error = error;
+      return response;
+    }
+  }
+
+  /**
+   * Innermost step of the middleware pipeline, returns the mock response or sends the request
+   *
+   * @param {Object} context - request context
+   * @returns {Promise<TurtlResponse>} - response
+   */
+  async #dispatch(context) {
+    const { model, service, endpoint, request } = context;
+    let response;
+    if (context.mock) {
+      response = await this.#raceSignal(
+        this.#sendMock(context),
+        request.signal,
+        request.timeout
+      );
+    } else if (
+      request.method === "GET" &&
+      TurtlCache.resolveOptions(endpoint.cache) &&
+      TurtlCache.isCacheable(endpoint.responseType)
+    ) {
+      response = await this.#sendCached(context);
+    } else {
+      response = await this.#send(context);
+    }
+    if (response?.success && endpoint.invalidates.length > 0) {
+      await this.cache.invalidate(...endpoint.invalidates);
+    }
+    return await this.#applyResponseModel(response, service, endpoint, request);
+  }
+
+  /**
+   * Returns the mock response, reporting simulated upload and download progress around it
+   *
+   * @param {Object} context - request context
+   * @returns {Promise<TurtlResponse>} - mock response
+   */
+  async #sendMock(context) {
+    const { model, service, endpoint, request } = context;
+    const progress =
+      endpoint.mockProgress === true
+        ? { steps: 10, interval: 100 }
+        : { steps: 10, interval: 100, ...endpoint.mockProgress };
+    if (!endpoint.mockProgress) {
+      progress.steps = 1;
+      progress.interval = 0;
+    }
+    await TurtlAPI.#simulateProgress(
+      request.onUploadProgress,
+      progress.uploadSize ?? TurtlBody.size(request.body),
+      progress,
+      request.signal
+    );
+    const getMockResponse = () =>
+      this.#getMockResponse(model, service, endpoint, context.mockResult);
+    const response = TurtlMockServer.isMockServer(this.mock)
+      ? await this.mock.handle(context, getMockResponse)
+      : await getMockResponse();
+    await TurtlAPI.#simulateProgress(
+      request.onDownloadProgress,
+      progress.downloadSize ?? TurtlBody.size(JSON.stringify(response ?? null)),
+      progress,
+      request.signal
+    );
+    return response;
+  }
+
+  /**
+   * Reports progress from 0 to the size in steps, stops when the signal aborts
+   *
+   * @param {Function|null} callback - progress callback
+   * @param {number} size - simulated size in bytes
+   * @param {{steps: number, interval: number}} options - number of steps and milliseconds between them
+   * @param {AbortSignal|null} signal - signal to stop the simulation
+   */
+  static async #simulateProgress(callback, size, { steps, interval }, signal) {
+    if (typeof callback !== "function") {
+      return;
+    }
+    TurtlTransport.reportProgress(callback, 0, size);
+    for (let step = 1; step <= steps; step++) {
+      if (interval > 0 && !(await TurtlRetryPolicy.wait(interval, signal))) {
+        return;
+      }
+      TurtlTransport.reportProgress(
+        callback,
+        Math.round((size * step) / steps),
+        size
+      );
+    }
+  }
+
+  /**
+   * Returns a cached response when there is one, otherwise sends the request and caches a successful response.
+   * A stale response is returned right away and refreshed in the background.
+   * Responses of endpoints that require auth are cached per credentials, and not at all without credentials.
+   *
+   * @param {Object} context - request context
+   * @returns {Promise<TurtlResponse>} - cached or fresh response
+   */
+  async #sendCached(context) {
+    const { service, endpoint, model, request } = context;
+    const options = TurtlCache.resolveOptions(endpoint.cache);
+    const identity = endpoint.requiresAuth
+      ? await this.#getAuthIdentity(context)
+      : null;
+    if (endpoint.requiresAuth && identity === null) {
+      return await this.#send(context);
+    }
+    const key = TurtlCache.createKey(request, model.toDataObject(), identity);
+    const store = async (ctx) => {
+      const response = await this.#send(ctx);
+      if (response?.success) {
+        await this.cache.set(key, response, {
+          ...options,
+          tags: [...endpoint.tags, `${service.name}.${endpoint.name}`],
+        });
+      }
+      return response;
+    };
+
+    const entry = await this.cache.get(key);
+    if (entry && entry.stale) {
+      // The caller may abort, the background refresh should not, and it reports no progress
+      this.cache
+        .revalidate(key, () =>
+          store({
+            ...context,
+            request: {
+              ...request,
+              signal: null,
+              onUploadProgress: null,
+              onDownloadProgress: null,
+            },
+          })
+        )
+        .catch(() => {});
+    }
+    if (entry) {
+      return TurtlCache.toResponse(entry);
+    }
+    return await store(context);
+  }
+
+  /**
+   * Signs a copy of the request to find out who it is sent as, used to keep cached responses apart per user
+   *
+   * @param {Object} context - request context
+   * @returns {Promise<string|null>} - the signed url and headers, null when there are no credentials
+   */
+  async #getAuthIdentity(context) {
+    const { service, endpoint } = context;
+    const auth = endpoint.auth ?? service.auth ?? this.auth;
+    const probe = {
+      ...context.request,
+      headers: { ...context.request.headers },
+    };
+    if (auth) {
+      await auth.waitForRefresh();
+    }
+    const signed = auth ? await auth.authorize(probe) : false;
+    if (!signed && !probe.headers["Authorization"]) {
+      return null;
+    }
+    const headers = Object.entries(probe.headers).sort(([a], [b]) =>
+      a < b ? -1 : a > b ? 1 : 0
+    );
+    return JSON.stringify([probe.url, headers]);
+  }
+
+  /**
+   * Sends the request, identical concurrent calls share one request when the endpoint dedupes
+   *
+   * @param {Object} context - request context
+   * @returns {Promise<TurtlResponse>} - response
+   */
+  async #send(context) {
+    const { endpoint, request } = context;
+    const dedupe = endpoint.dedupe ?? request.method === "GET";
+    // FormData and binary bodies can't be compared, progress callbacks and streams belong to one caller
+    const comparable =
+      (request.body === null || typeof request.body === "string") &&
+      !request.onUploadProgress &&
+      !request.onDownloadProgress &&
+      request.responseType !== "stream";
+    return dedupe && comparable
+      ? await this.#sendDeduped(context)
+      : await this.#sendAuthorized(context);
+  }
+
+  /**
+   * Joins a running identical request or starts a new one.
+   * A caller that aborts only stops waiting, the request is aborted once every caller aborted.
+   *
+   * @param {Object} context - request context
+   * @returns {Promise<TurtlResponse>} - the shared response, or an aborted response for this caller
+   */
+  async #sendDeduped(context) {
+    const { service, endpoint, request } = context;
+    if (request.signal?.aborted) {
+      return TurtlResponse.Aborted(this.translate("transport.aborted"));
+    }
+    // Headers are part of the key, calls with other headers (like a tenant set by a middleware) can get other data
+    const headers = Object.entries(request.headers || {})
+      .map(([name, value]) => [name.toLowerCase(), String(value)])
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+    const key = `${service.name}.${endpoint.name} ${request.method} ${
+      request.url
+    } ${JSON.stringify(headers)} ${request.body ?? ""}`;
+    let flight = this.#inflight.get(key);
+    if (!flight) {
+      const controller =
+        typeof AbortController !== "undefined" ? new AbortController() : null;
+      flight = { controller, callers: 0, promise: null };
+      flight.promise = this.#sendAuthorized({
+        ...context,
+        request: { ...request, signal: controller?.signal ?? null },
+      }).finally(() => {
+        if (this.#inflight.get(key) === flight) {
+          this.#inflight.delete(key);
+        }
+      });
+      this.#inflight.set(key, flight);
     }
 
-    const url = `${this.host}${service.basePath}${endpoint.path}`;
-    const method = endpoint.method;
-    const headers = endpoint.headers || {};
+    flight.callers++;
+    const onAbort = () => {
+      flight.callers--;
+      if (flight.callers === 0) {
+        this.#inflight.delete(key);
+        flight.controller?.abort();
+      }
+    };
+    request.signal?.addEventListener("abort", onAbort, { once: true });
     try {
-      return await TurtlAPI.#sendRequest(
-        method,
-        url,
-        model.toDataObject(),
-        endpoint.requiresAuth,
-        this.getAuthToken,
-        headers
+      return await this.#raceSignal(flight.promise, request.signal, 0);
+    } finally {
+      request.signal?.removeEventListener("abort", onAbort);
+    }
+  }
+
+  /**
+   * Signs and sends the request, refreshes the credentials and sends it again when it is refused
+   *
+   * @param {Object} context - request context
+   * @returns {Promise<TurtlResponse>} - response
+   */
+  async #sendAuthorized(context) {
+    const { service, endpoint } = context;
+    const auth = endpoint.requiresAuth
+      ? endpoint.auth ?? service.auth ?? this.auth
+      : null;
+    const authRequired = () =>
+      TurtlResponse.Error(
+        this.translate("auth.required"),
+        TurtlResponse.ErrorType.AUTH
       );
+    if (!auth) {
+      return (await this.#sendSigned(null, context)) ?? authRequired();
+    }
+
+    // Calls that start during a refresh wait for the new credentials
+    await auth.waitForRefresh();
+    // A refresh that finishes while this request is out already replaced the credentials it was refused for
+    const generation = auth.generation;
+    let response = await this.#sendSigned(auth, context);
+    if (response && auth.shouldRefresh(response)) {
+      if (!(await auth.refresh(generation))) {
+        return await this.#authFailure(auth, response, context);
+      }
+      response = await this.#sendSigned(auth, context);
+    }
+    if (!response || auth.refreshStatuses.includes(response.status)) {
+      return await this.#authFailure(auth, response ?? authRequired(), context);
+    }
+    return response;
+  }
+
+  /**
+   * Sends a signed copy of the request, the request in the context is left unsigned so it can be signed again
+   *
+   * @param {TurtlAuth|null} auth - auth strategy, null when the endpoint has none
+   * @param {Object} context - request context
+   * @returns {Promise<TurtlResponse|null>} - response, or null when the endpoint requires auth and there are no credentials. An auth error when reading the credentials or signing threw
+   */
+  async #sendSigned(auth, context) {
+    const { service, endpoint } = context;
+    const request = {
+      ...context.request,
+      headers: { ...context.request.headers },
+    };
+    let signed = false;
+    try {
+      signed = auth ? await auth.authorize(request) : false;
     } catch (error) {
-      return TurtlResponse.Error("Request failed");
+      const response = TurtlResponse.Error(
+        this.translate("auth.required"),
+        TurtlResponse.ErrorType.AUTH
+      );
+      response.error = error;
+      return response;
+    }
+    // Middleware may have set the header itself
+    if (endpoint.requiresAuth && !signed && !request.headers["Authorization"]) {
+      return null;
+    }
+    return await this.#sendRequest(request, context.retry, {
+      validateStatus: endpoint.validateStatus,
+      responseType: endpoint.responseType,
+      responseAdapter:
+        endpoint.responseAdapter ??
+        service.responseAdapter ??
+        this.responseAdapter,
+    });
+  }
+
+  async #authFailure(auth, response, context) {
+    if (typeof auth.onAuthFailure === "function") {
+      await auth.onAuthFailure(response, context);
+    }
+    return response;
+  }
+
+  /**
+   * Transforms and validates the data of a successful response with the endpoint response model
+   *
+   * @param {TurtlResponse} response - response from the transport or mock
+   * @param {TurtlAPIService} service - service of the endpoint
+   * @param {TurtlEndpoint} endpoint - endpoint being called
+   * @param {Object} request - normalized request, its signal is passed to async rules
+   * @returns {Promise<TurtlResponse>} - response with model data, or an invalid response in strict mode
+   */
+  async #applyResponseModel(response, service, endpoint, request) {
+    if (!endpoint.responseModelName || !response?.success) {
+      return response;
+    }
+    const modelFactory = this.#getModelFactory(
+      service,
+      endpoint.responseModelName
+    );
+    if (!modelFactory) {
+      return TurtlResponse.Error(
+        `Response model '${endpoint.responseModelName}' not found.`,
+        TurtlResponse.ErrorType.CONFIG
+      );
     }
+    const { data, result } = await TurtlResponseModel.parse(
+      response.data,
+      modelFactory,
+      this,
+      service,
+      request.signal
+    );
+    if (result.aborted) {
+      return result;
+    }
+    if (!result.success) {
+      const mode = endpoint.responseValidation ?? this.responseValidation;
+      if (mode !== "lenient") {
+        return TurtlResponse.InvalidResponse(
+          this.translate("response.invalid", { message: result.message }),
+          { ...result.data, response: response.data }
+        );
+      }
+      console.warn(
+        `[TurtlAPI] Response of '${service.name}.${endpoint.name}' does not match model '${endpoint.responseModelName}'.`,
+        result.data?.errors ?? result.message
+      );
+    }
+    // Copy, mock responses may be shared between calls
+    return Object.assign(new TurtlResponse(), response, { data });
+  }
+
+  /**
+   * Runs the middleware in order (koa style) around the final handler
+   *
+   * @param {Function[]} middleware - middleware functions `(context, next) => TurtlResponse | void`
+   * @param {Object} context - request context shared by all middleware
+   * @param {Function} handler - final handler returning a TurtlResponse
+   * @returns {Promise<TurtlResponse>} - the response after all middleware ran
+   */
+  static async #runMiddleware(middleware, context, handler) {
+    let lastIndex = -1;
+    const dispatch = async (index) => {
+      if (index <= lastIndex) {
+        throw new Error("[TurtlAPI] next() called multiple times.");
+      }
+      lastIndex = index;
+      const fn = index < middleware.length ? middleware[index] : handler;
+      const result = await fn(context, () => dispatch(index + 1));
+      if (result instanceof TurtlResponse) {
+        context.response = result;
+      }
+      return context.response;
+    };
+    return await dispatch(0);
+  }
+  /**
+   * Resolves a promise unless the signal aborts or the timeout passes first, used for mock and shared responses
+   *
+   * @param {Promise<TurtlResponse>} promise - response promise
+   * @param {AbortSignal|null} signal - signal to cancel the call
+   * @param {number} timeoutMs - timeout in milliseconds, 0 for none
+   * @returns {Promise<TurtlResponse>} - the response, or an aborted or timed out response
+   */
+  #raceSignal(promise, signal, timeoutMs) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        resolve(TurtlResponse.Aborted(this.translate("transport.aborted")));
+        return;
+      }
+      let timer = null;
+      const onAbort = () =>
+        finish(TurtlResponse.Aborted(this.translate("transport.aborted")));
+      const finish = (response) => {
+        clearTimeout(timer);
+        signal?.removeEventListener("abort", onAbort);
+        resolve(response);
+      };
+      signal?.addEventListener("abort", onAbort, { once: true });
+      if (timeoutMs > 0) {
+        timer = setTimeout(
+          () =>
+            finish(TurtlResponse.TimedOut(this.translate("transport.timeout"))),
+          timeoutMs
+        );
+      }
+      promise.then(finish, (error) => {
+        clearTimeout(timer);
+        signal?.removeEventListener("abort", onAbort);
+        reject(error);
+      });
+    });
   }
 
   /**
@@ -538,7 +1859,8 @@ export class TurtlAPI {
     const service = this.getService(serviceName);
     if (!service) {
       output.Response = TurtlResponse.Error(
-        `Service '${serviceName}' not found.`
+        this.translate("api.serviceNotFound", { service: serviceName }),
+        TurtlResponse.ErrorType.CONFIG
       );
       return output;
     }
@@ -547,7 +1869,11 @@ export class TurtlAPI {
     const endpoint = service.getEndpoint(endpointName);
     if (!endpoint) {
       output.Response = TurtlResponse.Error(
-        `Endpoint '${endpointName}' not found in service '${serviceName}'.`
+        this.translate("api.endpointNotFound", {
+          endpoint: endpointName,
+          service: serviceName,
+        }),
+        TurtlResponse.ErrorType.CONFIG
       );
       return output;
     }
@@ -577,7 +1903,7 @@ export class TurtlAPI {
         modelFactory.create &&
         typeof modelFactory.create === "function"
       ) {
-        return modelFactory.create(data, this); // Inject api here
+        return modelFactory.create(data, this, internal.Service); // Inject api here
       } else {
         const modelFactory = this.getModel(internal.Endpoint.modelName);
         if (
@@ -585,7 +1911,7 @@ export class TurtlAPI {
           modelFactory.create &&
           typeof modelFactory.create === "function"
         ) {
-          return modelFactory.create(data, this); // Inject api here
+          return modelFactory.create(data, this, internal.Service); // Inject api here
         }
       }
       throw new Error(`Failed to create request '${fullName}'.`);
@@ -594,6 +1920,36 @@ export class TurtlAPI {
     }
   }
 
+  /**
+   * Create a request model and await its validation, supports async validation rules
+   *
+   * @async
+   * @param {string} fullName - endpoint name in format of serviceName.Endpoint
+   * @param {object} data - data to populate the request model
+   * @param {Object} [options={}] - options
+   * @param {AbortSignal} [options.signal] - signal to cancel a superseded validation
+   * @returns {Promise<TurtlRequestModel | TurtlResponse>} - The validated request model instance or error response
+   */
+  async createRequestAsync(fullName, data, { signal = null } = {}) {
+    const internal = this.#getDataFromFullName(fullName);
+    if (internal.Failed) {
+      return internal.Response;
+    }
+    const modelFactory = this.#getModelFactory(
+      internal.Service,
+      internal.Endpoint.modelName
+    );
+    if (!modelFactory) {
+      throw new Error(`Failed to create request '${fullName}'.`);
+    }
+    return await this.#createModelAsync(
+      modelFactory,
+      data,
+      internal.Service,
+      signal
+    );
+  }
+
   /**
    * Add a header to the global api header list
    *
@@ -612,4 +1968,55 @@ export class TurtlAPI {
   getHeaders() {
     return this.headers;
   }
+
+  /**
+   * Add a middleware that runs for every call on this api, before service and endpoint middleware
+   *
+   * @param {Function} middleware - `async (context, next) => TurtlResponse | void`
+   */
+  use(middleware) {
+    if (typeof middleware !== "function") {
+      throw new Error("Middleware must be a function.");
+    }
+    this.middleware.push(middleware);
+  }
+
+  /**
+   * Set the locale used for validation and transport messages
+   *
+   * @param {string} locale - locale name, like `nl` or `nl-BE`
+   */
+  setLocale(locale) {
+    this.messages.setLocale(locale);
+  }
+
+  /**
+   * Returns the locale used for validation and transport messages
+   *
+   * @returns {string} - locale name
+   */
+  getLocale() {
+    return this.messages.locale;
+  }
+
+  /**
+   * Add or override messages for a locale
+   *
+   * @param {string} locale - locale name
+   * @param {Object} messages - messages by key, nested objects are flattened to dotted keys
+   */
+  addMessages(locale, messages) {
+    this.messages.addMessages(locale, messages);
+  }
+
+  /**
+   * Resolve a message key in the active locale, unknown keys are used as literal message
+   *
+   * @param {string} key - message key or literal message
+   * @param {Object} [params={}] - placeholder values
+   * @returns {string} - translated message
+   */
+  translate(key, params = {}) {
+    return this.messages.translate(key, params);
+  }
 }
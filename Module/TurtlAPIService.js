@@ -1,6 +1,9 @@
 import { TurtlEndpoint } from "./TurtlEndpoint.js";
 import { TurtlRequestModel } from "./TurtlRequestModel.js";
 
+/** @typedef {import("./TurtlAuth.js").TurtlAuth} TurtlAuth */
+/** @typedef {import("./TurtlResponseAdapter.js").TurtlResponseAdapter} TurtlResponseAdapter */
+
 /**
  * TurtlAPIService manages API endpoints, request models, and headers for a service.
  *
@@ -12,18 +15,26 @@ import { TurtlRequestModel } from "./TurtlRequestModel.js";
  * service.addEndpoint('getUser', { path: '/user', method: 'GET', modelName: 'user' });
  *
  * @param {string} name - The name of the service.
- * @param {string} basePath - The base path for the service.
+ * @param {string} basePath - The base path for the service, may contain placeholders like `/tenants/:tenantId`.
+ * @param {Object} [options={}] - Optional service options.
+ * @param {Object|boolean} [options.retry=null] - Retry options for every endpoint, see TurtlRetryPolicy.
+ * @param {TurtlAuth} [options.auth=null] - Auth strategy for every endpoint, overrides the api strategy.
+ * @param {TurtlResponseAdapter} [options.responseAdapter=null] - Response adapter for every endpoint, overrides the api adapter.
  *
  * @property {string} name - The name of the service.
  * @property {string} basePath - The base path for the service.
  * @property {Map<string, TurtlEndpoint>} endpoints - Map of endpoint names to endpoint instances.
  * @property {Map<string, TurtlRequestModel>} Models - Map of model names to request model factories.
  * @property {Map<string, string>} headers - Map of header names to header values.
+ * @property {Function[]} middleware - Service wide middleware, runs after api and before endpoint middleware.
+ * @property {Object|boolean|null} retry - Retry options, overrides the api options.
+ * @property {TurtlAuth|null} auth - Auth strategy, overrides the api strategy.
+ * @property {TurtlResponseAdapter|null} responseAdapter - Response adapter, overrides the api adapter.
  *
  * @method addEndpoint(name: string, config: object): void
  *   Adds an endpoint to the service.
  * @method getEndpoint(name: string): TurtlEndpoint
- *   Gets an endpoint by name, applying service headers.
+ *   Gets an endpoint by name.
  * @method addModel(name: string, model: TurtlRequestModel | Object): void
  *   Adds a request model to the service.
  * @method getModel(name: string): TurtlRequestModel
@@ -32,6 +43,8 @@ import { TurtlRequestModel } from "./TurtlRequestModel.js";
  *   Adds a header to the service.
  * @method getHeaders(): Map<string, string>
  *   Gets the map of headers for the service.
+ * @method use(middleware: Function): void
+ *   Adds a middleware to the service.
  */
 export class TurtlAPIService {
   /**
@@ -40,13 +53,25 @@ export class TurtlAPIService {
    * @constructor
    * @param {string} name - service name
    * @param {string} basePath - base path for the service
+   * @param {Object} [options={}] - optional service options
+   * @param {Object|boolean} [options.retry=null] - retry options, overrides the api options
+   * @param {TurtlAuth} [options.auth=null] - auth strategy, overrides the api strategy
+   * @param {TurtlResponseAdapter} [options.responseAdapter=null] - response adapter, overrides the api adapter
    */
-  constructor(name, basePath) {
+  constructor(
+    name,
+    basePath,
+    { retry = null, auth = null, responseAdapter = null } = {}
+  ) {
     this.name = name;
     this.basePath = basePath;
     this.endpoints = new Map();
     this.Models = new Map();
     this.headers = new Map();
+    this.middleware = [];
+    this.retry = retry;
+    this.auth = auth;
+    this.responseAdapter = responseAdapter;
   }
 
   /**
@@ -69,16 +94,10 @@ export class TurtlAPIService {
    * Gets a endpoint by name
    *
    * @param {string} name - endpoint name
-   * @returns {object} - endpoint configuration with Service headers applied
+   * @returns {object} - endpoint configuration, the service headers are added when the endpoint is called
    */
   getEndpoint(name) {
-    let endpoint = this.endpoints.get(name);
-    for (const [key, value] of this.headers) {
-      if (key in endpoint.headers == false) {
-        endpoint.headers[key] = value;
-      }
-    }
-    return endpoint;
+    return this.endpoints.get(name);
   }
 
   /**
@@ -122,4 +141,16 @@ export class TurtlAPIService {
   getHeaders() {
     return this.headers;
   }
+
+  /**
+   * Add a middleware that runs for every endpoint on this service
+   *
+   * @param {Function} middleware - `async (context, next) => TurtlResponse | void`
+   */
+  use(middleware) {
+    if (typeof middleware !== "function") {
+      throw new Error("Middleware must be a function.");
+    }
+    this.middleware.push(middleware);
+  }
 }
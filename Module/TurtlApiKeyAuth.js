@@ -0,0 +1,49 @@
+import { TurtlAuth } from "./TurtlAuth.js";
+
+/**
+ * Auth strategy that sends an API key in a header or in the query string.
+ *
+ * @class
+ * @extends TurtlAuth
+ * @example
+ * const auth = new TurtlApiKeyAuth({ getToken: () => "my-key", name: "api_key", in: "query" });
+ *
+ * @param {Object} [options={}] - strategy options, see TurtlAuth
+ * @param {string} [options.name="X-API-Key"] - header or query parameter name
+ * @param {string} [options.in="header"] - `header` or `query`
+ */
+export class TurtlApiKeyAuth extends TurtlAuth {
+  /**
+   * Creates a new API key strategy.
+   *
+   * @param {Object} [options={}] - strategy options, see TurtlAuth
+   * @param {string} [options.name="X-API-Key"] - header or query parameter name
+   * @param {string} [options.in="header"] - `header` or `query`
+   */
+  constructor({
+    name = "X-API-Key",
+    in: location = "header",
+    ...options
+  } = {}) {
+    super(options);
+    this.name = name;
+    this.in = location;
+  }
+
+  /**
+   * Adds the key to the headers or the query string
+   *
+   * @param {Object} request - normalized request object
+   * @param {string} key - the API key
+   */
+  async sign(request, key) {
+    if (this.in === "query") {
+      const separator = request.url.includes("?") ? "&" : "?";
+      request.url = `${request.url}${separator}${encodeURIComponent(
+        this.name
+      )}=${encodeURIComponent(key)}`;
+      return;
+    }
+    request.headers[this.name] = String(key);
+  }
+}
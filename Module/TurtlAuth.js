@@ -0,0 +1,157 @@
+/**
+ * Base class for auth strategies, signs requests and refreshes expired credentials.
+ *
+ * @class
+ * @example
+ * // custom signer
+ * const auth = new TurtlAuth({
+ *   getToken: async () => session.secret,
+ *   sign: async (request, secret) => {
+ *     request.headers["X-Signature"] = await hmac(secret, request.body ?? "");
+ *   },
+ * });
+ *
+ * const api = new TurtlAPI({ host: "https://api.example.com", auth });
+ *
+ * @description
+ * - `getToken` may be async and resolves the credentials, an empty value means there are none.
+ * - When a response has a status in `refreshStatuses`, `refreshToken` is called once for all concurrent calls.
+ *   Calls that start during the refresh wait for it, calls that were refused are sent again with the new credentials.
+ *   A call refused after a refresh that started after it was sent doesn't refresh again, it is sent with the new credentials.
+ * - `refreshToken` should store the new credentials where `getToken` reads them and resolve `true`, or resolve `false` when it failed.
+ * - `onAuthFailure` is called when there are no credentials, the refresh failed or the request is still refused after a refresh.
+ *
+ * @param {Object} [options={}] - Strategy options.
+ * @param {Function} [options.getToken=null] - `() => credentials | Promise<credentials>`.
+ * @param {Function} [options.refreshToken=null] - `() => Promise<boolean>`, called when a request is refused.
+ * @param {Function} [options.onAuthFailure=null] - `(response, context) => void`, called when authentication failed.
+ * @param {number[]} [options.refreshStatuses=[401]] - HTTP statuses that trigger a refresh.
+ * @param {Function} [options.sign=null] - `(request, credentials) => void`, signs the request, used when the class is not extended.
+ *
+ * @property {number} generation - Number of successful refreshes, tells if credentials changed since a request was sent.
+ *
+ * @method sign(request, credentials) Adds the credentials to the request.
+ * @method authorize(request) Gets the credentials and signs the request.
+ * @method shouldRefresh(response) Checks if a response should trigger a refresh.
+ * @method refresh(generation) Refreshes the credentials, concurrent callers share one refresh.
+ * @method waitForRefresh() Waits for a running refresh.
+ * @method static isAuth(value) Checks if a value implements the auth strategy interface.
+ */
+export class TurtlAuth {
+  #refreshing = null;
+  #generation = 0;
+
+  constructor({
+    getToken = null,
+    refreshToken = null,
+    onAuthFailure = null,
+    refreshStatuses = [401],
+    sign = null,
+  } = {}) {
+    this.getToken = getToken;
+    this.refreshToken = refreshToken;
+    this.onAuthFailure = onAuthFailure;
+    this.refreshStatuses = refreshStatuses;
+    this.signer = sign;
+  }
+
+  /**
+   * Adds the credentials to the request, should be implemented by the strategy.
+   *
+   * @async
+   * @param {Object} request - normalized request object, changed in place
+   * @param {*} credentials - credentials resolved by `getToken`
+   */
+  async sign(request, credentials) {
+    if (typeof this.signer !== "function") {
+      throw new Error(
+        `[TurtlAuth] sign() is not implemented for '${this.constructor.name}'.`
+      );
+    }
+    await this.signer(request, credentials);
+  }
+
+  /**
+   * Gets the credentials and signs the request
+   *
+   * @async
+   * @param {Object} request - normalized request object, changed in place
+   * @returns {Promise<boolean>} - false when there are no credentials
+   */
+  async authorize(request) {
+    const credentials = this.getToken ? await this.getToken() : null;
+    if (
+      credentials === undefined ||
+      credentials === null ||
+      credentials === ""
+    ) {
+      return false;
+    }
+    await this.sign(request, credentials);
+    return true;
+  }
+
+  /**
+   * Checks if a response should trigger a refresh
+   *
+   * @param {Object} response - the response of the signed request
+   * @returns {boolean} - true when a refresh callback is set and the status is a refresh status
+   */
+  shouldRefresh(response) {
+    return (
+      typeof this.refreshToken === "function" &&
+      this.refreshStatuses.includes(response?.status)
+    );
+  }
+
+  get generation() {
+    return this.#generation;
+  }
+
+  /**
+   * Refreshes the credentials, concurrent callers share one refresh
+   *
+   * @param {number} [generation] - `generation` when the refused request was sent, no refresh is done when newer credentials exist
+   * @returns {Promise<boolean>} - true when the refresh succeeded, or the credentials were already refreshed
+   */
+  refresh(generation = this.#generation) {
+    if (!this.#refreshing && generation < this.#generation) {
+      return Promise.resolve(true);
+    }
+    if (!this.#refreshing) {
+      this.#refreshing = (async () => {
+        try {
+          const refreshed = (await this.refreshToken()) !== false;
+          if (refreshed) {
+            this.#generation++;
+          }
+          return refreshed;
+        } catch (error) {
+          return false;
+        }
+      })().finally(() => {
+        this.#refreshing = null;
+      });
+    }
+    return this.#refreshing;
+  }
+
+  /**
+   * Waits for a running refresh, resolves immediately when there is none
+   *
+   * @returns {Promise<boolean>} - result of the running refresh, true when there is none
+   */
+  waitForRefresh() {
+    return this.#refreshing ?? Promise.resolve(true);
+  }
+
+  /**
+   * Checks if a value implements the auth strategy interface.
+   *
+   * @param {*} value - value to check
+   * @returns {boolean} - true if the value has an `authorize` method
+   */
+  static isAuth(value) {
+    return !!value && typeof value.authorize === "function";
+  }
+}
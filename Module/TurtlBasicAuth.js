@@ -0,0 +1,46 @@
+import { TurtlAuth } from "./TurtlAuth.js";
+
+/**
+ * Auth strategy that sends `Authorization: Basic <base64(username:password)>`.
+ *
+ * @class
+ * @extends TurtlAuth
+ * @example
+ * const auth = new TurtlBasicAuth({
+ *   getToken: () => ({ username: "admin", password: "secret" }),
+ * });
+ *
+ * @param {Object} [options={}] - strategy options, see TurtlAuth. `getToken` resolves `{ username, password }` or an encoded string
+ */
+export class TurtlBasicAuth extends TurtlAuth {
+  /**
+   * Adds the basic auth header
+   *
+   * @param {Object} request - normalized request object
+   * @param {{username: string, password: string}|string} credentials - username and password, or an already encoded value
+   */
+  async sign(request, credentials) {
+    const encoded =
+      typeof credentials === "string"
+        ? credentials
+        : TurtlBasicAuth.encode(
+            `${credentials.username}:${credentials.password ?? ""}`
+          );
+    request.headers["Authorization"] = `Basic ${encoded}`;
+  }
+
+  /**
+   * Base64 encodes an UTF-8 string, in browsers and node
+   *
+   * @param {string} value - value to encode
+   * @returns {string} - base64 encoded value
+   */
+  static encode(value) {
+    const bytes = new TextEncoder().encode(value);
+    let binary = "";
+    for (const byte of bytes) {
+      binary += String.fromCharCode(byte);
+    }
+    return btoa(binary);
+  }
+}
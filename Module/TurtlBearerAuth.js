@@ -0,0 +1,55 @@
+import { TurtlAuth } from "./TurtlAuth.js";
+
+/**
+ * Auth strategy that sends the token as `Authorization: Bearer <token>`.
+ *
+ * @class
+ * @extends TurtlAuth
+ * @example
+ * const api = new TurtlAPI({
+ *   host: "https://api.example.com",
+ *   auth: new TurtlBearerAuth({
+ *     getToken: async () => storage.get("token"),
+ *     refreshToken: async () => {
+ *       const response = await fetch("/auth/refresh", { method: "POST" });
+ *       storage.set("token", (await response.json()).token);
+ *       return response.ok;
+ *     },
+ *     onAuthFailure: () => router.push("/login"),
+ *   }),
+ * });
+ *
+ * @param {Object} [options={}] - strategy options, see TurtlAuth
+ * @param {string} [options.header="Authorization"] - header the token is sent in
+ * @param {string} [options.prefix="Bearer"] - text before the token, empty for none
+ */
+export class TurtlBearerAuth extends TurtlAuth {
+  /**
+   * Creates a new bearer strategy.
+   *
+   * @param {Object} [options={}] - strategy options, see TurtlAuth
+   * @param {string} [options.header="Authorization"] - header the token is sent in
+   * @param {string} [options.prefix="Bearer"] - text before the token, empty for none
+   */
+  constructor({
+    header = "Authorization",
+    prefix = "Bearer",
+    ...options
+  } = {}) {
+    super(options);
+    this.header = header;
+    this.prefix = prefix;
+  }
+
+  /**
+   * Adds the token header
+   *
+   * @param {Object} request - normalized request object
+   * @param {string} token - the token
+   */
+  async sign(request, token) {
+    request.headers[this.header] = this.prefix
+      ? `${this.prefix} ${token}`
+      : String(token);
+  }
+}
@@ -0,0 +1,192 @@
+/**
+ * Encodes request model data into a request body for the endpoint `bodyType`.
+ *
+ * @class
+ * @example
+ * TurtlBody.encode({ name: "Turtl", tags: ["a", "b"] }, "urlencoded");
+ * // { body: "name=Turtl&tags%5B%5D=a&tags%5B%5D=b", contentType: "application/x-www-form-urlencoded;charset=UTF-8" }
+ *
+ * @description
+ * Body types:
+ * - `json`: `JSON.stringify` of the data
+ * - `form-data`: `FormData`, files are appended as is, the transport sets the multipart boundary
+ * - `urlencoded`: url encoded string, files are left out
+ * - `text`: the field named by `bodyField` as text
+ * - `binary`: the field named by `bodyField` (`Blob`, `ArrayBuffer` or typed array) as is
+ *
+ * Nested values use the PHP style: arrays as `tags[]`, objects as `user[name]`, objects in arrays as `items[0][name]`.
+ * Dates are sent as ISO strings, `null` and `undefined` are left out.
+ *
+ * @method static encode(data, bodyType, bodyField) Encodes data into a body and content type.
+ * @method static toFormData(data) Converts data to FormData.
+ * @method static toSearchParams(data) Converts data to URLSearchParams.
+ * @method static isFile(value) Checks if a value is a File or Blob.
+ * @method static size(body) Gets the size of an encoded body in bytes.
+ */
+export class TurtlBody {
+  static types = ["json", "form-data", "urlencoded", "text", "binary"];
+
+  /**
+   * Encodes data into a request body
+   *
+   * @param {Object} data - request model data
+   * @param {string} [bodyType="json"] - `json`, `form-data`, `urlencoded`, `text` or `binary`
+   * @param {string} [bodyField="body"] - field sent as body for `text` and `binary`
+   * @returns {{body: *, contentType: string|null}} - body and content type, the content type is null when the transport sets it
+   */
+  static encode(data, bodyType = "json", bodyField = "body") {
+    switch (bodyType) {
+      case "json":
+        return { body: JSON.stringify(data), contentType: "application/json" };
+      case "form-data":
+        return { body: TurtlBody.toFormData(data), contentType: null };
+      case "urlencoded":
+        return {
+          body: TurtlBody.toSearchParams(data).toString(),
+          contentType: "application/x-www-form-urlencoded;charset=UTF-8",
+        };
+      case "text": {
+        const value = data[bodyField];
+        return {
+          body: value === undefined || value === null ? "" : String(value),
+          contentType: "text/plain;charset=UTF-8",
+        };
+      }
+      case "binary": {
+        const value = data[bodyField] ?? null;
+        return {
+          body: value,
+          contentType:
+            (TurtlBody.isFile(value) && value.type) ||
+            "application/octet-stream",
+        };
+      }
+      default:
+        throw new Error(
+          `Unknown body type '${bodyType}', use one of: ${TurtlBody.types.join(
+            ", "
+          )}.`
+        );
+    }
+  }
+
+  /**
+   * Converts data to FormData
+   *
+   * @param {Object} data - request model data
+   * @returns {FormData} - form data with files appended as is
+   */
+  static toFormData(data) {
+    const formData = new FormData();
+    for (const [name, value] of TurtlBody.#flatten(data)) {
+      if (TurtlBody.isFile(value)) {
+        formData.append(name, value, value.name ?? "blob");
+      } else {
+        formData.append(name, value);
+      }
+    }
+    return formData;
+  }
+
+  /**
+   * Converts data to URLSearchParams, files are left out
+   *
+   * @param {Object} data - request model data
+   * @returns {URLSearchParams} - search params
+   */
+  static toSearchParams(data) {
+    const params = new URLSearchParams();
+    for (const [name, value] of TurtlBody.#flatten(data)) {
+      if (!TurtlBody.isFile(value)) {
+        params.append(name, value);
+      }
+    }
+    return params;
+  }
+
+  /**
+   * Checks if a value is a File or Blob, also for Blob implementations of other realms
+   *
+   * @param {*} value - value to check
+   * @returns {boolean} - true for File and Blob values
+   */
+  static isFile(value) {
+    if (typeof Blob !== "undefined" && value instanceof Blob) {
+      return true;
+    }
+    return (
+      !!value &&
+      typeof value === "object" &&
+      typeof value.size === "number" &&
+      typeof value.type === "string" &&
+      typeof value.arrayBuffer === "function"
+    );
+  }
+
+  /**
+   * Gets the size of an encoded body in bytes, used for progress totals.
+   * For FormData it is the size of the values and files without the multipart boundaries.
+   *
+   * @param {*} body - encoded request body
+   * @returns {number} - size in bytes, 0 for an empty body
+   */
+  static size(body) {
+    if (body === null || body === undefined) {
+      return 0;
+    }
+    if (typeof body === "string") {
+      return new TextEncoder().encode(body).byteLength;
+    }
+    if (TurtlBody.isFile(body)) {
+      return body.size;
+    }
+    if (body instanceof ArrayBuffer || ArrayBuffer.isView(body)) {
+      return body.byteLength;
+    }
+    if (typeof FormData !== "undefined" && body instanceof FormData) {
+      let size = 0;
+      for (const [, value] of body.entries()) {
+        size += TurtlBody.size(value);
+      }
+      return size;
+    }
+    return TurtlBody.size(String(body));
+  }
+
+  static #flatten(value, prefix = "", entries = []) {
+    if (value === undefined || value === null) {
+      return entries;
+    }
+    if (TurtlBody.isFile(value)) {
+      entries.push([prefix, value]);
+    } else if (value instanceof Date) {
+      entries.push([prefix, value.toISOString()]);
+    } else if (Array.isArray(value)) {
+      const nested = value.some(
+        (item) =>
+          item !== null &&
+          typeof item === "object" &&
+          !TurtlBody.isFile(item) &&
+          !(item instanceof Date)
+      );
+      value.forEach((item, index) =>
+        TurtlBody.#flatten(
+          item,
+          nested ? `${prefix}[${index}]` : `${prefix}[]`,
+          entries
+        )
+      );
+    } else if (typeof value === "object") {
+      for (const key in value) {
+        TurtlBody.#flatten(
+          value[key],
+          prefix ? `${prefix}[${key}]` : key,
+          entries
+        );
+      }
+    } else {
+      entries.push([prefix, String(value)]);
+    }
+    return entries;
+  }
+}
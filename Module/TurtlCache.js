@@ -0,0 +1,234 @@
+import { TurtlMemoryCacheStore } from "./TurtlMemoryCacheStore.js";
+import { TurtlResponse } from "./TurtlResponse.js";
+
+/**
+ * Response cache for GET endpoints with TTL, stale-while-revalidate and tag invalidation.
+ *
+ * @class
+ * @example
+ * accountService.addEndpoint("data", {
+ *   path: "/data.php",
+ *   method: "GET",
+ *   cache: { ttl: 30000, staleWhileRevalidate: 300000 },
+ *   tags: ["account"],
+ * });
+ * accountService.addEndpoint("update", { path: "/update.php", invalidates: ["account"] });
+ *
+ * await api.cache.invalidate("account");
+ * await api.cache.clear();
+ *
+ * @param {Object} [options={}] - Cache options.
+ * @param {Object} [options.store=new TurtlMemoryCacheStore()] - Store for the entries, see TurtlMemoryCacheStore for the interface.
+ *
+ * @property {Object} store - Store for the entries.
+ *
+ * @method get(key) Gets an entry, expired entries are removed.
+ * @method set(key, response, options) Stores a successful response.
+ * @method delete(key) Removes an entry.
+ * @method invalidate(...tags) Removes every entry with one of the tags.
+ * @method clear() Removes every entry.
+ * @method revalidate(key, fn) Runs a background refresh once per key.
+ * @method static createKey(request, data, identity) Creates the cache key for a request.
+ * @method static resolveOptions(config) Normalizes the `cache` option of an endpoint.
+ * @method static toResponse(entry) Creates a TurtlResponse from an entry.
+ * @method static isCacheable(responseType) Checks if responses of a type can be stored.
+ */
+export class TurtlCache {
+  #revalidating = new Map();
+
+  constructor({ store = null } = {}) {
+    this.store = store ?? new TurtlMemoryCacheStore();
+  }
+
+  /**
+   * Gets an entry, entries past their stale time are removed
+   *
+   * @async
+   * @param {string} key - cache key
+   * @returns {Promise<Object|null>} - the entry with `stale` set when its TTL passed, or null
+   */
+  async get(key) {
+    const entry = await this.store.get(key);
+    if (!entry) {
+      return null;
+    }
+    const now = Date.now();
+    if (now >= entry.staleUntil) {
+      await this.store.delete(key);
+      return null;
+    }
+    return { ...entry, stale: now >= entry.expiresAt };
+  }
+
+  /**
+   * Stores a response
+   *
+   * @async
+   * @param {string} key - cache key
+   * @param {TurtlResponse} response - response to store, data should be JSON serializable
+   * @param {Object} [options={}] - entry options
+   * @param {number} [options.ttl=60000] - time in milliseconds the entry is fresh
+   * @param {number} [options.staleWhileRevalidate=0] - time in milliseconds after the TTL the entry is still returned while it is refreshed
+   * @param {string[]} [options.tags=[]] - tags used to invalidate the entry
+   */
+  async set(
+    key,
+    response,
+    { ttl = 60000, staleWhileRevalidate = 0, tags = [] } = {}
+  ) {
+    const now = Date.now();
+    await this.store.set(key, {
+      response: JSON.parse(
+        JSON.stringify({
+          success: response.success,
+          message: response.message,
+          data: response.data,
+          status: response.status,
+          headers: response.headers,
+          body: response.body,
+        })
+      ),
+      tags,
+      storedAt: now,
+      expiresAt: now + ttl,
+      staleUntil: now + ttl + staleWhileRevalidate,
+    });
+  }
+
+  /**
+   * Removes an entry
+   *
+   * @async
+   * @param {string} key - cache key
+   */
+  async delete(key) {
+    await this.store.delete(key);
+  }
+
+  /**
+   * Removes every entry that has one of the tags
+   *
+   * @async
+   * @param {...string} tags - tags to invalidate
+   * @returns {Promise<number>} - number of removed entries
+   */
+  async invalidate(...tags) {
+    let removed = 0;
+    for (const key of await this.store.keys()) {
+      const entry = await this.store.get(key);
+      if (entry && (entry.tags || []).some((tag) => tags.includes(tag))) {
+        await this.store.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Removes every entry
+   *
+   * @async
+   */
+  async clear() {
+    await this.store.clear();
+  }
+
+  /**
+   * Runs a background refresh, a refresh that is already running for the key is reused
+   *
+   * @param {string} key - cache key
+   * @param {Function} fn - `() => Promise<*>` doing the refresh
+   * @returns {Promise<*>} - result of the refresh
+   */
+  revalidate(key, fn) {
+    if (!this.#revalidating.has(key)) {
+      this.#revalidating.set(
+        key,
+        Promise.resolve()
+          .then(fn)
+          .finally(() => this.#revalidating.delete(key))
+      );
+    }
+    return this.#revalidating.get(key);
+  }
+
+  /**
+   * Creates the cache key for a request, from the method, full url, serialized model data and the auth identity.
+   * The identity is hashed, so credentials don't end up in a (persistent) store.
+   *
+   * @param {Object} request - normalized request object
+   * @param {Object} [data={}] - request model data
+   * @param {string|null} [identity=null] - credentials the request is sent with, like the signed headers
+   * @returns {string} - cache key
+   */
+  static createKey(request, data = {}, identity = null) {
+    const key = `${request.method} ${request.url} ${JSON.stringify(data)}`;
+    return identity === null ? key : `${key} ${TurtlCache.#hash(identity)}`;
+  }
+
+  static #hash(value) {
+    // cyrb53, not cryptographic but enough to tell users apart without storing their token
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < value.length; i++) {
+      const char = value.charCodeAt(i);
+      h1 = Math.imul(h1 ^ char, 2654435761);
+      h2 = Math.imul(h2 ^ char, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507);
+    h1 ^= Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507);
+    h2 ^= Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+  }
+
+  /**
+   * Normalizes the `cache` option of an endpoint
+   *
+   * @param {Object|boolean|number|null} config - `true` for the defaults, a TTL in milliseconds or `{ ttl, staleWhileRevalidate }`
+   * @returns {{ttl: number, staleWhileRevalidate: number}|null} - cache options, null when caching is off
+   */
+  static resolveOptions(config) {
+    if (config === null || config === undefined || config === false) {
+      return null;
+    }
+    if (config === true) {
+      return { ttl: 60000, staleWhileRevalidate: 0 };
+    }
+    if (typeof config === "number") {
+      return { ttl: config, staleWhileRevalidate: 0 };
+    }
+    return { ttl: 60000, staleWhileRevalidate: 0, ...config };
+  }
+
+  /**
+   * Checks if responses of an endpoint response type can be stored, blobs and streams are not JSON serializable
+   *
+   * @param {string} [responseType="json"] - endpoint response type
+   * @returns {boolean} - true for `json` and `text`
+   */
+  static isCacheable(responseType = "json") {
+    return responseType === "json" || responseType === "text";
+  }
+
+  /**
+   * Creates a TurtlResponse from an entry, with `cached` and `stale` set
+   *
+   * @param {Object} entry - cache entry
+   * @returns {TurtlResponse} - a fresh copy of the stored response
+   */
+  static toResponse(entry) {
+    const stored = JSON.parse(JSON.stringify(entry.response));
+    const response = new TurtlResponse(
+      stored.success,
+      stored.message,
+      stored.data
+    );
+    response.status = stored.status;
+    response.headers = stored.headers ?? {};
+    response.body = stored.body;
+    response.cached = true;
+    response.stale = !!entry.stale;
+    return response;
+  }
+}
@@ -0,0 +1,762 @@
+import { TurtlAPIService } from "./TurtlAPIService.js";
+import { TurtlBody } from "./TurtlBody.js";
+import { TurtlEndpoint } from "./TurtlEndpoint.js";
+import { TurtlQuery } from "./TurtlQuery.js";
+import { TurtlRequestModel } from "./TurtlRequestModel.js";
+import { TurtlResponse } from "./TurtlResponse.js";
+
+/** @typedef {import("./TurtlAPI.js").TurtlAPI} TurtlAPI */
+/** @typedef {import("./TurtlAuth.js").TurtlAuth} TurtlAuth */
+/** @typedef {import("./TurtlResponseAdapter.js").TurtlResponseAdapter} TurtlResponseAdapter */
+
+/**
+ * Loads and writes whole APIs as plain data, in a versioned definition format.
+ *
+ * @class
+ * @example
+ * const api = TurtlAPI.fromDefinition({
+ *   version: 1,
+ *   api: { host: "https://api.example.com", headers: { "X-Client": "web" } },
+ *   models: {
+ *     login: { schema: { email: [{ rule: "required" }, { rule: "email" }], password: [{ rule: "required" }] } },
+ *   },
+ *   services: {
+ *     account: {
+ *       basePath: "/account",
+ *       endpoints: {
+ *         login: {
+ *           path: "/login.php",
+ *           modelName: "login",
+ *           mockResponseSuccess: { success: true, message: "Logged in", data: { id: 1 } },
+ *         },
+ *       },
+ *     },
+ *   },
+ * });
+ *
+ * const definition = api.toDefinition(); // the same format, ready for JSON.stringify
+ *
+ * @description
+ * Version 1 of the format:
+ * - `version`: always `1`.
+ * - `api`: `host`, `headers`, `mock`, `defaultMockResult`, `retry`, `timeoutMs`, `validationMode`,
+ *   `responseValidation`, `locale` and `fallbackLocale`. Only used by `TurtlAPI.fromDefinition`, apart from `headers`.
+ * - `models`: global models by name, `{ schema, options }` with the schema of `TurtlRequestModel.createFactory`
+ *   and the model options `validationMode`, `keepUnknown` and `defaults`.
+ * - `services`: services by name, `{ basePath, headers, retry, models, endpoints }`.
+ *   Endpoints take the TurtlEndpoint options that are data, `path` is required.
+ * - Mock responses are `{ success, message, data, status }`.
+ *
+ * Functions can't be part of a definition: custom validators, mock functions, middleware, auth strategies
+ * and response adapters are added in code. `toDefinition` leaves them out, and throws for a rule option
+ * that is a function. A mock response that isn't a static TurtlResponse is left out with a warning.
+ * A `RegExp` pattern is written as its source with the `flags` option.
+ *
+ * Loading checks the whole definition first and throws one error listing every problem with its path,
+ * like `services.account.endpoints.login.modelName: model 'login' not found`. The problems are also in `error.errors`.
+ *
+ * @method static validate(definition, api) Checks a definition against an api.
+ * @method static apply(api, definition) Adds the headers, models and services of a definition to an api.
+ * @method static serialize(api) Writes the headers, models and services of an api as a definition.
+ */
+export class TurtlDefinition {
+  static version = 1;
+
+  static #apiDefaults = {
+    host: undefined,
+    headers: {},
+    mock: false,
+    defaultMockResult: false,
+    retry: null,
+    timeoutMs: 0,
+    validationMode: "first",
+    responseValidation: "strict",
+    locale: "en",
+    fallbackLocale: "en",
+  };
+
+  static #methods = [
+    "GET",
+    "POST",
+    "PUT",
+    "PATCH",
+    "DELETE",
+    "HEAD",
+    "OPTIONS",
+  ];
+
+  static #responseTypes = ["json", "text", "blob", "arraybuffer", "stream"];
+
+  // Endpoint options that can't be written as data
+  static #runtimeEndpointKeys = [
+    "name",
+    "auth",
+    "middleware",
+    "responseAdapter",
+  ];
+
+  /**
+   * Checks a definition against an api, without changing the api
+   *
+   * @param {Object} definition - the definition
+   * @param {TurtlAPI} api - api providing the validation rules and existing models
+   * @returns {Array<{path: string, message: string}>} - problems found, empty when the definition is valid
+   */
+  static validate(definition, api) {
+    const errors = [];
+    const report = (path, message) => errors.push({ path, message });
+    if (!TurtlDefinition.#isObject(definition)) {
+      report("", "the definition must be an object");
+      return errors;
+    }
+    if (definition.version !== TurtlDefinition.version) {
+      report(
+        "version",
+        `unsupported version '${definition.version}', expected ${TurtlDefinition.version}`
+      );
+    }
+    TurtlDefinition.#checkKeys(
+      "",
+      definition,
+      ["version", "api", "models", "services"],
+      report
+    );
+    TurtlDefinition.#checkApi(definition.api, report);
+
+    const globalModels = new Set(api.Models.keys());
+    for (const name in TurtlDefinition.#entries(definition.models)) {
+      if (globalModels.has(name)) {
+        report(`models.${name}`, `model '${name}' already exists on the api`);
+      }
+      globalModels.add(name);
+    }
+    const findGlobal = (name) => globalModels.has(name);
+    TurtlDefinition.#checkModels(
+      "models",
+      definition.models,
+      findGlobal,
+      api,
+      report
+    );
+
+    if (
+      definition.services !== undefined &&
+      !TurtlDefinition.#isObject(definition.services)
+    ) {
+      report("services", "must be an object of services by name");
+    }
+    for (const [name, service] of Object.entries(
+      TurtlDefinition.#entries(definition.services)
+    )) {
+      TurtlDefinition.#checkService(
+        `services.${name}`,
+        service,
+        findGlobal,
+        api,
+        report
+      );
+    }
+    return errors;
+  }
+
+  /**
+   * Adds the headers, models and services of a definition to an api, the definition is checked first
+   *
+   * @param {TurtlAPI} api - the api
+   * @param {Object} definition - the definition
+   * @returns {TurtlAPI} - the api
+   *
+   * @throws {Error} - If the definition has problems, listed in `error.errors`
+   */
+  static apply(api, definition) {
+    const errors = TurtlDefinition.validate(definition, api);
+    if (errors.length > 0) {
+      const error = new Error(
+        `[TurtlDefinition] Invalid definition:\n${errors
+          .map(({ path, message }) => `- ${path ? `${path}: ` : ""}${message}`)
+          .join("\n")}`
+      );
+      error.errors = errors;
+      throw error;
+    }
+
+    for (const name in definition.api?.headers ?? {}) {
+      api.addHeader(name, definition.api.headers[name]);
+    }
+    for (const name in definition.models ?? {}) {
+      api.addModel(
+        name,
+        TurtlDefinition.#createFactory(definition.models[name])
+      );
+    }
+    for (const name in definition.services ?? {}) {
+      const config = definition.services[name];
+      const service = new TurtlAPIService(name, config.basePath ?? "", {
+        retry: config.retry ?? null,
+      });
+      for (const header in config.headers ?? {}) {
+        service.addHeader(header, config.headers[header]);
+      }
+      for (const model in config.models ?? {}) {
+        service.addModel(
+          model,
+          TurtlDefinition.#createFactory(config.models[model])
+        );
+      }
+      for (const endpoint in config.endpoints ?? {}) {
+        const { mockResponseSuccess, mockResponseFailure, ...options } =
+          config.endpoints[endpoint];
+        service.addEndpoint(endpoint, {
+          ...structuredClone(options),
+          mockResponseSuccess: TurtlDefinition.#createMock(mockResponseSuccess),
+          mockResponseFailure: TurtlDefinition.#createMock(mockResponseFailure),
+        });
+      }
+      api.addService(service);
+    }
+    return api;
+  }
+
+  /**
+   * Writes the headers, models and services of an api as a definition, options with their default value are left out
+   *
+   * @param {TurtlAPI} api - the api
+   * @returns {Object} - the definition
+   *
+   * @throws {Error} - If a model has no schema or a rule option is a function
+   */
+  static serialize(api) {
+    const settings = {
+      host: api.host,
+      headers: TurtlDefinition.#toHeaders(api.headers),
+      mock: Boolean(api.mock),
+      defaultMockResult: api.defaultMockResult,
+      retry: api.retry,
+      timeoutMs: api.timeoutMs,
+      validationMode: api.validationMode,
+      responseValidation: api.responseValidation,
+      locale: api.messages.locale,
+      fallbackLocale: api.messages.fallbackLocale,
+    };
+    const definition = {
+      version: TurtlDefinition.version,
+      api: TurtlDefinition.#withoutDefaults(
+        settings,
+        TurtlDefinition.#apiDefaults
+      ),
+      models: {},
+      services: {},
+    };
+
+    for (const [name, factory] of api.Models) {
+      // The empty model is registered by every api
+      if (name === "empty" && Object.keys(factory.schema ?? {}).length === 0) {
+        continue;
+      }
+      definition.models[name] = TurtlDefinition.#serializeModel(
+        `models.${name}`,
+        factory
+      );
+    }
+
+    const endpointDefaults = TurtlDefinition.#getEndpointDefaults();
+    for (const [name, service] of api.services) {
+      const config = { basePath: service.basePath };
+      const headers = TurtlDefinition.#toHeaders(service.headers);
+      if (Object.keys(headers).length > 0) {
+        config.headers = headers;
+      }
+      if (service.retry !== null && service.retry !== undefined) {
+        config.retry = TurtlDefinition.#toData(service.retry);
+      }
+      if (service.Models.size > 0) {
+        config.models = {};
+        for (const [model, factory] of service.Models) {
+          config.models[model] = TurtlDefinition.#serializeModel(
+            `services.${name}.models.${model}`,
+            factory
+          );
+        }
+      }
+      config.endpoints = {};
+      for (const [endpointName, endpoint] of service.endpoints) {
+        const options = {};
+        for (const key in endpointDefaults) {
+          let value = endpoint[key];
+          if (key === "mockResponseSuccess" || key === "mockResponseFailure") {
+            const mock = TurtlDefinition.#serializeMock(value);
+            if (mock === null && value !== null && value !== undefined) {
+              console.warn(
+                `[TurtlDefinition] services.${name}.endpoints.${endpointName}.${key} is not a static TurtlResponse and is left out of the definition, add it in code after loading.`
+              );
+            }
+            value = mock;
+          } else if (key === "validateStatus" && value !== false) {
+            value = null;
+          }
+          value = TurtlDefinition.#toData(value);
+          if (
+            value !== undefined &&
+            (key === "path" ||
+              JSON.stringify(value) !== JSON.stringify(endpointDefaults[key]))
+          ) {
+            options[key] = value;
+          }
+        }
+        config.endpoints[endpointName] = options;
+      }
+      definition.services[name] = config;
+    }
+    return definition;
+  }
+
+  static #checkApi(settings, report) {
+    if (settings === undefined) {
+      return;
+    }
+    if (!TurtlDefinition.#isObject(settings)) {
+      report("api", "must be an object");
+      return;
+    }
+    TurtlDefinition.#checkKeys(
+      "api",
+      settings,
+      Object.keys(TurtlDefinition.#apiDefaults),
+      report
+    );
+    if (settings.host !== undefined && typeof settings.host !== "string") {
+      report("api.host", "must be a string");
+    }
+    TurtlDefinition.#checkHeaders("api.headers", settings.headers, report);
+    TurtlDefinition.#checkOneOf(
+      "api.validationMode",
+      settings.validationMode,
+      ["first", "all"],
+      report
+    );
+    TurtlDefinition.#checkOneOf(
+      "api.responseValidation",
+      settings.responseValidation,
+      ["strict", "lenient"],
+      report
+    );
+  }
+
+  static #checkService(path, service, findGlobal, api, report) {
+    if (!TurtlDefinition.#isObject(service)) {
+      report(path, "must be an object");
+      return;
+    }
+    const name = path.slice("services.".length);
+    if (api.getService(name)) {
+      report(path, `service '${name}' already exists on the api`);
+    }
+    TurtlDefinition.#checkKeys(
+      path,
+      service,
+      ["basePath", "headers", "retry", "models", "endpoints"],
+      report
+    );
+    if (
+      service.basePath !== undefined &&
+      typeof service.basePath !== "string"
+    ) {
+      report(`${path}.basePath`, "must be a string");
+    }
+    TurtlDefinition.#checkHeaders(`${path}.headers`, service.headers, report);
+
+    // Service models are looked up before the global models, like a call does
+    const serviceModels = new Set(
+      Object.keys(TurtlDefinition.#entries(service.models))
+    );
+    const findModel = (model) => serviceModels.has(model) || findGlobal(model);
+    TurtlDefinition.#checkModels(
+      `${path}.models`,
+      service.models,
+      findModel,
+      api,
+      report
+    );
+
+    if (!TurtlDefinition.#isObject(service.endpoints)) {
+      if (service.endpoints !== undefined) {
+        report(`${path}.endpoints`, "must be an object of endpoints by name");
+      }
+      return;
+    }
+    const endpointKeys = Object.keys(
+      TurtlDefinition.#getEndpointDefaults()
+    ).concat("path");
+    for (const [name, endpoint] of Object.entries(service.endpoints)) {
+      const endpointPath = `${path}.endpoints.${name}`;
+      if (!TurtlDefinition.#isObject(endpoint)) {
+        report(endpointPath, "must be an object");
+        continue;
+      }
+      TurtlDefinition.#checkKeys(endpointPath, endpoint, endpointKeys, report);
+      if (typeof endpoint.path !== "string") {
+        report(`${endpointPath}.path`, "is required and must be a string");
+      }
+      if (
+        endpoint.method !== undefined &&
+        !TurtlDefinition.#methods.includes(
+          String(endpoint.method).toUpperCase()
+        )
+      ) {
+        report(
+          `${endpointPath}.method`,
+          `unknown method '${
+            endpoint.method
+          }', use one of: ${TurtlDefinition.#methods.join(", ")}`
+        );
+      }
+      for (const key of ["modelName", "responseModelName"]) {
+        if (
+          endpoint[key] !== undefined &&
+          endpoint[key] !== null &&
+          !findModel(endpoint[key])
+        ) {
+          report(
+            `${endpointPath}.${key}`,
+            `model '${endpoint[key]}' not found`
+          );
+        }
+      }
+      TurtlDefinition.#checkOneOf(
+        `${endpointPath}.bodyType`,
+        endpoint.bodyType,
+        TurtlBody.types,
+        report
+      );
+      TurtlDefinition.#checkOneOf(
+        `${endpointPath}.responseType`,
+        endpoint.responseType,
+        TurtlDefinition.#responseTypes,
+        report
+      );
+      TurtlDefinition.#checkOneOf(
+        `${endpointPath}.queryStyle`,
+        endpoint.queryStyle,
+        TurtlQuery.styles,
+        report
+      );
+      TurtlDefinition.#checkHeaders(
+        `${endpointPath}.headers`,
+        endpoint.headers,
+        report
+      );
+      for (const field in TurtlDefinition.#entries(endpoint.fieldLocations)) {
+        const location = endpoint.fieldLocations[field];
+        TurtlDefinition.#checkOneOf(
+          `${endpointPath}.fieldLocations.${field}`,
+          typeof location === "string" ? location : location?.in,
+          ["query", "path", "body", "header"],
+          report
+        );
+      }
+      for (const key of ["mockResponseSuccess", "mockResponseFailure"]) {
+        const mock = endpoint[key];
+        if (
+          mock !== undefined &&
+          mock !== null &&
+          (!TurtlDefinition.#isObject(mock) ||
+            typeof mock.success !== "boolean")
+        ) {
+          report(
+            `${endpointPath}.${key}`,
+            "must be an object like { success, message, data, status }"
+          );
+        }
+      }
+      if (
+        endpoint.validateStatus !== undefined &&
+        endpoint.validateStatus !== null &&
+        endpoint.validateStatus !== false
+      ) {
+        report(
+          `${endpointPath}.validateStatus`,
+          "only false (accept every status) can be defined, add a function in code"
+        );
+      }
+    }
+  }
+
+  static #checkModels(path, models, findModel, api, report) {
+    if (models === undefined) {
+      return;
+    }
+    if (!TurtlDefinition.#isObject(models)) {
+      report(path, "must be an object of models by name");
+      return;
+    }
+    for (const [name, model] of Object.entries(models)) {
+      const modelPath = `${path}.${name}`;
+      if (!TurtlDefinition.#isObject(model)) {
+        report(modelPath, "must be an object like { schema, options }");
+        continue;
+      }
+      TurtlDefinition.#checkKeys(
+        modelPath,
+        model,
+        ["schema", "options"],
+        report
+      );
+      if (model.options !== undefined) {
+        if (!TurtlDefinition.#isObject(model.options)) {
+          report(`${modelPath}.options`, "must be an object");
+        } else {
+          TurtlDefinition.#checkKeys(
+            `${modelPath}.options`,
+            model.options,
+            ["validationMode", "keepUnknown", "defaults"],
+            report
+          );
+          TurtlDefinition.#checkOneOf(
+            `${modelPath}.options.validationMode`,
+            model.options.validationMode,
+            ["first", "all"],
+            report
+          );
+        }
+      }
+      TurtlDefinition.#checkSchema(
+        `${modelPath}.schema`,
+        model.schema,
+        findModel,
+        api,
+        report
+      );
+    }
+  }
+
+  static #checkSchema(path, schema, findModel, api, report) {
+    if (!TurtlDefinition.#isObject(schema)) {
+      report(path, "must be an object of rules by field");
+      return;
+    }
+    for (const [field, rules] of Object.entries(schema)) {
+      const fieldPath = `${path}.${field}`;
+      if (!Array.isArray(rules)) {
+        report(fieldPath, "must be an array of rules");
+        continue;
+      }
+      rules.forEach((entry, index) => {
+        const rulePath = `${fieldPath}[${index}]`;
+        if (
+          !TurtlDefinition.#isObject(entry) ||
+          typeof entry.rule !== "string"
+        ) {
+          report(rulePath, "must be an object like { rule, options }");
+          return;
+        }
+        if (!api.validationRules.has(entry.rule)) {
+          report(`${rulePath}.rule`, `unknown rule '${entry.rule}'`);
+        }
+        if (entry.rule !== "model" && entry.rule !== "arrayOfModel") {
+          return;
+        }
+        const options = entry.options ?? {};
+        if (typeof options.model === "string") {
+          if (!findModel(options.model)) {
+            report(
+              `${rulePath}.options.model`,
+              `model '${options.model}' not found`
+            );
+          }
+        } else if (options.schema !== undefined) {
+          TurtlDefinition.#checkSchema(
+            `${rulePath}.options.schema`,
+            options.schema,
+            findModel,
+            api,
+            report
+          );
+        } else {
+          report(`${rulePath}.options`, "needs a 'model' name or a 'schema'");
+        }
+      });
+    }
+  }
+
+  static #checkKeys(path, object, allowed, report) {
+    for (const key of Object.keys(object)) {
+      if (!allowed.includes(key)) {
+        report(path ? `${path}.${key}` : key, `unknown option '${key}'`);
+      }
+    }
+  }
+
+  static #checkHeaders(path, headers, report) {
+    if (headers === undefined) {
+      return;
+    }
+    if (
+      !TurtlDefinition.#isObject(headers) ||
+      Object.values(headers).some((value) => typeof value !== "string")
+    ) {
+      report(path, "must be an object of header values (strings) by name");
+    }
+  }
+
+  static #checkOneOf(path, value, allowed, report) {
+    if (value !== undefined && !allowed.includes(value)) {
+      report(
+        path,
+        `unknown value '${value}', use one of: ${allowed.join(", ")}`
+      );
+    }
+  }
+
+  static #createFactory(model) {
+    return TurtlRequestModel.createFactory(
+      structuredClone(model.schema),
+      null,
+      structuredClone(model.options ?? {})
+    );
+  }
+
+  static #createMock(mock) {
+    if (!mock) {
+      return null;
+    }
+    const response = TurtlResponse.fromJson(structuredClone(mock));
+    if (typeof mock.status === "number") {
+      response.status = mock.status;
+      if (!response.success) {
+        response.errorType = TurtlResponse.getErrorTypeForStatus(mock.status);
+      }
+    }
+    return response;
+  }
+
+  static #serializeModel(path, factory) {
+    if (!TurtlDefinition.#isObject(factory?.schema)) {
+      throw new Error(
+        `[TurtlDefinition] ${path} has no schema, only models made with TurtlRequestModel.createFactory can be written to a definition.`
+      );
+    }
+    const schema = {};
+    for (const field in factory.schema) {
+      schema[field] = factory.schema[field].map((entry) => {
+        const rule = { rule: entry.rule };
+        if (entry.optional) {
+          rule.optional = true;
+        }
+        if (entry.options !== undefined) {
+          rule.options = TurtlDefinition.#serializeRuleOptions(
+            `${path}.schema.${field}`,
+            entry
+          );
+        }
+        return rule;
+      });
+    }
+    const model = { schema };
+    const options = TurtlDefinition.#toData(factory.options ?? {});
+    if (Object.keys(options).length > 0) {
+      model.options = options;
+    }
+    return model;
+  }
+
+  static #serializeRuleOptions(path, entry) {
+    const options = { ...entry.options };
+    if (options.pattern instanceof RegExp) {
+      options.flags = options.flags ?? options.pattern.flags;
+      options.pattern = options.pattern.source;
+    }
+    if (options.schema !== undefined) {
+      options.schema = TurtlDefinition.#serializeModel(path, {
+        schema: options.schema,
+      }).schema;
+    }
+    for (const key in options) {
+      if (typeof options[key] === "function") {
+        throw new Error(
+          `[TurtlDefinition] Option '${key}' of rule '${entry.rule}' in ${path} is a function and can't be written to a definition.`
+        );
+      }
+    }
+    return TurtlDefinition.#toData(options);
+  }
+
+  static #serializeMock(mock) {
+    if (!(mock instanceof TurtlResponse)) {
+      return null;
+    }
+    const data = {
+      success: mock.success,
+      message: mock.message,
+      data: mock.data,
+    };
+    if (mock.status !== null && mock.status !== undefined) {
+      data.status = mock.status;
+    }
+    return data;
+  }
+
+  static #getEndpointDefaults() {
+    const defaults = { ...new TurtlEndpoint({ name: "", path: "" }) };
+    for (const key of TurtlDefinition.#runtimeEndpointKeys) {
+      delete defaults[key];
+    }
+    return defaults;
+  }
+
+  static #withoutDefaults(values, defaults) {
+    const result = {};
+    for (const key in values) {
+      const value = TurtlDefinition.#toData(values[key]);
+      if (
+        value !== undefined &&
+        JSON.stringify(value) !== JSON.stringify(defaults[key])
+      ) {
+        result[key] = value;
+      }
+    }
+    return result;
+  }
+
+  static #toHeaders(headers) {
+    const result = {};
+    for (const [name, value] of headers) {
+      if (typeof value === "string") {
+        result[name] = value;
+      }
+    }
+    return result;
+  }
+
+  static #toData(value) {
+    if (typeof value === "function") {
+      return undefined;
+    }
+    if (value instanceof Date) {
+      return value.toISOString();
+    }
+    if (Array.isArray(value)) {
+      return value
+        .map((item) => TurtlDefinition.#toData(item))
+        .filter((item) => item !== undefined);
+    }
+    if (value && typeof value === "object") {
+      const result = {};
+      for (const key in value) {
+        const item = TurtlDefinition.#toData(value[key]);
+        if (item !== undefined) {
+          result[key] = item;
+        }
+      }
+      return result;
+    }
+    return value;
+  }
+
+  static #entries(value) {
+    return TurtlDefinition.#isObject(value) ? value : {};
+  }
+
+  static #isObject(value) {
+    return !!value && typeof value === "object" && !Array.isArray(value);
+  }
+}
@@ -1,29 +1,72 @@
+/** @typedef {import("./TurtlAuth.js").TurtlAuth} TurtlAuth */
+/** @typedef {import("./TurtlResponseAdapter.js").TurtlResponseAdapter} TurtlResponseAdapter */
+
 /**
  * Represents an API endpoint configuration for Turtl.
  *
  * @class
  * @param {Object} options - The endpoint configuration options.
  * @param {string} options.name - The name of the endpoint.
- * @param {string} options.path - The API path for the endpoint.
+ * @param {string} options.path - The API path for the endpoint, may contain placeholders like `/users/:id` or `/users/{id}`.
  * @param {string} [options.method="POST"] - The HTTP method for the endpoint. Defaults to "POST".
  * @param {string} [options.modelName="empty"] - The model name associated with the endpoint. Defaults to "empty".
  * @param {boolean} [options.requiresAuth=false] - Whether the endpoint requires authentication. Defaults to false.
+ * @param {TurtlAuth} [options.auth=null] - Auth strategy for this endpoint, overrides the service and api strategy.
  * @param {*} [options.mockResponseSuccess=null] - Mock response data for successful requests.
  * @param {*} [options.mockResponseFailure=null] - Mock response data for failed requests.
  * @param {Object} [options.headers={}] - Custom headers for the endpoint requests.
+ * @param {Function[]} [options.middleware=[]] - Middleware that only runs for this endpoint, after api and service middleware.
+ * @param {Object|boolean} [options.retry=null] - Retry options, overrides service and api options. `false` disables retries.
+ * @param {number} [options.timeoutMs=null] - Timeout per attempt in milliseconds, overrides the api default.
+ * @param {boolean} [options.keepPathParams=false] - Whether fields used in the path are also sent in the body or query.
+ * @param {string} [options.responseModelName=null] - The model the response data is transformed and validated with.
+ * @param {string} [options.responseValidation=null] - `strict` turns a mismatching response into a failure, `lenient` logs a warning. Overrides the api default.
+ * @param {Function|boolean} [options.validateStatus=null] - `(status) => boolean` deciding which HTTP statuses are a success, `false` accepts every status. Defaults to 2xx.
+ * @param {Object|boolean|number} [options.cache=null] - Cache successful GET responses, `true`, a TTL in milliseconds or `{ ttl, staleWhileRevalidate }`.
+ * @param {string|string[]} [options.tags=[]] - Cache tags of the responses, the full endpoint name (`service.endpoint`) is always added.
+ * @param {string|string[]} [options.invalidates=[]] - Cache tags that are invalidated after a successful call.
+ * @param {boolean} [options.dedupe=null] - Whether identical concurrent calls share one request. Defaults to true for GET and false for other methods.
+ * @param {string} [options.bodyType="json"] - How the request model is sent: `json`, `form-data`, `urlencoded`, `text` or `binary`. Ignored for GET.
+ * @param {string} [options.bodyField="body"] - The model field sent as body for `text` and `binary`.
+ * @param {string} [options.responseType="json"] - How the response body is read: `json`, `text`, `blob`, `arraybuffer` or `stream`. Other types than json put the body in `data`.
+ * @param {Object} [options.fieldLocations={}] - Where model fields are sent, by field name: `query`, `path`, `body`, `header` or `{ in, name, style }` to rename the parameter or header and set its query style. Defaults to query for GET and body otherwise.
+ * @param {string} [options.queryStyle="comma"] - How arrays are written in the query string: `comma`, `repeat`, `brackets`, `deepObject`, `pipe` or `space`, see TurtlQuery.
+ * @param {TurtlResponseAdapter} [options.responseAdapter=null] - Maps raw responses of this endpoint into a TurtlResponse, overrides the service and api adapter.
+ * @param {Object|boolean} [options.mockProgress=null] - Simulated progress in mock mode, `true` or `{ steps, interval, uploadSize, downloadSize }`. Without it progress is reported at once.
+ * @param {string} [options.responseDescription=null] - Description of the success response in the OpenAPI export, set by the OpenAPI import.
  */
 export class TurtlEndpoint {
   /**
    * Creates a new TurtleEndpoint instance.
    * @param {Object} options - The endpoint configuration options.
    * @param {string} options.name - The name of the endpoint.
-   * @param {string} options.path - The API path for the endpoint.
+   * @param {string} options.path - The API path for the endpoint, may contain placeholders like `/users/:id` or `/users/{id}`.
    * @param {string} [options.method="POST"] - The HTTP method for the endpoint -- default is POST.
    * @param {string} [options.modelName="empty"] - The model name associated with the endpoint -- default is 'empty' model.
    * @param {boolean} [options.requiresAuth=false] - Whether the endpoint requires authentication -- default is false.
+   * @param {TurtlAuth} [options.auth=null] - Auth strategy for this endpoint, overrides the service and api strategy.
    * @param {*} [options.mockResponseSuccess=null] - Mock response data for successful requests.
    * @param {*} [options.mockResponseFailure=null] - Mock response data for failed requests.
    * @param {Object} [options.headers={}] - Custom headers for the endpoint requests.
+   * @param {Function[]} [options.middleware=[]] - Middleware that only runs for this endpoint.
+   * @param {Object|boolean} [options.retry=null] - Retry options, overrides service and api options.
+   * @param {number} [options.timeoutMs=null] - Timeout per attempt in milliseconds, overrides the api default.
+   * @param {boolean} [options.keepPathParams=false] - Whether fields used in the path are also sent in the body or query.
+   * @param {string} [options.responseModelName=null] - The model the response data is transformed and validated with.
+   * @param {string} [options.responseValidation=null] - `strict` or `lenient`, overrides the api default.
+   * @param {Function|boolean} [options.validateStatus=null] - `(status) => boolean` deciding which HTTP statuses are a success, `false` accepts every status -- default is 2xx.
+   * @param {Object|boolean|number} [options.cache=null] - Cache successful GET responses, `true`, a TTL in milliseconds or `{ ttl, staleWhileRevalidate }`.
+   * @param {string|string[]} [options.tags=[]] - Cache tags of the responses.
+   * @param {string|string[]} [options.invalidates=[]] - Cache tags that are invalidated after a successful call.
+   * @param {boolean} [options.dedupe=null] - Whether identical concurrent calls share one request -- default is true for GET only.
+   * @param {string} [options.bodyType="json"] - How the request model is sent: `json`, `form-data`, `urlencoded`, `text` or `binary` -- default is json.
+   * @param {string} [options.bodyField="body"] - The model field sent as body for `text` and `binary`.
+   * @param {string} [options.responseType="json"] - How the response body is read: `json`, `text`, `blob`, `arraybuffer` or `stream` -- default is json.
+   * @param {Object} [options.fieldLocations={}] - Where model fields are sent: `query`, `path`, `body`, `header` or `{ in, name, style }`.
+   * @param {string} [options.queryStyle="comma"] - How arrays are written in the query string -- default is comma.
+   * @param {TurtlResponseAdapter} [options.responseAdapter=null] - Response adapter, overrides the service and api adapter.
+   * @param {Object|boolean} [options.mockProgress=null] - Simulated progress in mock mode, `true` or `{ steps, interval, uploadSize, downloadSize }`.
+   * @param {string} [options.responseDescription=null] - Description of the success response in the OpenAPI export.
    */
   constructor({
     name,
@@ -31,17 +74,62 @@ export class TurtlEndpoint {
     method = "POST",
     modelName = "empty",
     requiresAuth = false,
+    auth = null,
     mockResponseSuccess = null,
     mockResponseFailure = null,
     headers = {},
+    middleware = [],
+    retry = null,
+    timeoutMs = null,
+    keepPathParams = false,
+    responseModelName = null,
+    responseValidation = null,
+    validateStatus = null,
+    cache = null,
+    tags = [],
+    invalidates = [],
+    dedupe = null,
+    bodyType = "json",
+    bodyField = "body",
+    responseType = "json",
+    fieldLocations = {},
+    queryStyle = "comma",
+    responseAdapter = null,
+    mockProgress = null,
+    responseDescription = null,
   }) {
     this.name = name;
     this.path = path;
     this.method = method;
     this.modelName = modelName;
     this.requiresAuth = requiresAuth;
+    this.auth = auth;
     this.mockResponseSuccess = mockResponseSuccess;
     this.mockResponseFailure = mockResponseFailure;
     this.headers = headers;
+    this.middleware = middleware;
+    this.retry = retry;
+    this.timeoutMs = timeoutMs;
+    this.keepPathParams = keepPathParams;
+    this.responseModelName = responseModelName;
+    this.responseValidation = responseValidation;
+    this.validateStatus = validateStatus;
+    this.cache = cache;
+    // A single tag can be given as a string
+    this.tags = Array.isArray(tags) ? tags : tags ? [tags] : [];
+    this.invalidates = Array.isArray(invalidates)
+      ? invalidates
+      : invalidates
+      ? [invalidates]
+      : [];
+    this.dedupe = dedupe;
+    this.bodyType = bodyType;
+    this.bodyField = bodyField;
+    this.responseType = responseType;
+    this.fieldLocations = fieldLocations;
+    this.queryStyle = queryStyle;
+    this.responseAdapter = responseAdapter;
+    this.mockProgress = mockProgress;
+    this.responseDescription = responseDescription;
   }
 }
@@ -0,0 +1,213 @@
+import { TurtlBody } from "./TurtlBody.js";
+import { TurtlTransport } from "./TurtlTransport.js";
+
+/**
+ * Transport adapter that sends requests with the `fetch` API.
+ * Works in browsers, service workers, Deno and Node 18+.
+ *
+ * @class
+ * @extends TurtlTransport
+ * @example
+ * const api = new TurtlAPI({ host: "https://api.example.com", transport: new TurtlFetchTransport() });
+ *
+ * @param {Object} [options={}] - transport options
+ * @param {Function} [options.fetch=globalThis.fetch] - fetch implementation to use
+ * @param {Object} [options.init={}] - extra options merged into every fetch call (e.g. `credentials`)
+ * @param {boolean} [options.streamUploads=false] - send bodies as a stream to report real upload progress, needs streaming request support (Node 18+, Chromium over HTTP/2)
+ *
+ * @description
+ * Download progress is counted while the response body is read, not for the `stream` response type.
+ * The timeout covers the response headers for streams, the signal can still cancel the stream.
+ * fetch has no upload events, without `streamUploads` upload progress is reported once when sending starts and once when the response arrives.
+ */
+export class TurtlFetchTransport extends TurtlTransport {
+  /**
+   * Creates a new fetch transport.
+   *
+   * @param {Object} [options={}] - transport options
+   * @param {Function} [options.fetch=globalThis.fetch] - fetch implementation to use
+   * @param {Object} [options.init={}] - extra options merged into every fetch call
+   * @param {boolean} [options.streamUploads=false] - send bodies as a stream to report real upload progress
+   */
+  constructor({ fetch = null, init = {}, streamUploads = false } = {}) {
+    super();
+    this.fetch = fetch;
+    this.init = init;
+    this.streamUploads = streamUploads;
+  }
+
+  /**
+   * Sends a request with fetch
+   *
+   * @async
+   * @param {Object} request - normalized request object
+   * @returns {Promise<Object>} - normalized raw response
+   */
+  async send(request) {
+    const fetchFn = this.fetch || globalThis.fetch;
+    if (typeof fetchFn !== "function") {
+      throw new Error("[TurtlFetchTransport] fetch is not available.");
+    }
+    if (request.signal?.aborted) {
+      return TurtlTransport.createResponse({ error: "aborted" });
+    }
+
+    const controller = new AbortController();
+    let timedOut = false;
+    let timer = null;
+    const onAbort = () => controller.abort();
+    request.signal?.addEventListener("abort", onAbort, { once: true });
+    if (request.timeout > 0) {
+      timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, request.timeout);
+    }
+
+    try {
+      const init = {
+        ...this.init,
+        method: request.method,
+        headers: request.headers,
+        body: request.body ?? undefined,
+        signal: controller.signal,
+      };
+      const uploadSize = TurtlBody.size(request.body);
+      if (request.onUploadProgress && this.streamUploads && uploadSize > 0) {
+        Object.assign(
+          init,
+          await TurtlFetchTransport.#createUploadStream(request)
+        );
+      } else {
+        TurtlTransport.reportProgress(request.onUploadProgress, 0, uploadSize);
+      }
+      const response = await fetchFn(request.url, init);
+      if (!init.duplex) {
+        TurtlTransport.reportProgress(
+          request.onUploadProgress,
+          uploadSize,
+          uploadSize
+        );
+      }
+      const headers = {};
+      response.headers.forEach((value, key) => {
+        headers[key] = value;
+      });
+      return TurtlTransport.createResponse({
+        status: response.status,
+        statusText: response.statusText,
+        headers,
+        body: await TurtlFetchTransport.#readBody(
+          response,
+          request.responseType,
+          request.onDownloadProgress
+        ),
+      });
+    } catch (error) {
+      if (timedOut) {
+        return TurtlTransport.createResponse({ error: "timeout" });
+      }
+      if (controller.signal.aborted) {
+        return TurtlTransport.createResponse({ error: "aborted" });
+      }
+      return TurtlTransport.createResponse({ error: "network" });
+    } finally {
+      clearTimeout(timer);
+      // A stream is still read after send returns, the signal can cancel it until then
+      if (request.responseType !== "stream") {
+        request.signal?.removeEventListener("abort", onAbort);
+      }
+    }
+  }
+
+  /**
+   * Replaces the body with a stream that reports upload progress while it is read
+   *
+   * @param {Object} request - normalized request object
+   * @returns {Promise<Object>} - `body`, `headers` and `duplex` for the fetch options
+   */
+  static async #createUploadStream(request) {
+    const encoded = new Response(request.body);
+    const bytes = new Uint8Array(await encoded.arrayBuffer());
+    const headers = { ...request.headers };
+    const contentType = encoded.headers.get("content-type");
+    if (
+      contentType &&
+      !Object.keys(headers).some(
+        (name) => name.toLowerCase() === "content-type"
+      )
+    ) {
+      headers["Content-Type"] = contentType;
+    }
+    let loaded = 0;
+    TurtlTransport.reportProgress(
+      request.onUploadProgress,
+      0,
+      bytes.byteLength
+    );
+    const body = new ReadableStream({
+      pull(controller) {
+        if (loaded >= bytes.byteLength) {
+          controller.close();
+          return;
+        }
+        const chunk = bytes.subarray(loaded, loaded + 65536);
+        loaded += chunk.byteLength;
+        controller.enqueue(chunk);
+        TurtlTransport.reportProgress(
+          request.onUploadProgress,
+          loaded,
+          bytes.byteLength
+        );
+      },
+    });
+    return { body, headers, duplex: "half" };
+  }
+
+  /**
+   * Reads a response body as the requested type while reporting download progress
+   *
+   * @param {Response} response - fetch response
+   * @param {string} responseType - `text`, `blob`, `arraybuffer` or `stream`
+   * @param {Function|null} onProgress - progress callback
+   * @returns {Promise<string|Blob|ArrayBuffer|ReadableStream|null>} - response body
+   */
+  static async #readBody(response, responseType, onProgress) {
+    if (responseType === "stream") {
+      return response.body;
+    }
+    if (!onProgress || !response.body) {
+      const blob = await response.blob();
+      TurtlTransport.reportProgress(onProgress, blob.size, blob.size);
+      return TurtlFetchTransport.#fromBlob(blob, responseType);
+    }
+    const length = Number(response.headers.get("content-length"));
+    const total = length > 0 ? length : null;
+    const reader = response.body.getReader();
+    const chunks = [];
+    let loaded = 0;
+    TurtlTransport.reportProgress(onProgress, 0, total);
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) {
+        break;
+      }
+      chunks.push(value);
+      loaded += value.byteLength;
+      TurtlTransport.reportProgress(onProgress, loaded, total);
+    }
+    return TurtlFetchTransport.#fromBlob(
+      new Blob(chunks, { type: response.headers.get("content-type") ?? "" }),
+      responseType
+    );
+  }
+
+  static async #fromBlob(blob, responseType) {
+    if (responseType === "blob") {
+      return blob;
+    }
+    return responseType === "arraybuffer"
+      ? await blob.arrayBuffer()
+      : await blob.text();
+  }
+}
@@ -0,0 +1,143 @@
+import { TurtlResponse } from "./TurtlResponse.js";
+import { TurtlResponseAdapter } from "./TurtlResponseAdapter.js";
+
+/**
+ * Response adapter for JSON:API documents (`application/vnd.api+json`).
+ *
+ * @class
+ * @extends TurtlResponseAdapter
+ * @example
+ * const blog = new TurtlAPIService("blog", "/api", {
+ *   responseAdapter: new TurtlJsonApiAdapter(),
+ * });
+ * blog.addEndpoint("article", { path: "/articles/:id", method: "GET" });
+ *
+ * const response = await api.call("blog.article", { id: 1 });
+ * response.data; // { id: "1", type: "articles", title: "...", author: { id: "9", type: "people", name: "..." } }
+ * response.meta; // top level meta, like paging
+ *
+ * @description
+ * - Resources are flattened to `{ id, type, ...attributes }`, relationships are added by name and
+ *   resolved from `included` when the resource is there, otherwise they are `{ id, type }`.
+ *   Included resources are resolved one level deep, their own relationships are left out.
+ * - The top level `meta` and `links` are set on the response.
+ * - A document with `errors` is a failure, the message is the `detail` (or `title`) of the first error.
+ *   Errors with a `source.pointer` like `/data/attributes/email` or a `source.parameter` are reported per field,
+ *   other errors under `_model`, in the `errors` and `errorList` format of request model validation.
+ *
+ * @param {Object} [options={}] - adapter options, see TurtlResponseAdapter
+ * @param {boolean} [options.flatten=true] - flatten resources, `false` keeps the primary `data` as sent
+ */
+export class TurtlJsonApiAdapter extends TurtlResponseAdapter {
+  /**
+   * Creates a new JSON:API adapter.
+   *
+   * @param {Object} [options={}] - adapter options, see TurtlResponseAdapter
+   * @param {boolean} [options.flatten=true] - flatten resources, `false` keeps the primary `data` as sent
+   */
+  constructor({ flatten = true, ...options } = {}) {
+    super(options);
+    this.flatten = flatten;
+  }
+
+  /**
+   * Maps a raw response into a TurtlResponse
+   *
+   * @param {Object} raw - raw response with the body as text
+   * @param {Object} context - `{ api, accepted }`
+   * @returns {TurtlResponse} - the response
+   */
+  adapt(raw, context) {
+    if (typeof this.adapter === "function") {
+      return this.adapter(raw, context);
+    }
+    const document = TurtlResponseAdapter.parseJson(raw.body);
+    if (document === undefined && (raw.body ?? "").trim() !== "") {
+      return context.accepted
+        ? TurtlResponse.Error(
+            context.api.translate("transport.invalidResponse"),
+            TurtlResponse.ErrorType.PARSE
+          )
+        : TurtlResponse.Error("");
+    }
+
+    let response;
+    if (Array.isArray(document?.errors)) {
+      response = this.#createFailure(document.errors);
+    } else if (!context.accepted) {
+      response = TurtlResponse.Error("");
+    } else {
+      const included = document?.included ?? [];
+      response = TurtlResponse.Success(
+        "",
+        this.flatten
+          ? this.#deserialize(document?.data ?? null, included)
+          : document?.data ?? null
+      );
+    }
+    response.meta = document?.meta ?? null;
+    response.links = document?.links ?? null;
+    return response;
+  }
+
+  #createFailure(documentErrors) {
+    const errors = {};
+    const errorList = [];
+    for (const error of documentErrors) {
+      const message = error.detail ?? error.title ?? "";
+      const field = TurtlJsonApiAdapter.#getField(error.source);
+      errors[field] = [...(errors[field] || []), message];
+      errorList.push({ field, message });
+    }
+    const first = documentErrors[0];
+    const response = TurtlResponse.Error(
+      first?.detail ?? first?.title ?? "",
+      first?.status
+        ? TurtlResponse.getErrorTypeForStatus(Number(first.status))
+        : null
+    );
+    response.data = { errors, errorList, jsonApiErrors: documentErrors };
+    return response;
+  }
+
+  static #getField(source) {
+    if (source?.pointer) {
+      const path = source.pointer
+        .replace(/^\/data(\/\d+)?\/(attributes|relationships)\/?/, "")
+        .replace(/^\/data\/?/, "");
+      return path === "" ? "_model" : path.split("/").join(".");
+    }
+    return source?.parameter ?? "_model";
+  }
+
+  #deserialize(data, included) {
+    if (Array.isArray(data)) {
+      return data.map((resource) => this.#deserialize(resource, included));
+    }
+    if (!data || typeof data !== "object") {
+      return data;
+    }
+    const resource = TurtlJsonApiAdapter.#flattenResource(data);
+    for (const name in data.relationships || {}) {
+      const related = data.relationships[name]?.data;
+      const resolve = (identifier) => {
+        const found = included.find(
+          (item) => item.type === identifier.type && item.id === identifier.id
+        );
+        return found
+          ? TurtlJsonApiAdapter.#flattenResource(found)
+          : { id: identifier.id, type: identifier.type };
+      };
+      resource[name] = Array.isArray(related)
+        ? related.map(resolve)
+        : related
+        ? resolve(related)
+        : null;
+    }
+    return resource;
+  }
+
+  static #flattenResource(resource) {
+    return { id: resource.id, type: resource.type, ...resource.attributes };
+  }
+}
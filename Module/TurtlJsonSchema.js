@@ -0,0 +1,346 @@
+/**
+ * Maps JSON Schema (as used in OpenAPI 3) onto request model schemas and the built-in validation rules.
+ *
+ * @class
+ * @example
+ * TurtlJsonSchema.toModelSchema({
+ *   type: "object",
+ *   required: ["email"],
+ *   properties: { email: { type: "string", format: "email" }, age: { type: "integer", minimum: 18 } },
+ * });
+ * // { email: [{ rule: "required" }, { rule: "email" }], age: [{ rule: "integer" }, { rule: "min", options: { min: 18 } }] }
+ *
+ * @description
+ * | JSON Schema                       | rule                          |
+ * | --------------------------------- | ----------------------------- |
+ * | `required`                        | `required`                    |
+ * | `enum`                            | `oneOf`                       |
+ * | `format: email`, `uri`, `uuid`    | `email`, `url`, `uuid`        |
+ * | `format: date`, `date-time`       | `date`                        |
+ * | `minLength`, `maxLength`          | `minLength`, `maxLength`      |
+ * | `maxItems`                        | `maxLength`                   |
+ * | `pattern`                         | `pattern`                     |
+ * | `type: string`, `number`, `boolean` | `typeOf`, not for dates and binary strings |
+ * | `type: integer`                   | `integer`                     |
+ * | `minimum`, `maximum`              | `min`, `max`                  |
+ * | `items` with a primitive `type`   | `arrayOf`                     |
+ * | object `properties`               | `model` with an inline schema |
+ * | array of objects                  | `arrayOfModel`                |
+ *
+ * `typeOf` and `arrayOf` of fields that are not required are `optional`, they skip a missing value.
+ * `allOf` parts are merged, `$ref` is resolved with the `resolve` option. Other keywords are ignored.
+ *
+ * The other way around, fromModelSchema also maps `between`, `phone`, `typeOf`, `fileType` and `maxFileSize`.
+ * Rules without a JSON Schema counterpart (`sameAs`, `instanceOf`) are left out, custom rules
+ * can give their own fragment with the `jsonSchema` option of `registerValidationRule`.
+ *
+ * @method static toModelSchema(schema, options) Converts an object schema to a request model schema.
+ * @method static toRules(schema, required, options) Converts a property schema to validation rules.
+ * @method static fromModelSchema(modelSchema, options) Converts a request model schema to an object schema.
+ * @method static fromRules(rules, options) Converts validation rules to a property schema.
+ */
+export class TurtlJsonSchema {
+  /**
+   * Converts an object schema to a request model schema
+   *
+   * @param {Object} schema - JSON schema of an object
+   * @param {Object} [options={}] - conversion options
+   * @param {Function} [options.resolve] - `(schema) => schema`, resolves `$ref` schemas
+   * @param {Set<Object>} [options.seen] - schemas being converted, used to stop at recursive schemas
+   * @returns {Object} - request model schema, `{ field: rules }`
+   */
+  static toModelSchema(schema, { resolve = (s) => s, seen = new Set() } = {}) {
+    const resolved = resolve(schema ?? {}) ?? {};
+    const merged = TurtlJsonSchema.#merge(resolved, resolve);
+    const nested = new Set(seen).add(resolved);
+    const modelSchema = {};
+    for (const field in merged.properties) {
+      modelSchema[field] = TurtlJsonSchema.toRules(
+        merged.properties[field],
+        merged.required.includes(field),
+        { resolve, seen: nested }
+      );
+    }
+    return modelSchema;
+  }
+
+  /**
+   * Converts a property schema to validation rules
+   *
+   * @param {Object} schema - JSON schema of the property
+   * @param {boolean} [required=false] - whether the property is required
+   * @param {Object} [options={}] - conversion options, see toModelSchema
+   * @returns {Array<Object>} - validation rules
+   */
+  static toRules(
+    schema,
+    required = false,
+    { resolve = (s) => s, seen = new Set() } = {}
+  ) {
+    const rules = required ? [{ rule: "required" }] : [];
+    const resolved = resolve(schema ?? {});
+    if (!resolved || typeof resolved !== "object" || seen.has(resolved)) {
+      return rules;
+    }
+    const property = TurtlJsonSchema.#merge(resolved, resolve);
+    const type = Array.isArray(property.type)
+      ? property.type.find((item) => item !== "null")
+      : property.type;
+
+    if (Array.isArray(property.enum)) {
+      rules.push({ rule: "oneOf", options: { values: property.enum } });
+    }
+    // Dates may be Date objects and binary strings are files, they get no typeOf
+    if (
+      ["number", "boolean"].includes(type) ||
+      (type === "string" &&
+        !["date", "date-time", "binary", "byte"].includes(property.format))
+    ) {
+      rules.push(
+        TurtlJsonSchema.#optional(
+          { rule: "typeOf", options: { type } },
+          required
+        )
+      );
+    }
+    const formatRule = {
+      email: "email",
+      uri: "url",
+      url: "url",
+      uuid: "uuid",
+      date: "date",
+      "date-time": "date",
+    }[property.format];
+    if (formatRule) {
+      rules.push({ rule: formatRule });
+    }
+    if (typeof property.minLength === "number") {
+      rules.push({
+        rule: "minLength",
+        options: { length: property.minLength },
+      });
+    }
+    const maxLength = property.maxLength ?? property.maxItems;
+    if (typeof maxLength === "number") {
+      rules.push({ rule: "maxLength", options: { length: maxLength } });
+    }
+    if (typeof property.pattern === "string") {
+      rules.push({ rule: "pattern", options: { pattern: property.pattern } });
+    }
+    if (type === "integer") {
+      rules.push({ rule: "integer" });
+    }
+    if (typeof property.minimum === "number") {
+      rules.push({ rule: "min", options: { min: property.minimum } });
+    }
+    if (typeof property.maximum === "number") {
+      rules.push({ rule: "max", options: { max: property.maximum } });
+    }
+
+    const nested = new Set(seen).add(resolved);
+    if (type === "object" || Object.keys(property.properties).length > 0) {
+      if (Object.keys(property.properties).length > 0) {
+        rules.push({
+          rule: "model",
+          options: {
+            schema: TurtlJsonSchema.toModelSchema(property, {
+              resolve,
+              seen: nested,
+            }),
+          },
+        });
+      }
+    } else if (type === "array" && property.items) {
+      const items = TurtlJsonSchema.#merge(resolve(property.items), resolve);
+      const itemType = Array.isArray(items.type)
+        ? items.type.find((item) => item !== "null")
+        : items.type;
+      if (Object.keys(items.properties).length > 0) {
+        if (!nested.has(resolve(property.items))) {
+          rules.push({
+            rule: "arrayOfModel",
+            options: {
+              schema: TurtlJsonSchema.toModelSchema(items, {
+                resolve,
+                seen: nested,
+              }),
+            },
+          });
+        }
+      } else if (
+        ["string", "number", "integer", "boolean"].includes(itemType)
+      ) {
+        rules.push(
+          TurtlJsonSchema.#optional(
+            {
+              rule: "arrayOf",
+              options: { type: itemType === "integer" ? "number" : itemType },
+            },
+            required
+          )
+        );
+      }
+    }
+    return rules;
+  }
+
+  /**
+   * Converts a request model schema to an object schema
+   *
+   * @param {Object} modelSchema - request model schema, `{ field: rules }`
+   * @param {Object} [options={}] - conversion options
+   * @param {Function} [options.getRuleSchema] - `(rule, options) => Object|undefined`, schema fragment of a custom rule, overrides the built-in mapping
+   * @param {Function} [options.getModelRef] - `(name) => Object|null`, schema of a registered model used by `model` rules, usually a `$ref`
+   * @returns {Object} - JSON schema of an object
+   */
+  static fromModelSchema(modelSchema, options = {}) {
+    const schema = { type: "object", properties: {} };
+    const required = [];
+    for (const field in modelSchema || {}) {
+      const property = TurtlJsonSchema.fromRules(modelSchema[field], options);
+      schema.properties[field] = property.schema;
+      if (property.required) {
+        required.push(field);
+      }
+    }
+    if (required.length > 0) {
+      schema.required = required;
+    }
+    return schema;
+  }
+
+  /**
+   * Converts validation rules to a property schema
+   *
+   * @param {Array<Object>} rules - validation rules of the property
+   * @param {Object} [options={}] - conversion options, see fromModelSchema
+   * @returns {{schema: Object, required: boolean}} - property schema and whether the property is required
+   */
+  static fromRules(rules, options = {}) {
+    const { getRuleSchema = () => undefined } = options;
+    let schema = {};
+    let required = false;
+    for (const entry of Array.isArray(rules) ? rules : []) {
+      const ruleOptions = entry?.options || {};
+      if (entry?.rule === "required") {
+        required = true;
+      }
+      const fragment =
+        getRuleSchema(entry?.rule, ruleOptions) ??
+        TurtlJsonSchema.#fromRule(entry?.rule, ruleOptions, options);
+      schema = { ...schema, ...fragment };
+    }
+    // maxLength also limits arrays
+    if (schema.type === "array" && schema.maxLength !== undefined) {
+      schema.maxItems = schema.maxLength;
+      delete schema.maxLength;
+    }
+    return { schema, required };
+  }
+
+  static #fromRule(rule, options, conversion) {
+    const jsonTypes = ["string", "number", "boolean", "object"];
+    const nested = () =>
+      options.model
+        ? conversion.getModelRef?.(options.model) ?? { type: "object" }
+        : TurtlJsonSchema.fromModelSchema(options.schema, conversion);
+    switch (rule) {
+      case "email":
+        return { type: "string", format: "email" };
+      case "url":
+        return { type: "string", format: "uri" };
+      case "uuid":
+        return { type: "string", format: "uuid" };
+      case "date":
+      case "dateRange":
+        return { type: "string", format: "date-time" };
+      case "phone":
+        return { type: "string" };
+      case "minLength":
+        return { type: "string", minLength: options.length ?? 0 };
+      case "maxLength":
+        return options.length === undefined
+          ? {}
+          : { maxLength: options.length };
+      case "pattern":
+        return options.pattern
+          ? {
+              type: "string",
+              pattern:
+                options.pattern instanceof RegExp
+                  ? options.pattern.source
+                  : String(options.pattern),
+            }
+          : {};
+      case "oneOf":
+        return { enum: options.values || [] };
+      case "integer":
+        return { type: "integer" };
+      case "min":
+        return { minimum: options.min };
+      case "max":
+        return { maximum: options.max };
+      case "between":
+        return { minimum: options.min, maximum: options.max };
+      case "typeOf":
+        return jsonTypes.includes(options.type) ? { type: options.type } : {};
+      case "arrayOf":
+        return {
+          type: "array",
+          items:
+            !options.isTypeClass && jsonTypes.includes(options.type)
+              ? { type: options.type }
+              : {},
+        };
+      case "fileType":
+      case "maxFileSize":
+        return { type: "string", format: "binary" };
+      case "model":
+        return nested();
+      case "arrayOfModel":
+        return { type: "array", items: nested() };
+      default:
+        return {};
+    }
+  }
+
+  /**
+   * Merges the `allOf` parts of a schema into one schema with all properties and required fields
+   *
+   * @param {Object} schema - resolved schema
+   * @param {Function} resolve - `$ref` resolver
+   * @returns {Object} - merged schema, `properties` and `required` are always set
+   */
+  static #merge(schema, resolve) {
+    const merged = { ...schema, properties: {}, required: [] };
+    for (const part of [schema, ...(schema?.allOf ?? [])]) {
+      const resolved = part === schema ? part : resolve(part);
+      if (!resolved || typeof resolved !== "object") {
+        continue;
+      }
+      const inner =
+        resolved !== schema && resolved.allOf
+          ? TurtlJsonSchema.#merge(resolved, resolve)
+          : resolved;
+      Object.assign(merged.properties, inner.properties ?? {});
+      merged.required.push(...(inner.required ?? []));
+      for (const key of ["type", "format", "enum", "items"]) {
+        if (merged[key] === undefined && inner[key] !== undefined) {
+          merged[key] = inner[key];
+        }
+      }
+    }
+    return merged;
+  }
+
+  /**
+   * Marks a rule of a field that is not required as optional, so it skips a missing value
+   *
+   * @param {Object} rule - rule entry
+   * @param {boolean} required - whether the field is required
+   * @returns {Object} - the rule entry
+   */
+  static #optional(rule, required) {
+    return required ? rule : { ...rule, optional: true };
+  }
+}
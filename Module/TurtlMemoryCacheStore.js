@@ -0,0 +1,48 @@
+/**
+ * Cache store that keeps entries in memory, the default store of TurtlCache.
+ *
+ * @class
+ * @example
+ * const cache = new TurtlCache({ store: new TurtlMemoryCacheStore() });
+ *
+ * @description
+ * A cache store is any object with these methods, they may return promises:
+ * - `get(key)`: the entry or `undefined`
+ * - `set(key, entry)`: stores a JSON serializable entry
+ * - `delete(key)`: removes an entry
+ * - `keys()`: array of all keys
+ * - `clear()`: removes every entry
+ *
+ * @property {Map<string, Object>} entries - Stored entries by key.
+ *
+ * @method get(key) Gets an entry.
+ * @method set(key, entry) Stores an entry.
+ * @method delete(key) Removes an entry.
+ * @method keys() Lists all keys.
+ * @method clear() Removes every entry.
+ */
+export class TurtlMemoryCacheStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  get(key) {
+    return this.entries.get(key);
+  }
+
+  set(key, entry) {
+    this.entries.set(key, entry);
+  }
+
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  keys() {
+    return Array.from(this.entries.keys());
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
@@ -0,0 +1,214 @@
+import { TurtlBody } from "./TurtlBody.js";
+import { TurtlTransport } from "./TurtlTransport.js";
+
+/**
+ * In-memory transport adapter for unit tests, no network is used.
+ * Requests are matched against registered routes and every request is recorded.
+ * Progress callbacks are called once with the full body size.
+ * The request timeout and signal end a slow handler early, like they end a network request.
+ * A handler that throws is a network failure, the thrown error is the `error` of the response.
+ *
+ * @class
+ * @extends TurtlTransport
+ * @example
+ * const transport = new TurtlMemoryTransport();
+ * transport.on("POST", "/account/login.php", (request) => ({
+ *   status: 200,
+ *   body: { success: true, message: "ok", data: {} },
+ * }));
+ *
+ * const api = new TurtlAPI({ host: "https://api.example.com", transport });
+ * await api.call("account.login", { email: "user@example.com", password: "secret" });
+ * transport.requests.length; // 1
+ *
+ * @property {Array<Object>} routes - Registered routes.
+ * @property {Array<Object>} requests - Every request that was sent, in order.
+ *
+ * @method on(method, url, handler) Registers a route.
+ * @method reset() Removes all routes and recorded requests.
+ */
+export class TurtlMemoryTransport extends TurtlTransport {
+  constructor() {
+    super();
+    this.routes = [];
+    this.requests = [];
+  }
+
+  /**
+   * Register a route, the last matching route wins
+   *
+   * @param {string} method - HTTP method, `*` matches any method
+   * @param {string|RegExp} url - full url, a suffix of the url (without query string) or a regular expression
+   * @param {Function|Object} handler - raw response object or a (async) function returning one, object bodies are sent as JSON, `Blob`, `ArrayBuffer` and `ReadableStream` bodies as is
+   * @returns {TurtlMemoryTransport} - this transport, for chaining
+   */
+  on(method, url, handler) {
+    this.routes.push({ method: method.toUpperCase(), url, handler });
+    return this;
+  }
+
+  /**
+   * Removes all routes and recorded requests
+   */
+  reset() {
+    this.routes = [];
+    this.requests = [];
+  }
+
+  /**
+   * Resolves a request against the registered routes
+   *
+   * @async
+   * @param {Object} request - normalized request object
+   * @returns {Promise<Object>} - normalized raw response
+   */
+  async send(request) {
+    this.requests.push(request);
+    if (request.signal?.aborted) {
+      return TurtlTransport.createResponse({ error: "aborted" });
+    }
+
+    let onAbort = null;
+    let timer = null;
+    const cancelled = new Promise((resolve) => {
+      onAbort = () =>
+        resolve(TurtlTransport.createResponse({ error: "aborted" }));
+      request.signal?.addEventListener("abort", onAbort, { once: true });
+      if (request.timeout > 0) {
+        timer = setTimeout(
+          () => resolve(TurtlTransport.createResponse({ error: "timeout" })),
+          request.timeout
+        );
+      }
+    });
+    const responding = this.#respond(request).catch((error) =>
+      TurtlTransport.createResponse({ error: "network", cause: error })
+    );
+    try {
+      return await Promise.race([responding, cancelled]);
+    } finally {
+      clearTimeout(timer);
+      request.signal?.removeEventListener("abort", onAbort);
+    }
+  }
+
+  /**
+   * Runs the matching route handler and converts its result into a raw response
+   *
+   * @async
+   * @param {Object} request - normalized request object
+   * @returns {Promise<Object>} - normalized raw response
+   */
+  async #respond(request) {
+    const uploadSize = TurtlBody.size(request.body);
+    TurtlTransport.reportProgress(
+      request.onUploadProgress,
+      uploadSize,
+      uploadSize
+    );
+
+    const route = this.#findRoute(request);
+    if (!route) {
+      return TurtlTransport.createResponse({
+        status: 404,
+        statusText: "Not Found",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify({
+          success: false,
+          message: `No route for ${request.method} ${request.url}`,
+        }),
+      });
+    }
+
+    const result =
+      typeof route.handler === "function"
+        ? await route.handler(request)
+        : route.handler;
+    const response = { status: 200, ...result };
+    if (
+      response.body !== undefined &&
+      typeof response.body !== "string" &&
+      !TurtlMemoryTransport.#isBinary(response.body)
+    ) {
+      response.body = JSON.stringify(response.body);
+      response.headers = {
+        "content-type": "application/json",
+        ...response.headers,
+      };
+    }
+    if (
+      response.body !== undefined &&
+      !(
+        typeof ReadableStream !== "undefined" &&
+        response.body instanceof ReadableStream
+      )
+    ) {
+      const downloadSize = TurtlBody.size(response.body);
+      TurtlTransport.reportProgress(
+        request.onDownloadProgress,
+        downloadSize,
+        downloadSize
+      );
+    }
+    const raw = TurtlTransport.createResponse(response);
+    if (request.responseType !== "text" || typeof raw.body !== "string") {
+      raw.body = await TurtlMemoryTransport.#readAs(
+        raw.body,
+        request.responseType,
+        raw.headers["content-type"]
+      );
+    }
+    return raw;
+  }
+
+  static #isBinary(body) {
+    return (
+      TurtlBody.isFile(body) ||
+      body instanceof ArrayBuffer ||
+      ArrayBuffer.isView(body) ||
+      (typeof ReadableStream !== "undefined" && body instanceof ReadableStream)
+    );
+  }
+
+  /**
+   * Converts a handler body to the requested response type, like a real transport would read it
+   *
+   * @param {*} body - string, Blob, ArrayBuffer, typed array or ReadableStream
+   * @param {string} responseType - `text`, `blob`, `arraybuffer` or `stream`
+   * @param {string} [contentType] - content type of the response, used for blobs
+   * @returns {Promise<string|Blob|ArrayBuffer|ReadableStream|null>} - body in the requested type
+   */
+  static async #readAs(body, responseType, contentType) {
+    const encoded = new Response(body);
+    if (responseType === "stream") {
+      return encoded.body;
+    }
+    if (responseType === "arraybuffer") {
+      return await encoded.arrayBuffer();
+    }
+    if (responseType === "blob") {
+      return new Blob([await encoded.arrayBuffer()], {
+        type: contentType ?? "",
+      });
+    }
+    return await encoded.text();
+  }
+
+  #findRoute(request) {
+    const path = request.url.split("?")[0];
+    for (let i = this.routes.length - 1; i >= 0; i--) {
+      const route = this.routes[i];
+      if (route.method !== "*" && route.method !== request.method) {
+        continue;
+      }
+      if (route.url instanceof RegExp) {
+        if (route.url.test(request.url)) {
+          return route;
+        }
+      } else if (path === route.url || path.endsWith(route.url)) {
+        return route;
+      }
+    }
+    return null;
+  }
+}
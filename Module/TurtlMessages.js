@@ -0,0 +1,351 @@
+/**
+ * Message catalog with locales, fallback resolution and `{placeholder}` interpolation.
+ *
+ * @class
+ * @example
+ * const messages = new TurtlMessages({ locale: "nl-BE", fallbackLocale: "en" });
+ * messages.addMessages("nl", { "validation.required": "Verplicht veld." });
+ * messages.translate("validation.required"); // "Verplicht veld."
+ * messages.translate("validation.minLength", { length: 3 }); // "Minimale lengte is 3."
+ * messages.translate("Literal text stays literal."); // "Literal text stays literal."
+ *
+ * @param {Object} [options={}] - Catalog options.
+ * @param {string} [options.locale="en"] - The active locale.
+ * @param {string} [options.fallbackLocale="en"] - Locale used when a key is missing in the active locale.
+ *
+ * @property {string} locale - The active locale.
+ * @property {string} fallbackLocale - The fallback locale.
+ * @property {Map<string, Object>} catalogs - Messages per locale, keyed by message key.
+ *
+ * @method addMessages(locale, messages) Adds or overrides messages for a locale.
+ * @method setLocale(locale) Sets the active locale.
+ * @method has(key, locale) Checks if a key exists for a locale (or its fallbacks).
+ * @method translate(keyOrMessage, params, locale) Resolves a key (or literal message) and fills its placeholders.
+ * @method static format(message, params) Fills `{placeholders}` in a message.
+ */
+export class TurtlMessages {
+  /**
+   * Built-in catalogs, every built-in rule and transport error has a key here.
+   */
+  static defaults = {
+    en: {
+      "validation.success": "Validation successful",
+      "validation.pending": "Validation pending, use validateAsync().",
+      "validation.aborted": "Validation aborted.",
+      "validation.failed": "Validation failed: {message}",
+      "validation.required": "Field is required.",
+      "validation.email": "Must be a valid email.",
+      "validation.minLength": "Minimum length is {length}.",
+      "validation.maxLength": "Maximum length is {length}.",
+      "validation.array": "Value must be an array.",
+      "validation.arrayOf.instance":
+        "Array item must be an instance of '{type}', but got '{actualType}'.",
+      "validation.arrayOf.type":
+        "Array item must be of type '{type}', but got '{actualType}'.",
+      "validation.instanceOf":
+        "Value must be an instance of '{type}', but got '{actualType}'.",
+      "validation.typeOf":
+        "Value must be of type '{type}', but got '{actualType}'.",
+      "validation.object": "Value must be an object.",
+      "validation.arrayItemObject": "Array item must be an object.",
+      "validation.number": "Must be a number.",
+      "validation.min": "Must be at least {min}.",
+      "validation.max": "Must be at most {max}.",
+      "validation.between": "Must be between {min} and {max}.",
+      "validation.pattern": "Invalid format.",
+      "validation.oneOf": "Must be one of: {values}.",
+      "validation.url": "Must be a valid URL.",
+      "validation.uuid": "Must be a valid UUID.",
+      "validation.integer": "Must be a whole number.",
+      "validation.date": "Must be a valid date.",
+      "validation.dateRange.min": "Must be on or after {min}.",
+      "validation.dateRange.max": "Must be on or before {max}.",
+      "validation.phone": "Must be a valid phone number.",
+      "validation.sameAs": "Must match '{other}'.",
+      "validation.file": "Must be a file.",
+      "validation.fileType": "File type must be one of: {types}.",
+      "validation.maxFileSize": "File must be at most {limit}.",
+      "transport.network": "Network error",
+      "transport.timeout": "Request timed out.",
+      "transport.aborted": "Request aborted.",
+      "transport.invalidResponse": "Invalid response",
+      "transport.failed": "Request failed",
+      "transport.status": "Request failed with status {status}.",
+      "transport.notHandled": "Request was not handled.",
+      "middleware.failed": "Middleware failed: {message}",
+      "auth.required": "Authentication required.",
+      "response.invalid": "Invalid response data: {message}",
+      "request.invalidData": "Invalid data",
+      "request.missingPathParam": "Missing value for path parameter '{param}'.",
+      "api.serviceNotFound": "Service '{service}' not found.",
+      "api.endpointNotFound":
+        "Endpoint '{endpoint}' not found in service '{service}'.",
+      "mock.success": "Mocked response",
+      "mock.failure": "Mocked failure response",
+      "mock.routeNotFound": "No mock route for '{name}'",
+    },
+    nl: {
+      "validation.success": "Validatie geslaagd",
+      "validation.pending": "Validatie is nog bezig, gebruik validateAsync().",
+      "validation.aborted": "Validatie afgebroken.",
+      "validation.failed": "Validatie mislukt: {message}",
+      "validation.required": "Dit veld is verplicht.",
+      "validation.email": "Moet een geldig e-mailadres zijn.",
+      "validation.minLength": "Minimale lengte is {length}.",
+      "validation.maxLength": "Maximale lengte is {length}.",
+      "validation.array": "Waarde moet een lijst zijn.",
+      "validation.arrayOf.instance":
+        "Lijstitem moet een instantie van '{type}' zijn, maar is '{actualType}'.",
+      "validation.arrayOf.type":
+        "Lijstitem moet van het type '{type}' zijn, maar is '{actualType}'.",
+      "validation.instanceOf":
+        "Waarde moet een instantie van '{type}' zijn, maar is '{actualType}'.",
+      "validation.typeOf":
+        "Waarde moet van het type '{type}' zijn, maar is '{actualType}'.",
+      "validation.object": "Waarde moet een object zijn.",
+      "validation.arrayItemObject": "Lijstitem moet een object zijn.",
+      "validation.number": "Moet een getal zijn.",
+      "validation.min": "Moet minimaal {min} zijn.",
+      "validation.max": "Mag maximaal {max} zijn.",
+      "validation.between": "Moet tussen {min} en {max} liggen.",
+      "validation.pattern": "Ongeldig formaat.",
+      "validation.oneOf": "Moet een van de volgende waarden zijn: {values}.",
+      "validation.url": "Moet een geldige URL zijn.",
+      "validation.uuid": "Moet een geldige UUID zijn.",
+      "validation.integer": "Moet een geheel getal zijn.",
+      "validation.date": "Moet een geldige datum zijn.",
+      "validation.dateRange.min": "Moet op of na {min} zijn.",
+      "validation.dateRange.max": "Moet op of voor {max} zijn.",
+      "validation.phone": "Moet een geldig telefoonnummer zijn.",
+      "validation.sameAs": "Moet overeenkomen met '{other}'.",
+      "validation.file": "Moet een bestand zijn.",
+      "validation.fileType":
+        "Bestandstype moet een van de volgende zijn: {types}.",
+      "validation.maxFileSize": "Bestand mag maximaal {limit} zijn.",
+      "transport.network": "Netwerkfout",
+      "transport.timeout": "Het verzoek duurde te lang.",
+      "transport.aborted": "Verzoek afgebroken.",
+      "transport.invalidResponse": "Ongeldig antwoord",
+      "transport.failed": "Verzoek mislukt",
+      "transport.status": "Verzoek mislukt met status {status}.",
+      "transport.notHandled": "Verzoek is niet afgehandeld.",
+      "middleware.failed": "Middleware mislukt: {message}",
+      "auth.required": "Authenticatie vereist.",
+      "response.invalid": "Ongeldige antwoordgegevens: {message}",
+      "request.invalidData": "Ongeldige gegevens",
+      "request.missingPathParam":
+        "Ontbrekende waarde voor padparameter '{param}'.",
+      "api.serviceNotFound": "Service '{service}' niet gevonden.",
+      "api.endpointNotFound":
+        "Endpoint '{endpoint}' niet gevonden in service '{service}'.",
+      "mock.success": "Gesimuleerd antwoord",
+      "mock.failure": "Gesimuleerd foutantwoord",
+      "mock.routeNotFound": "Geen mock route voor '{name}'",
+    },
+    de: {
+      "validation.success": "Validierung erfolgreich",
+      "validation.pending": "Validierung ausstehend, verwende validateAsync().",
+      "validation.aborted": "Validierung abgebrochen.",
+      "validation.failed": "Validierung fehlgeschlagen: {message}",
+      "validation.required": "Dieses Feld ist erforderlich.",
+      "validation.email": "Muss eine gültige E-Mail-Adresse sein.",
+      "validation.minLength": "Die Mindestlänge beträgt {length}.",
+      "validation.maxLength": "Die Maximallänge beträgt {length}.",
+      "validation.array": "Der Wert muss eine Liste sein.",
+      "validation.arrayOf.instance":
+        "Listeneintrag muss eine Instanz von '{type}' sein, ist aber '{actualType}'.",
+      "validation.arrayOf.type":
+        "Listeneintrag muss vom Typ '{type}' sein, ist aber '{actualType}'.",
+      "validation.instanceOf":
+        "Der Wert muss eine Instanz von '{type}' sein, ist aber '{actualType}'.",
+      "validation.typeOf":
+        "Der Wert muss vom Typ '{type}' sein, ist aber '{actualType}'.",
+      "validation.object": "Der Wert muss ein Objekt sein.",
+      "validation.arrayItemObject": "Listeneintrag muss ein Objekt sein.",
+      "validation.number": "Muss eine Zahl sein.",
+      "validation.min": "Muss mindestens {min} sein.",
+      "validation.max": "Darf höchstens {max} sein.",
+      "validation.between": "Muss zwischen {min} und {max} liegen.",
+      "validation.pattern": "Ungültiges Format.",
+      "validation.oneOf": "Muss einer der folgenden Werte sein: {values}.",
+      "validation.url": "Muss eine gültige URL sein.",
+      "validation.uuid": "Muss eine gültige UUID sein.",
+      "validation.integer": "Muss eine ganze Zahl sein.",
+      "validation.date": "Muss ein gültiges Datum sein.",
+      "validation.dateRange.min": "Muss am oder nach dem {min} liegen.",
+      "validation.dateRange.max": "Muss am oder vor dem {max} liegen.",
+      "validation.phone": "Muss eine gültige Telefonnummer sein.",
+      "validation.sameAs": "Muss mit '{other}' übereinstimmen.",
+      "validation.file": "Muss eine Datei sein.",
+      "validation.fileType": "Dateityp muss einer der folgenden sein: {types}.",
+      "validation.maxFileSize": "Die Datei darf höchstens {limit} groß sein.",
+      "transport.network": "Netzwerkfehler",
+      "transport.timeout": "Zeitüberschreitung der Anfrage.",
+      "transport.aborted": "Anfrage abgebrochen.",
+      "transport.invalidResponse": "Ungültige Antwort",
+      "transport.failed": "Anfrage fehlgeschlagen",
+      "transport.status": "Anfrage mit Status {status} fehlgeschlagen.",
+      "transport.notHandled": "Anfrage wurde nicht verarbeitet.",
+      "middleware.failed": "Middleware fehlgeschlagen: {message}",
+      "auth.required": "Authentifizierung erforderlich.",
+      "response.invalid": "Ungültige Antwortdaten: {message}",
+      "request.invalidData": "Ungültige Daten",
+      "request.missingPathParam": "Fehlender Wert für Pfadparameter '{param}'.",
+      "api.serviceNotFound": "Service '{service}' nicht gefunden.",
+      "api.endpointNotFound":
+        "Endpoint '{endpoint}' in Service '{service}' nicht gefunden.",
+      "mock.success": "Simulierte Antwort",
+      "mock.failure": "Simulierte Fehlerantwort",
+      "mock.routeNotFound": "Keine Mock-Route für '{name}'",
+    },
+  };
+
+  /**
+   * Creates a new message catalog with the built-in messages.
+   *
+   * @param {Object} [options={}] - catalog options
+   * @param {string} [options.locale="en"] - the active locale
+   * @param {string} [options.fallbackLocale="en"] - locale used for missing keys
+   */
+  constructor({ locale = "en", fallbackLocale = "en" } = {}) {
+    this.locale = locale;
+    this.fallbackLocale = fallbackLocale;
+    this.catalogs = new Map();
+    for (const name in TurtlMessages.defaults) {
+      this.addMessages(name, TurtlMessages.defaults[name]);
+    }
+  }
+
+  /**
+   * Adds or overrides messages for a locale, nested objects are flattened to dotted keys
+   *
+   * @param {string} locale - locale name, like `nl` or `nl-BE`
+   * @param {Object} messages - messages by key
+   */
+  addMessages(locale, messages) {
+    const catalog = this.catalogs.get(locale) || {};
+    Object.assign(catalog, TurtlMessages.#flatten(messages));
+    this.catalogs.set(locale, catalog);
+  }
+
+  /**
+   * Sets the active locale
+   *
+   * @param {string} locale - locale name
+   */
+  setLocale(locale) {
+    this.locale = locale;
+  }
+
+  /**
+   * Checks if a key exists for a locale or its fallbacks
+   *
+   * @param {string} key - message key
+   * @param {string} [locale=this.locale] - locale name
+   * @returns {boolean} - true if the key exists
+   */
+  has(key, locale = this.locale) {
+    return this.#lookup(key, locale) !== undefined;
+  }
+
+  /**
+   * Resolves a message key and fills its placeholders. Values that are not a known key are used as literal message.
+   *
+   * @param {string} keyOrMessage - message key or literal message
+   * @param {Object} [params={}] - placeholder values
+   * @param {string} [locale=this.locale] - locale name
+   * @returns {string} - the translated message
+   */
+  translate(keyOrMessage, params = {}, locale = this.locale) {
+    if (typeof keyOrMessage !== "string") {
+      return keyOrMessage;
+    }
+    const message = this.#lookup(keyOrMessage, locale) ?? keyOrMessage;
+    return TurtlMessages.format(message, params);
+  }
+
+  /**
+   * Fills `{name}` placeholders in a message, unknown placeholders are left as is.
+   *
+   * @param {string} message - message template
+   * @param {Object} [params={}] - placeholder values
+   * @returns {string} - the formatted message
+   */
+  static format(message, params = {}) {
+    if (typeof message !== "string") {
+      return message;
+    }
+    return message.replace(/\{(\w+)\}/g, (match, name) =>
+      name in params && params[name] !== undefined
+        ? TurtlMessages.#formatValue(params[name])
+        : match
+    );
+  }
+
+  /**
+   * Lists the locales to search for a locale: `nl-BE` -> `nl-BE`, `nl`, fallback
+   *
+   * @param {string} locale - locale name
+   * @returns {string[]} - locales in order of priority
+   */
+  #getLocaleChain(locale) {
+    const chain = [];
+    for (const name of [locale, this.fallbackLocale]) {
+      if (!name) {
+        continue;
+      }
+      const parts = name.split("-");
+      for (let i = parts.length; i > 0; i--) {
+        const candidate = parts.slice(0, i).join("-");
+        if (!chain.includes(candidate)) {
+          chain.push(candidate);
+        }
+      }
+    }
+    return chain;
+  }
+
+  #lookup(key, locale) {
+    for (const name of this.#getLocaleChain(locale)) {
+      const catalog = this.catalogs.get(name);
+      if (catalog && typeof catalog[key] === "string") {
+        return catalog[key];
+      }
+    }
+    return undefined;
+  }
+
+  static #flatten(messages, prefix = "") {
+    const flat = {};
+    for (const key in messages) {
+      const value = messages[key];
+      const name = prefix ? `${prefix}.${key}` : key;
+      if (value !== null && typeof value === "object") {
+        Object.assign(flat, TurtlMessages.#flatten(value, name));
+      } else {
+        flat[name] = value;
+      }
+    }
+    return flat;
+  }
+
+  static #formatValue(value) {
+    if (typeof value === "function") {
+      return value.name;
+    }
+    if (value instanceof Date) {
+      return value.toISOString();
+    }
+    if (Array.isArray(value)) {
+      return value.map((item) => TurtlMessages.#formatValue(item)).join(", ");
+    }
+    if (
+      value !== null &&
+      typeof value === "object" &&
+      !(value instanceof RegExp)
+    ) {
+      return JSON.stringify(value);
+    }
+    return String(value);
+  }
+}
@@ -0,0 +1,168 @@
+/**
+ * In-memory collection of records for the mock server, like a database table.
+ *
+ * @class
+ * @example
+ * const todos = new TurtlMockCollection([{ id: 1, title: "Buy milk", done: false }]);
+ * todos.insert({ title: "Walk the dog" }); // { id: 2, title: "Walk the dog" }
+ * todos.update(2, { done: true });
+ * todos.find({ done: false }); // [{ id: 1, ... }]
+ * todos.remove(1);
+ *
+ * @description
+ * Records are copied on the way in and out, so changing a returned record doesn't change the collection.
+ * Ids are compared as strings, so a path parameter `"2"` finds the record with id `2`.
+ * Inserted records without an id get the highest numeric id plus one.
+ *
+ * @param {Object[]} [seed=[]] - records the collection starts with, and returns to on `reset`
+ * @param {Object} [options={}] - collection options
+ * @param {string} [options.idField="id"] - field holding the id of a record
+ *
+ * @property {string} idField - Field holding the id of a record.
+ * @property {number} size - Number of records.
+ *
+ * @method all() Returns every record.
+ * @method find(filter) Returns the records matching a filter object or function.
+ * @method get(id) Returns a record by id.
+ * @method insert(record) Adds a record.
+ * @method update(id, changes) Changes a record.
+ * @method remove(id) Removes a record.
+ * @method clear() Removes every record.
+ * @method reset(seed) Returns to the seed records.
+ */
+export class TurtlMockCollection {
+  #records = [];
+  #seed = [];
+
+  /**
+   * Creates a new collection.
+   *
+   * @param {Object[]} [seed=[]] - records the collection starts with, and returns to on `reset`
+   * @param {Object} [options={}] - collection options
+   * @param {string} [options.idField="id"] - field holding the id of a record
+   */
+  constructor(seed = [], { idField = "id" } = {}) {
+    this.idField = idField;
+    this.reset(seed);
+  }
+
+  get size() {
+    return this.#records.length;
+  }
+
+  /**
+   * Returns every record
+   *
+   * @returns {Object[]} - copies of the records
+   */
+  all() {
+    return structuredClone(this.#records);
+  }
+
+  /**
+   * Returns the records matching a filter
+   *
+   * @param {Object|Function} [filter={}] - fields the records must equal, or `(record) => boolean`
+   * @returns {Object[]} - copies of the matching records
+   */
+  find(filter = {}) {
+    const matches =
+      typeof filter === "function"
+        ? filter
+        : (record) =>
+            Object.keys(filter).every((key) => record[key] === filter[key]);
+    return structuredClone(this.#records.filter((record) => matches(record)));
+  }
+
+  /**
+   * Returns a record by id
+   *
+   * @param {string|number} id - id of the record
+   * @returns {Object|null} - copy of the record, null when there is none
+   */
+  get(id) {
+    const record = this.#records[this.#indexOf(id)];
+    return record ? structuredClone(record) : null;
+  }
+
+  /**
+   * Adds a record, a record without an id gets the next numeric id
+   *
+   * @param {Object} record - the record
+   * @returns {Object} - copy of the added record, with its id
+   */
+  insert(record) {
+    const added = structuredClone(record);
+    if (added[this.idField] === undefined || added[this.idField] === null) {
+      added[this.idField] = this.#nextId();
+    }
+    this.#records.push(added);
+    return structuredClone(added);
+  }
+
+  /**
+   * Changes the fields of a record, the id can't be changed
+   *
+   * @param {string|number} id - id of the record
+   * @param {Object} changes - fields to change
+   * @returns {Object|null} - copy of the changed record, null when there is none
+   */
+  update(id, changes) {
+    const index = this.#indexOf(id);
+    if (index === -1) {
+      return null;
+    }
+    const record = this.#records[index];
+    this.#records[index] = {
+      ...record,
+      ...structuredClone(changes),
+      [this.idField]: record[this.idField],
+    };
+    return structuredClone(this.#records[index]);
+  }
+
+  /**
+   * Removes a record
+   *
+   * @param {string|number} id - id of the record
+   * @returns {boolean} - whether a record was removed
+   */
+  remove(id) {
+    const index = this.#indexOf(id);
+    if (index === -1) {
+      return false;
+    }
+    this.#records.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Removes every record
+   */
+  clear() {
+    this.#records = [];
+  }
+
+  /**
+   * Returns to the seed records
+   *
+   * @param {Object[]} [seed] - new seed records, the current seed when omitted
+   */
+  reset(seed = this.#seed) {
+    this.#seed = structuredClone(seed);
+    this.#records = structuredClone(seed);
+  }
+
+  #indexOf(id) {
+    return this.#records.findIndex(
+      (record) => String(record[this.idField]) === String(id)
+    );
+  }
+
+  #nextId() {
+    const ids = this.#records
+      .map((record) => Number(record[this.idField]))
+      .filter((id) => Number.isFinite(id));
+    return ids.length > 0 ? Math.max(...ids) + 1 : 1;
+  }
+}
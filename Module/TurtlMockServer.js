@@ -0,0 +1,284 @@
+import { TurtlMockCollection } from "./TurtlMockCollection.js";
+import { TurtlPath } from "./TurtlPath.js";
+import { TurtlResponse } from "./TurtlResponse.js";
+import { TurtlRetryPolicy } from "./TurtlRetryPolicy.js";
+
+/**
+ * Stateful in-memory backend for mock mode, no server or network is used.
+ * Routes answer endpoints by full name and read or write in-memory collections, so flows like
+ * create, list and delete work offline.
+ *
+ * @class
+ * @example
+ * const api = new TurtlAPI({
+ *   host: "https://api.example.com",
+ *   mock: new TurtlMockServer({
+ *     collections: { todos: [{ id: 1, title: "Buy milk", done: false }] },
+ *     routes: {
+ *       "todos.list": ({ collection }) => collection("todos").all(),
+ *       "todos.create": ({ data, collection }) => collection("todos").insert(data),
+ *       "todos.remove": ({ params, collection }) =>
+ *         collection("todos").remove(params.id)
+ *           ? TurtlResponse.Success("Deleted")
+ *           : TurtlMockServer.respond(404, "Todo not found"),
+ *     },
+ *     latency: [100, 400],
+ *     failureRate: 0.05,
+ *     scenarios: {
+ *       "empty-state": { collections: { todos: [] } },
+ *       "server-down": { failureRate: 1 },
+ *     },
+ *   }),
+ * });
+ *
+ * await api.call("todos.create", { title: "Walk the dog" });
+ * api.mock.useScenario("empty-state");
+ *
+ * @description
+ * - A route gets `{ data, params, model, endpoint, service, api, server, collection }`, `params` holds the
+ *   path parameters of the endpoint. It returns a TurtlResponse, or other data that is sent as a success.
+ * - Endpoints without a route get their `mockResponseSuccess` or `mockResponseFailure`, like plain mock mode.
+ *   Endpoints without a route or mock responses get a 404, like a real backend.
+ * - A route that throws gives a 500 with the error message, the thrown error is in `response.error`.
+ * - Every call waits the latency (milliseconds, or a `[min, max]` range) and fails with status 500 as often as
+ *   the failure rate (0 to 1) says, also for endpoints without a route.
+ * - A scenario overrides collection seeds, routes, latency and failure rate. Switching scenarios resets the collections.
+ *
+ * @param {Object} [options={}] - server options
+ * @param {Object<string, Object[]>} [options.collections={}] - seed records per collection name
+ * @param {Object<string, Function>} [options.routes={}] - route handlers per endpoint full name, like `account.login`
+ * @param {number|number[]} [options.latency=0] - delay of every call in milliseconds, or a `[min, max]` range
+ * @param {number} [options.failureRate=0] - chance of a call failing with status 500, from 0 to 1
+ * @param {Object<string, Object>} [options.scenarios={}] - scenarios by name, with `collections`, `routes`, `latency` and `failureRate`
+ * @param {Function} [options.random=Math.random] - random number source for latency and failures, handy for repeatable tests
+ *
+ * @property {Map<string, Function>} routes - Default route handlers.
+ * @property {Map<string, Object>} scenarios - Registered scenarios.
+ * @property {string|null} scenario - Name of the active scenario, null for the defaults.
+ * @property {number|number[]} latency - Default latency.
+ * @property {number} failureRate - Default failure rate.
+ *
+ * @method collection(name) Returns a collection, an empty one is created when it doesn't exist.
+ * @method route(fullName, handler) Registers a route handler for an endpoint.
+ * @method addScenario(name, scenario) Registers a scenario.
+ * @method useScenario(name) Switches to a scenario, null for the defaults.
+ * @method reset() Returns every collection to its seed records.
+ * @method handle(context, fallback) Answers a mocked call, used by TurtlAPI.
+ * @method static respond(status, message, data) Creates a response with a HTTP status.
+ * @method static isMockServer(value) Checks if a value implements the mock server interface.
+ */
+export class TurtlMockServer {
+  #seeds;
+  #collections = new Map();
+
+  /**
+   * Creates a new mock server.
+   *
+   * @param {Object} [options={}] - server options, see the class description
+   */
+  constructor({
+    collections = {},
+    routes = {},
+    latency = 0,
+    failureRate = 0,
+    scenarios = {},
+    random = Math.random,
+  } = {}) {
+    this.#seeds = collections;
+    this.routes = new Map(Object.entries(routes));
+    this.scenarios = new Map();
+    this.scenario = null;
+    this.latency = latency;
+    this.failureRate = failureRate;
+    this.random = random;
+    for (const name in scenarios) {
+      this.addScenario(name, scenarios[name]);
+    }
+    this.reset();
+  }
+
+  /**
+   * Returns a collection, an empty one is created when it doesn't exist
+   *
+   * @param {string} name - collection name
+   * @returns {TurtlMockCollection} - the collection
+   */
+  collection(name) {
+    if (!this.#collections.has(name)) {
+      this.#collections.set(name, new TurtlMockCollection());
+    }
+    return this.#collections.get(name);
+  }
+
+  /**
+   * Registers a route handler for an endpoint
+   *
+   * @param {string} fullName - endpoint full name, like `account.login`
+   * @param {Function} handler - `(request) => response`, may be async
+   * @returns {TurtlMockServer} - this server, for chaining
+   */
+  route(fullName, handler) {
+    if (typeof handler !== "function") {
+      throw new Error(`Route handler for '${fullName}' must be a function.`);
+    }
+    this.routes.set(fullName, handler);
+    return this;
+  }
+
+  /**
+   * Registers a scenario
+   *
+   * @param {string} name - scenario name
+   * @param {Object} [scenario={}] - overrides of the defaults
+   * @param {Object<string, Object[]>} [scenario.collections] - seed records per collection name
+   * @param {Object<string, Function>} [scenario.routes] - route handlers per endpoint full name
+   * @param {number|number[]} [scenario.latency] - latency
+   * @param {number} [scenario.failureRate] - failure rate
+   * @returns {TurtlMockServer} - this server, for chaining
+   */
+  addScenario(name, { collections = {}, routes = {}, ...settings } = {}) {
+    this.scenarios.set(name, {
+      collections,
+      routes: new Map(Object.entries(routes)),
+      ...settings,
+    });
+    return this;
+  }
+
+  /**
+   * Switches to a scenario and resets the collections to its seed records
+   *
+   * @param {string|null} name - scenario name, null for the defaults
+   *
+   * @throws {Error} - If the scenario doesn't exist
+   */
+  useScenario(name) {
+    if (name !== null && !this.scenarios.has(name)) {
+      throw new Error(`Mock scenario '${name}' not found.`);
+    }
+    this.scenario = name;
+    this.reset();
+  }
+
+  /**
+   * Returns every collection to the seed records of the active scenario
+   */
+  reset() {
+    const seeds = { ...this.#seeds, ...this.#activeScenario()?.collections };
+    this.#collections.clear();
+    for (const name in seeds) {
+      this.#collections.set(name, new TurtlMockCollection(seeds[name]));
+    }
+  }
+
+  /**
+   * Answers a mocked call: waits the latency, simulates failures and runs the route handler
+   *
+   * @async
+   * @param {Object} context - request context of the call
+   * @param {Function} fallback - returns the endpoint mock response, used when there is no route
+   * @returns {Promise<TurtlResponse>} - the response
+   */
+  async handle(context, fallback) {
+    const { api, service, endpoint, model, request } = context;
+    const scenario = this.#activeScenario();
+    const latency = this.#pickLatency(scenario?.latency ?? this.latency);
+    if (
+      latency > 0 &&
+      !(await TurtlRetryPolicy.wait(latency, request.signal))
+    ) {
+      return TurtlResponse.Aborted(api.translate("transport.aborted"));
+    }
+    if (this.random() < (scenario?.failureRate ?? this.failureRate)) {
+      return TurtlMockServer.respond(500, api.translate("mock.failure"));
+    }
+
+    const fullName = `${service.name}.${endpoint.name}`;
+    const handler =
+      scenario?.routes.get(fullName) ?? this.routes.get(fullName) ?? null;
+    if (!handler) {
+      return TurtlMockServer.#hasMockResponses(endpoint)
+        ? await fallback()
+        : TurtlMockServer.respond(
+            404,
+            api.translate("mock.routeNotFound", { name: fullName })
+          );
+    }
+    const data = model.toDataObject();
+    const params = {};
+    for (const name of TurtlPath.getParams(
+      `${service.basePath}${endpoint.path}`
+    )) {
+      params[name] = data[name];
+    }
+    let result;
+    try {
+      result = await handler({
+        data,
+        params,
+        model,
+        endpoint,
+        service,
+        api,
+        server: this,
+        collection: (name) => this.collection(name),
+      });
+    } catch (error) {
+      const response = TurtlMockServer.respond(
+        500,
+        error?.message ?? String(error)
+      );
+      response.error = error;
+      return response;
+    }
+    return result instanceof TurtlResponse
+      ? result
+      : TurtlResponse.Success("", result ?? {});
+  }
+
+  /**
+   * Creates a response with a HTTP status, a failure with the matching error type unless the status is 2xx
+   *
+   * @param {number} status - HTTP status code
+   * @param {string} [message=""] - response message
+   * @param {Object} [data={}] - response data
+   * @returns {TurtlResponse} - the response
+   */
+  static respond(status, message = "", data = {}) {
+    const success = status >= 200 && status < 300;
+    const response = new TurtlResponse(success, message, data);
+    response.status = status;
+    if (!success) {
+      response.errorType = TurtlResponse.getErrorTypeForStatus(status);
+    }
+    return response;
+  }
+
+  /**
+   * Checks if a value implements the mock server interface
+   *
+   * @param {*} value - value to check
+   * @returns {boolean} - true if the value has a `handle(context, fallback)` method
+   */
+  static isMockServer(value) {
+    return !!value && typeof value.handle === "function";
+  }
+
+  static #hasMockResponses(endpoint) {
+    return [endpoint.mockResponseSuccess, endpoint.mockResponseFailure].some(
+      (mockResponse) => mockResponse !== undefined && mockResponse !== null
+    );
+  }
+
+  #activeScenario() {
+    return this.scenario === null ? null : this.scenarios.get(this.scenario);
+  }
+
+  #pickLatency(latency) {
+    if (Array.isArray(latency)) {
+      const [min, max = min] = latency;
+      return min + this.random() * (max - min);
+    }
+    return latency || 0;
+  }
+}
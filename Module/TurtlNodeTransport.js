@@ -0,0 +1,210 @@
+import { TurtlTransport } from "./TurtlTransport.js";
+
+/**
+ * Transport adapter that sends requests with the Node `http`/`https` modules.
+ * The modules are loaded lazily so this file can be bundled for the browser.
+ *
+ * @class
+ * @extends TurtlTransport
+ * @example
+ * const api = new TurtlAPI({ host: "https://api.example.com", transport: new TurtlNodeTransport() });
+ *
+ * @param {Object} [options={}] - transport options
+ * @param {Object} [options.agent=null] - optional `http.Agent` used for every request
+ *
+ * @description
+ * The `stream` response type resolves a web `ReadableStream` once the headers arrive, the timeout covers the headers only.
+ */
+export class TurtlNodeTransport extends TurtlTransport {
+  /**
+   * Creates a new node transport.
+   *
+   * @param {Object} [options={}] - transport options
+   * @param {Object} [options.agent=null] - optional `http.Agent` used for every request
+   */
+  constructor({ agent = null } = {}) {
+    super();
+    this.agent = agent;
+  }
+
+  /**
+   * Sends a request with the node http/https modules
+   *
+   * @async
+   * @param {Object} request - normalized request object
+   * @returns {Promise<Object>} - normalized raw response
+   */
+  async send(request) {
+    if (request.signal?.aborted) {
+      return TurtlTransport.createResponse({ error: "aborted" });
+    }
+
+    const url = new URL(request.url);
+    const { body, contentType } = await TurtlNodeTransport.#encodeBody(
+      request.body
+    );
+    const headers = { ...request.headers };
+    const hasContentType = Object.keys(headers).some(
+      (name) => name.toLowerCase() === "content-type"
+    );
+    if (contentType && !hasContentType) {
+      headers["Content-Type"] = contentType;
+    }
+    const client =
+      url.protocol === "https:"
+        ? await import("node:https")
+        : await import("node:http");
+    const stream =
+      request.responseType === "stream" ? await import("node:stream") : null;
+
+    return new Promise((resolve) => {
+      let settled = false;
+      const finish = (response, streaming = false) => {
+        if (settled) {
+          return;
+        }
+        settled = true;
+        // A stream is still read after send returns, the signal can cancel it until then
+        if (!streaming) {
+          request.signal?.removeEventListener("abort", onAbort);
+        }
+        resolve(TurtlTransport.createResponse(response));
+      };
+
+      const req = client.request(
+        url,
+        {
+          method: request.method,
+          headers,
+          agent: this.agent ?? undefined,
+        },
+        (res) => {
+          if (stream) {
+            req.setTimeout(0);
+            finish(
+              {
+                status: res.statusCode,
+                statusText: res.statusMessage,
+                headers: res.headers,
+                body: stream.Readable.toWeb(res),
+              },
+              true
+            );
+            return;
+          }
+          const chunks = [];
+          const length = Number(res.headers["content-length"]);
+          const total = length > 0 ? length : null;
+          let loaded = 0;
+          TurtlTransport.reportProgress(request.onDownloadProgress, 0, total);
+          res.on("data", (chunk) => {
+            chunks.push(chunk);
+            loaded += chunk.length;
+            TurtlTransport.reportProgress(
+              request.onDownloadProgress,
+              loaded,
+              total
+            );
+          });
+          res.on("end", () =>
+            finish({
+              status: res.statusCode,
+              statusText: res.statusMessage,
+              headers: res.headers,
+              body: TurtlNodeTransport.#fromBuffer(
+                Buffer.concat(chunks),
+                request.responseType,
+                res.headers["content-type"]
+              ),
+            })
+          );
+          res.on("error", () => finish({ error: "network" }));
+        }
+      );
+
+      const onAbort = () => {
+        finish({ error: "aborted" });
+        req.destroy();
+      };
+      request.signal?.addEventListener("abort", onAbort, { once: true });
+
+      if (request.timeout > 0) {
+        req.setTimeout(request.timeout, () => {
+          finish({ error: "timeout" });
+          req.destroy();
+        });
+      }
+
+      req.on("error", () => finish({ error: "network" }));
+
+      if (body !== null && request.onUploadProgress) {
+        TurtlNodeTransport.#writeChunked(req, body, request.onUploadProgress);
+      } else {
+        if (body !== null) {
+          req.write(body);
+        }
+        req.end();
+      }
+    });
+  }
+
+  /**
+   * Writes the body in chunks and reports upload progress as each chunk is flushed
+   *
+   * @param {Object} req - node client request
+   * @param {string|Uint8Array} body - writable body
+   * @param {Function} onProgress - progress callback
+   */
+  static #writeChunked(req, body, onProgress) {
+    const bytes = typeof body === "string" ? Buffer.from(body) : body;
+    const total = bytes.byteLength;
+    let loaded = 0;
+    TurtlTransport.reportProgress(onProgress, 0, total);
+    const writeNext = () => {
+      if (loaded >= total || req.destroyed) {
+        req.end();
+        return;
+      }
+      const chunk = bytes.subarray(loaded, loaded + 65536);
+      req.write(chunk, () => {
+        loaded += chunk.byteLength;
+        TurtlTransport.reportProgress(onProgress, loaded, total);
+        writeNext();
+      });
+    };
+    writeNext();
+  }
+
+  static #fromBuffer(buffer, responseType, contentType) {
+    if (responseType === "blob") {
+      return new Blob([buffer], { type: contentType ?? "" });
+    }
+    if (responseType === "arraybuffer") {
+      return buffer.buffer.slice(
+        buffer.byteOffset,
+        buffer.byteOffset + buffer.byteLength
+      );
+    }
+    return buffer.toString("utf8");
+  }
+
+  /**
+   * Converts bodies node http can't write (FormData, Blob, ArrayBuffer) to a buffer, using the fetch `Response` encoder
+   *
+   * @param {*} body - request body
+   * @returns {Promise<{body: string|Uint8Array|null, contentType: string|null}>} - writable body and the content type it needs
+   */
+  static async #encodeBody(body) {
+    if (body === null || body === undefined) {
+      return { body: null, contentType: null };
+    }
+    if (typeof body === "string" || body instanceof Uint8Array) {
+      return { body, contentType: null };
+    }
+    const encoded = new Response(body);
+    return {
+      body: new Uint8Array(await encoded.arrayBuffer()),
+      contentType: encoded.headers.get("content-type"),
+    };
+  }
+}
@@ -0,0 +1,783 @@
+import { TurtlAPIService } from "./TurtlAPIService.js";
+import { TurtlApiKeyAuth } from "./TurtlApiKeyAuth.js";
+import { TurtlBasicAuth } from "./TurtlBasicAuth.js";
+import { TurtlBearerAuth } from "./TurtlBearerAuth.js";
+import { TurtlJsonSchema } from "./TurtlJsonSchema.js";
+import { TurtlPath } from "./TurtlPath.js";
+import { TurtlQuery } from "./TurtlQuery.js";
+import { TurtlRequestModel } from "./TurtlRequestModel.js";
+import { TurtlResponse } from "./TurtlResponse.js";
+import { TurtlResponseAdapter } from "./TurtlResponseAdapter.js";
+import { TurtlRestAdapter } from "./TurtlRestAdapter.js";
+
+/** @typedef {import("./TurtlAPI.js").TurtlAPI} TurtlAPI */
+
+/**
+ * Imports services, endpoints and request models from an OpenAPI 3 document, and exports an api as one.
+ *
+ * @class
+ * @example
+ * const api = TurtlAPI.fromOpenAPI(spec, {
+ *   groupBy: "tag",
+ *   auth: { bearerAuth: new TurtlBearerAuth({ getToken: () => session.token }) },
+ * });
+ *
+ * // or into an existing api
+ * TurtlOpenAPI.apply(api, spec);
+ *
+ * @description
+ * - Services are made per tag (the first tag of an operation) or per first path segment, see `groupBy`.
+ * - Operations become endpoints named by `operationId`, or by method and path (`getPetsById`) when it is missing.
+ * - Parameters and the request body become a request model with the same name as the endpoint, registered on the service.
+ *   Header parameters are camel cased (`X-Request-Id` becomes `xRequestId`), cookie parameters are left out.
+ * - The request body content type picks the `bodyType`, a non-object `text` or `binary` body is the `body` field.
+ * - `security` sets `requiresAuth`, an empty requirement (`{}`) makes auth optional.
+ * - Responses are read with a TurtlRestAdapter, the HTTP status decides success and the body is the data.
+ *   Pass `responseAdapter` to read them another way.
+ * - The first 2xx example becomes `mockResponseSuccess`, the first other example `mockResponseFailure`.
+ *   Examples in the Turtl envelope are used as is, other examples become the response data.
+ *   A 2xx other than 200 without an example still becomes an empty `mockResponseSuccess` with its status.
+ * - The description of the first 2xx response is kept as `responseDescription` for the export.
+ * - Local `$ref`s (`#/components/...`) are resolved, external references are not supported.
+ *
+ * The export (`api.toOpenAPI()`) writes an OpenAPI 3.1 document:
+ * - Every model is a schema component, global models by name and service models as `service.model`.
+ * - Endpoints become operations tagged with the service name, `operationId` is the endpoint name
+ *   (prefixed with the service name when another service has an endpoint with the same name).
+ * - Model fields are path, query, header or body parameters following the path template and `fieldLocations`.
+ * - Static headers of the api, service and endpoint are header parameters with their value as example.
+ * - `requiresAuth` adds a security requirement for the auth strategy of the endpoint, service or api.
+ * - Static mock responses are the response examples, the response model is the response schema.
+ *   The status of the success mock is the success response code, 200 when it has none. A 204 has no content.
+ *   The success description is `responseDescription`, or the success mock message, or "Successful response".
+ *
+ * @method static parse(spec) Parses and checks an OpenAPI 3 document.
+ * @method static getHost(spec) Gets the url of the first server.
+ * @method static apply(api, spec, options) Adds the services, endpoints and models of a document to an api.
+ * @method static generate(api, options) Creates an OpenAPI 3.1 document from the services, endpoints and models of an api.
+ */
+export class TurtlOpenAPI {
+  static #methods = [
+    "get",
+    "put",
+    "post",
+    "delete",
+    "patch",
+    "head",
+    "options",
+  ];
+
+  static #bodyTypes = [
+    [/^application\/(.+\+)?json/, "json"],
+    [/^multipart\/form-data/, "form-data"],
+    [/^application\/x-www-form-urlencoded/, "urlencoded"],
+    [/^text\//, "text"],
+    [/./, "binary"],
+  ];
+
+  /**
+   * Parses and checks an OpenAPI 3 document
+   *
+   * @param {Object|string} spec - the document, or its JSON text
+   * @returns {Object} - the document
+   */
+  static parse(spec) {
+    const document = typeof spec === "string" ? JSON.parse(spec) : spec;
+    if (
+      !document ||
+      typeof document.openapi !== "string" ||
+      !document.openapi.startsWith("3.")
+    ) {
+      throw new Error(
+        "[TurtlOpenAPI] Only OpenAPI 3 documents are supported, the 'openapi' field is missing or not 3.x."
+      );
+    }
+    return document;
+  }
+
+  /**
+   * Gets the url of the first server, server variables are filled with their defaults
+   *
+   * @param {Object|string} spec - the document
+   * @returns {string} - server url without a trailing slash, empty when there are no servers
+   */
+  static getHost(spec) {
+    const server = TurtlOpenAPI.parse(spec).servers?.[0];
+    if (!server?.url) {
+      return "";
+    }
+    return server.url
+      .replace(
+        /\{([^}]+)\}/g,
+        (match, name) => server.variables?.[name]?.default ?? match
+      )
+      .replace(/\/+$/, "");
+  }
+
+  /**
+   * Adds the services, endpoints and models of a document to an api, existing services are extended
+   *
+   * @param {TurtlAPI} api - the api
+   * @param {Object|string} spec - the document
+   * @param {Object} [options={}] - import options
+   * @param {string} [options.groupBy="tag"] - `tag` for a service per tag, `path` for a service per first path segment
+   * @param {Object} [options.auth={}] - auth strategy per security scheme name, set on the endpoints using that scheme
+   * @param {TurtlResponseAdapter} [options.responseAdapter] - adapter for the imported endpoints, a TurtlRestAdapter when omitted
+   * @returns {TurtlAPI} - the api
+   */
+  static apply(
+    api,
+    spec,
+    {
+      groupBy = "tag",
+      auth = {},
+      responseAdapter = new TurtlRestAdapter(),
+    } = {}
+  ) {
+    const document = TurtlOpenAPI.parse(spec);
+    const resolve = (value) => TurtlOpenAPI.#resolve(document, value);
+
+    for (const path in document.paths || {}) {
+      const pathItem = resolve(document.paths[path]);
+      for (const method of TurtlOpenAPI.#methods) {
+        const operation = pathItem[method];
+        if (!operation) {
+          continue;
+        }
+        const { service, endpointPath } = TurtlOpenAPI.#getService(
+          api,
+          path,
+          operation,
+          groupBy
+        );
+        const name = TurtlOpenAPI.#getEndpointName(
+          service,
+          operation.operationId ??
+            TurtlOpenAPI.#camelCase(
+              `${method} ${path.replace(/\{([^}]+)\}/g, "by $1")}`
+            )
+        );
+        const parameters = TurtlOpenAPI.#getParameters(
+          pathItem.parameters,
+          operation.parameters,
+          resolve
+        );
+        const request = TurtlOpenAPI.#createRequest(
+          method,
+          parameters,
+          method === "get" ? null : resolve(operation.requestBody),
+          resolve
+        );
+        const security = operation.security ?? document.security ?? [];
+        const scheme = Object.keys(security[0] ?? {})[0];
+        const mocks = TurtlOpenAPI.#getMockResponses(
+          operation.responses,
+          resolve
+        );
+
+        service.addModel(name, TurtlRequestModel.createFactory(request.schema));
+        service.addEndpoint(name, {
+          path: endpointPath,
+          method: method.toUpperCase(),
+          modelName: name,
+          requiresAuth:
+            security.length > 0 &&
+            !security.some((item) => Object.keys(item).length === 0),
+          auth: (scheme && auth[scheme]) || null,
+          bodyType: request.bodyType,
+          fieldLocations: request.fieldLocations,
+          mockResponseSuccess: mocks.success,
+          mockResponseFailure: mocks.failure,
+          responseDescription: mocks.description,
+          // Only set when the service or api doesn't read responses this way already
+          responseAdapter:
+            responseAdapter === (service.responseAdapter ?? api.responseAdapter)
+              ? null
+              : responseAdapter,
+        });
+      }
+    }
+    return api;
+  }
+
+  /**
+   * Creates an OpenAPI 3.1 document from the services, endpoints and models of an api
+   *
+   * @param {TurtlAPI} api - the api
+   * @param {Object} [options={}] - export options
+   * @param {string} [options.title="Turtl API"] - `info.title` of the document
+   * @param {string} [options.version="1.0.0"] - `info.version` of the document
+   * @param {string} [options.description] - `info.description` of the document
+   * @returns {Object} - the document
+   */
+  static generate(
+    api,
+    { title = "Turtl API", version = "1.0.0", description } = {}
+  ) {
+    const document = {
+      openapi: "3.1.0",
+      info: { title, version, ...(description ? { description } : {}) },
+      ...(api.host ? { servers: [{ url: api.host }] } : {}),
+      tags: [],
+      paths: {},
+      components: { schemas: {}, securitySchemes: {} },
+    };
+    const conversion = (service) => ({
+      getRuleSchema: (rule, options) => {
+        const fragment = api.validationRuleSchemas?.get(rule);
+        return typeof fragment === "function" ? fragment(options) : fragment;
+      },
+      getModelRef: (name) => {
+        const component = TurtlOpenAPI.#getModelComponent(api, service, name);
+        return component ? { $ref: `#/components/schemas/${component}` } : null;
+      },
+    });
+
+    for (const [name, factory] of api.Models) {
+      document.components.schemas[name] = TurtlOpenAPI.#getModelSchema(
+        factory,
+        conversion(null)
+      );
+    }
+    const endpointNames = new Map();
+    for (const service of api.services.values()) {
+      for (const [name, factory] of service.Models) {
+        document.components.schemas[`${service.name}.${name}`] =
+          TurtlOpenAPI.#getModelSchema(factory, conversion(service));
+      }
+      for (const name of service.endpoints.keys()) {
+        endpointNames.set(name, (endpointNames.get(name) ?? 0) + 1);
+      }
+    }
+
+    for (const service of api.services.values()) {
+      document.tags.push({ name: service.name });
+      for (const endpoint of service.endpoints.values()) {
+        const path = TurtlOpenAPI.#toOpenAPIPath(
+          `${service.basePath}${endpoint.path}`
+        );
+        const method = (endpoint.method || "POST").toLowerCase();
+        document.paths[path] ??= {};
+        document.paths[path][method] = TurtlOpenAPI.#createOperation(
+          api,
+          service,
+          endpoint,
+          {
+            document,
+            conversion: conversion(service),
+            operationId:
+              endpointNames.get(endpoint.name) > 1
+                ? TurtlOpenAPI.#camelCase(`${service.name} ${endpoint.name}`)
+                : endpoint.name,
+          }
+        );
+      }
+    }
+    if (Object.keys(document.components.securitySchemes).length === 0) {
+      delete document.components.securitySchemes;
+    }
+    return document;
+  }
+
+  static #createOperation(api, service, endpoint, context) {
+    const { document, conversion } = context;
+    const method = (endpoint.method || "POST").toUpperCase();
+    const factory =
+      service.getModel(endpoint.modelName) ?? api.getModel(endpoint.modelName);
+    const modelSchema = TurtlOpenAPI.#getModelSchema(factory, conversion);
+    const pathParams = TurtlPath.getParams(
+      `${service.basePath}${endpoint.path}`
+    );
+    const operation = {
+      operationId: context.operationId,
+      tags: [service.name],
+      parameters: [],
+    };
+
+    for (const name of pathParams) {
+      operation.parameters.push({
+        name,
+        in: "path",
+        required: true,
+        schema: modelSchema.properties?.[name] ?? { type: "string" },
+      });
+    }
+    const body = { type: "object", properties: {} };
+    const bodyRequired = [];
+    for (const field in modelSchema.properties || {}) {
+      const config = endpoint.fieldLocations?.[field];
+      const location =
+        (typeof config === "string" ? config : config?.in) ??
+        (pathParams.includes(field)
+          ? "path"
+          : method === "GET"
+          ? "query"
+          : "body");
+      const schema = modelSchema.properties[field];
+      const required = (modelSchema.required || []).includes(field);
+      if (location === "path") {
+        continue;
+      }
+      if (location === "body" && method !== "GET") {
+        body.properties[field] = schema;
+        if (required) {
+          bodyRequired.push(field);
+        }
+        continue;
+      }
+      const parameter = {
+        name: config?.name ?? field,
+        in: location === "header" ? "header" : "query",
+        ...(required ? { required: true } : {}),
+        schema,
+      };
+      if (parameter.in === "query" && schema.type === "object") {
+        Object.assign(parameter, TurtlQuery.toOpenAPIStyle("deepObject"));
+      } else if (parameter.in === "query" && schema.type === "array") {
+        Object.assign(
+          parameter,
+          TurtlQuery.toOpenAPIStyle(config?.style ?? endpoint.queryStyle)
+        );
+      }
+      operation.parameters.push(parameter);
+    }
+
+    const headers = {
+      ...Object.fromEntries(api.headers),
+      ...Object.fromEntries(service.headers),
+      ...endpoint.headers,
+    };
+    for (const name in headers) {
+      // OpenAPI describes these headers with the body, response and security scheme
+      if (
+        ["accept", "content-type", "authorization"].includes(
+          name.toLowerCase()
+        ) ||
+        operation.parameters.some(
+          (parameter) => parameter.in === "header" && parameter.name === name
+        )
+      ) {
+        continue;
+      }
+      operation.parameters.push({
+        name,
+        in: "header",
+        schema: { type: "string" },
+        ...(typeof headers[name] === "string"
+          ? { example: headers[name] }
+          : {}),
+      });
+    }
+    if (operation.parameters.length === 0) {
+      delete operation.parameters;
+    }
+
+    if (method !== "GET" && method !== "HEAD") {
+      const requestBody = TurtlOpenAPI.#createRequestBody(
+        endpoint,
+        body,
+        bodyRequired,
+        modelSchema,
+        conversion.getModelRef(endpoint.modelName)
+      );
+      if (requestBody) {
+        operation.requestBody = requestBody;
+      }
+    }
+
+    if (endpoint.requiresAuth) {
+      const scheme = TurtlOpenAPI.#getSecurityScheme(
+        endpoint.auth ?? service.auth ?? api.auth
+      );
+      const schemes = document.components.securitySchemes;
+      let name = Object.keys(schemes).find(
+        (key) => JSON.stringify(schemes[key]) === JSON.stringify(scheme.scheme)
+      );
+      if (!name) {
+        name = scheme.name;
+        for (let i = 2; name in schemes; i++) {
+          name = `${scheme.name}${i}`;
+        }
+        schemes[name] = scheme.scheme;
+      }
+      operation.security = [{ [name]: [] }];
+    }
+
+    operation.responses = TurtlOpenAPI.#createResponses(
+      api,
+      service,
+      endpoint,
+      conversion
+    );
+    return operation;
+  }
+
+  static #createRequestBody(endpoint, body, required, modelSchema, modelRef) {
+    const bodyType = endpoint.bodyType || "json";
+    if (bodyType === "text" || bodyType === "binary") {
+      const field = endpoint.bodyField || "body";
+      return {
+        required: (modelSchema.required || []).includes(field),
+        content: {
+          [bodyType === "text" ? "text/plain" : "application/octet-stream"]: {
+            schema: {
+              type: "string",
+              ...(bodyType === "binary" ? { format: "binary" } : {}),
+            },
+          },
+        },
+      };
+    }
+    if (Object.keys(body.properties).length === 0) {
+      return null;
+    }
+    if (required.length > 0) {
+      body.required = required;
+    }
+    const mediaType = {
+      json: "application/json",
+      "form-data": "multipart/form-data",
+      urlencoded: "application/x-www-form-urlencoded",
+    }[bodyType];
+    // When the whole model is the body the component is used instead of repeating it
+    const wholeModel =
+      modelRef &&
+      Object.keys(body.properties).length ===
+        Object.keys(modelSchema.properties).length;
+    return {
+      required: required.length > 0,
+      content: { [mediaType]: { schema: wholeModel ? modelRef : body } },
+    };
+  }
+
+  static #createResponses(api, service, endpoint, conversion) {
+    const adapter =
+      endpoint.responseAdapter ??
+      service.responseAdapter ??
+      api.responseAdapter;
+    // Only the default adapter reads the Turtl envelope
+    const envelope =
+      !adapter ||
+      (adapter.constructor === TurtlResponseAdapter &&
+        typeof adapter.adapter !== "function");
+    const responseType = endpoint.responseType || "json";
+    const dataSchema = endpoint.responseModelName
+      ? conversion.getModelRef(endpoint.responseModelName)
+      : null;
+    const content = (schema, example) => {
+      if (responseType === "text") {
+        return { "text/plain": { schema: { type: "string" } } };
+      }
+      if (responseType !== "json") {
+        return {
+          "application/octet-stream": {
+            schema: { type: "string", format: "binary" },
+          },
+        };
+      }
+      const media = {};
+      if (schema) {
+        media.schema = schema;
+      }
+      if (example !== undefined) {
+        media.example = example;
+      }
+      return { "application/json": media };
+    };
+    const wrap = (success, data) =>
+      envelope
+        ? {
+            type: "object",
+            properties: {
+              success: { type: "boolean", const: success },
+              message: { type: "string" },
+              ...(data ? { data } : {}),
+            },
+            required: ["success", "message"],
+          }
+        : data;
+    const example = (mock) =>
+      envelope
+        ? { success: mock.success, message: mock.message, data: mock.data }
+        : mock.data;
+
+    const responses = {};
+    const success = TurtlOpenAPI.#getStaticMock(endpoint.mockResponseSuccess);
+    const successStatus = success?.status ?? 200;
+    responses[String(successStatus)] = {
+      description:
+        endpoint.responseDescription ||
+        success?.message ||
+        "Successful response",
+      ...(successStatus === 204
+        ? {}
+        : {
+            content: content(
+              wrap(true, dataSchema),
+              success ? example(success) : undefined
+            ),
+          }),
+    };
+    const failure = TurtlOpenAPI.#getStaticMock(endpoint.mockResponseFailure);
+    if (failure) {
+      responses[failure.status ? String(failure.status) : "default"] = {
+        description: failure.message || "Failed response",
+        content:
+          responseType === "json"
+            ? content(wrap(false, null), example(failure))
+            : { "application/json": { example: example(failure) } },
+      };
+    }
+    return responses;
+  }
+
+  static #getStaticMock(mock) {
+    return mock instanceof TurtlResponse ? mock : null;
+  }
+
+  static #getModelSchema(factory, conversion) {
+    if (!factory?.schema) {
+      return { type: "object" };
+    }
+    return TurtlJsonSchema.fromModelSchema(factory.schema, conversion);
+  }
+
+  static #getModelComponent(api, service, name) {
+    if (service?.getModel(name)) {
+      return `${service.name}.${name}`;
+    }
+    return api.getModel(name) ? name : null;
+  }
+
+  static #getSecurityScheme(auth) {
+    if (auth instanceof TurtlBasicAuth) {
+      return { name: "basicAuth", scheme: { type: "http", scheme: "basic" } };
+    }
+    if (auth instanceof TurtlApiKeyAuth) {
+      return {
+        name: "apiKeyAuth",
+        scheme: { type: "apiKey", in: auth.in, name: auth.name },
+      };
+    }
+    if (
+      auth instanceof TurtlBearerAuth &&
+      (auth.header !== "Authorization" || auth.prefix !== "Bearer")
+    ) {
+      return {
+        name: "apiKeyAuth",
+        scheme: { type: "apiKey", in: "header", name: auth.header },
+      };
+    }
+    // Without a strategy the token is sent as a bearer token too
+    return { name: "bearerAuth", scheme: { type: "http", scheme: "bearer" } };
+  }
+
+  static #toOpenAPIPath(path) {
+    return path.split("?")[0].replace(/:([A-Za-z_$][\w$]*)/g, "{$1}") || "/";
+  }
+
+  static #resolve(document, value, seen = new Set()) {
+    if (!value || typeof value.$ref !== "string") {
+      return value;
+    }
+    if (!value.$ref.startsWith("#/") || seen.has(value.$ref)) {
+      return {};
+    }
+    let target = document;
+    for (const part of value.$ref.slice(2).split("/")) {
+      target = target?.[part.replace(/~1/g, "/").replace(/~0/g, "~")];
+    }
+    return TurtlOpenAPI.#resolve(
+      document,
+      target ?? {},
+      new Set(seen).add(value.$ref)
+    );
+  }
+
+  static #getService(api, path, operation, groupBy) {
+    const segment = path.split("/").filter(Boolean)[0] ?? "root";
+    const byPath = groupBy === "path" || !operation.tags?.length;
+    const name = TurtlOpenAPI.#camelCase(
+      byPath ? segment.replace(/[{}]/g, "") : operation.tags[0]
+    );
+    // Only path grouping on a static segment moves the segment to the base path
+    const basePath =
+      groupBy === "path" && !segment.startsWith("{") ? `/${segment}` : "";
+    let service = api.getService(name);
+    if (!service) {
+      service = new TurtlAPIService(name, basePath);
+      api.addService(service);
+    }
+    return {
+      service,
+      endpointPath: path.startsWith(service.basePath)
+        ? path.slice(service.basePath.length)
+        : path,
+    };
+  }
+
+  static #getEndpointName(service, name) {
+    let unique = TurtlOpenAPI.#camelCase(name);
+    for (let i = 2; service.endpoints.has(unique); i++) {
+      unique = `${TurtlOpenAPI.#camelCase(name)}${i}`;
+    }
+    return unique;
+  }
+
+  static #getParameters(
+    pathParameters = [],
+    operationParameters = [],
+    resolve
+  ) {
+    // Operation parameters override path item parameters with the same name and location
+    const parameters = new Map();
+    for (const parameter of [...pathParameters, ...operationParameters]) {
+      const resolved = resolve(parameter);
+      if (resolved?.name && resolved.in !== "cookie") {
+        parameters.set(`${resolved.in}:${resolved.name}`, resolved);
+      }
+    }
+    return [...parameters.values()];
+  }
+
+  static #createRequest(method, parameters, requestBody, resolve) {
+    const request = { schema: {}, fieldLocations: {}, bodyType: "json" };
+    for (const parameter of parameters) {
+      const field =
+        parameter.in === "header"
+          ? TurtlOpenAPI.#camelCase(parameter.name)
+          : parameter.name;
+      request.schema[field] = TurtlJsonSchema.toRules(
+        parameter.schema,
+        parameter.in === "path" || !!parameter.required,
+        { resolve }
+      );
+      if (parameter.in === "header") {
+        request.fieldLocations[field] = { in: "header", name: parameter.name };
+      } else if (parameter.in === "query") {
+        const type = resolve(parameter.schema)?.type;
+        const location = { in: "query" };
+        if (type === "array" || type === "object") {
+          location.style = TurtlQuery.fromOpenAPIStyle(
+            parameter.style,
+            parameter.explode
+          );
+        }
+        // GET sends fields in the query already
+        if (method !== "get" || location.style) {
+          request.fieldLocations[field] = location;
+        }
+      }
+    }
+
+    const content = requestBody?.content ?? {};
+    const mediaType = Object.keys(content)
+      .map((type) => [
+        type,
+        TurtlOpenAPI.#bodyTypes.find(([pattern]) => pattern.test(type))[1],
+      ])
+      .sort(
+        ([, a], [, b]) =>
+          TurtlOpenAPI.#bodyTypes.findIndex(([, type]) => type === a) -
+          TurtlOpenAPI.#bodyTypes.findIndex(([, type]) => type === b)
+      )[0];
+    if (!mediaType) {
+      return request;
+    }
+    request.bodyType = mediaType[1];
+    const schema = resolve(content[mediaType[0]].schema) ?? {};
+    const modelSchema = TurtlJsonSchema.toModelSchema(schema, { resolve });
+    if (Object.keys(modelSchema).length > 0) {
+      Object.assign(request.schema, modelSchema);
+    } else if (request.bodyType === "text" || request.bodyType === "binary") {
+      request.schema.body = requestBody.required ? [{ rule: "required" }] : [];
+    }
+    return request;
+  }
+
+  static #getMockResponses(responses = {}, resolve) {
+    const mocks = { success: null, failure: null, description: null };
+    for (const code in responses) {
+      const response = resolve(responses[code]);
+      const example = TurtlOpenAPI.#getExample(response, resolve);
+      const status = /^\d{3}$/.test(code)
+        ? Number(code)
+        : code.toUpperCase() === "2XX"
+        ? 200
+        : code === "default"
+        ? 500
+        : Number(code[0]) * 100;
+      const success = status >= 200 && status < 300;
+      if (success && mocks.description === null) {
+        mocks.description = response?.description || null;
+      }
+      const key = success ? "success" : "failure";
+      if (mocks[key] !== null) {
+        continue;
+      }
+      if (example === undefined) {
+        // Keeps a declared 201 or 204 without an example, so the export writes it back
+        if (success && status !== 200) {
+          mocks.success = TurtlResponse.Success("", {});
+          mocks.success.status = status;
+        }
+        continue;
+      }
+      let mock;
+      if (
+        example &&
+        typeof example === "object" &&
+        typeof example.success === "boolean"
+      ) {
+        mock = TurtlResponse.fromJson(example);
+      } else if (success) {
+        mock = TurtlResponse.Success("", example);
+      } else {
+        mock = TurtlResponse.Error(
+          example?.message ??
+            example?.detail ??
+            example?.title ??
+            response.description ??
+            "",
+          TurtlResponse.getErrorTypeForStatus(status)
+        );
+        mock.data = example;
+      }
+      mock.status = status;
+      mocks[key] = mock;
+    }
+    return mocks;
+  }
+
+  static #getExample(response, resolve) {
+    for (const type in response?.content ?? {}) {
+      const media = response.content[type];
+      if (media.example !== undefined) {
+        return media.example;
+      }
+      const first = Object.values(media.examples ?? {})[0];
+      if (first !== undefined) {
+        return resolve(first).value;
+      }
+      const schemaExample = resolve(media.schema)?.example;
+      if (schemaExample !== undefined) {
+        return schemaExample;
+      }
+    }
+    return undefined;
+  }
+
+  static #camelCase(value) {
+    const words = String(value)
+      .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+      .split(/[^A-Za-z0-9]+/)
+      .filter(Boolean);
+    return words
+      .map((word, index) =>
+        index === 0
+          ? word.toLowerCase()
+          : word[0].toUpperCase() + word.slice(1).toLowerCase()
+      )
+      .join("");
+  }
+}
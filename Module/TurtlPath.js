@@ -0,0 +1,58 @@
+/**
+ * Helpers for path templates like `/users/:id/posts/{postId}`.
+ *
+ * @class
+ * @example
+ * TurtlPath.resolve("/tenants/:tenantId/users/{id}", { tenantId: "acme", id: 5 });
+ * // { path: "/tenants/acme/users/5", params: ["tenantId", "id"], missing: [] }
+ *
+ * @method static getParams(template) Lists the placeholder names in a template.
+ * @method static resolve(template, values) Fills the placeholders with url encoded values.
+ */
+export class TurtlPath {
+  static #pattern = /:([A-Za-z_$][\w$]*)|\{([A-Za-z_$][\w$]*)\}/g;
+
+  /**
+   * Lists the placeholder names in a template
+   *
+   * @param {string} template - path template
+   * @returns {string[]} - placeholder names in order of appearance
+   */
+  static getParams(template = "") {
+    const params = [];
+    for (const match of template.matchAll(TurtlPath.#pattern)) {
+      const name = match[1] ?? match[2];
+      if (!params.includes(name)) {
+        params.push(name);
+      }
+    }
+    return params;
+  }
+
+  /**
+   * Fills the placeholders in a template, values are url encoded
+   *
+   * @param {string} template - path template
+   * @param {Object} values - values to fill the placeholders with
+   * @returns {{path: string, params: string[], missing: string[]}} - resolved path, used placeholder names and placeholders without a value
+   */
+  static resolve(template = "", values = {}) {
+    const params = [];
+    const missing = [];
+    const path = template.replace(TurtlPath.#pattern, (match, colon, brace) => {
+      const name = colon ?? brace;
+      const value = values[name];
+      if (value === undefined || value === null || value === "") {
+        if (!missing.includes(name)) {
+          missing.push(name);
+        }
+        return match;
+      }
+      if (!params.includes(name)) {
+        params.push(name);
+      }
+      return encodeURIComponent(String(value));
+    });
+    return { path, params, missing };
+  }
+}
@@ -0,0 +1,88 @@
+import { TurtlResponse } from "./TurtlResponse.js";
+import { TurtlRestAdapter } from "./TurtlRestAdapter.js";
+
+/**
+ * Response adapter for RFC 7807 `application/problem+json` errors, successful responses are read like TurtlRestAdapter.
+ *
+ * @class
+ * @extends TurtlRestAdapter
+ * @example
+ * const api = new TurtlAPI({
+ *   host: "https://api.example.com",
+ *   responseAdapter: new TurtlProblemJsonAdapter(),
+ * });
+ *
+ * const response = await api.call("orders.create", order);
+ * if (!response.success) {
+ *   response.message; // the problem `detail`, or the `title`
+ *   response.data.type; // "https://example.com/probs/out-of-credit"
+ *   response.data.errors; // { "lineItems[0].quantity": ["Must be positive."] }
+ * }
+ *
+ * @description
+ * The problem object is the data of the failure. Field errors in `errors` (an object of messages per field
+ * or an array of `{ name|field|pointer, reason|message|detail }`) or `invalid-params` are converted to the
+ * `errors` and `errorList` format of request model validation.
+ *
+ * @param {Object} [options={}] - adapter options, see TurtlResponseAdapter
+ */
+export class TurtlProblemJsonAdapter extends TurtlRestAdapter {
+  /**
+   * Maps a raw response into a TurtlResponse
+   *
+   * @param {Object} raw - raw response with the body as text
+   * @param {Object} context - `{ api, accepted }`
+   * @returns {TurtlResponse} - the response
+   */
+  adapt(raw, context) {
+    const response = super.adapt(raw, context);
+    if (
+      typeof this.adapter === "function" ||
+      context.accepted ||
+      !TurtlProblemJsonAdapter.#isProblem(response.data)
+    ) {
+      return response;
+    }
+    const problem = response.data;
+    const errorList = TurtlProblemJsonAdapter.#getErrorList(problem);
+    const errors = {};
+    for (const error of errorList) {
+      errors[error.field] = [...(errors[error.field] || []), error.message];
+    }
+    return new TurtlResponse(
+      false,
+      problem.detail || problem.title || this.getMessage(problem),
+      errorList.length > 0 ? { ...problem, errors, errorList } : problem
+    );
+  }
+
+  static #isProblem(data) {
+    return (
+      !!data &&
+      typeof data === "object" &&
+      !Array.isArray(data) &&
+      ["type", "title", "detail", "status"].some((key) => key in data)
+    );
+  }
+
+  static #getErrorList(problem) {
+    const source = problem.errors ?? problem["invalid-params"];
+    const errorList = [];
+    if (Array.isArray(source)) {
+      for (const item of source) {
+        const field = item?.name ?? item?.field ?? item?.pointer ?? "_model";
+        const message = item?.reason ?? item?.message ?? item?.detail;
+        if (typeof message === "string") {
+          errorList.push({ field, message });
+        }
+      }
+    } else if (source && typeof source === "object") {
+      for (const field in source) {
+        for (const message of [].concat(source[field])) {
+          errorList.push({ field, message: String(message) });
+        }
+      }
+    }
+    return errorList;
+  }
+}
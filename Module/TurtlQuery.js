@@ -0,0 +1,160 @@
+/**
+ * Serializes request model data into a query string.
+ *
+ * @class
+ * @example
+ * TurtlQuery.stringify({ tags: ["a", "b"], filter: { name: "x" }, page: undefined }, { style: "repeat" });
+ * // "tags=a&tags=b&filter%5Bname%5D=x"
+ *
+ * @description
+ * The style decides how arrays are written, objects are always nested with brackets (`filter[name]=x`):
+ * - `comma` (default): `tags=a,b`
+ * - `repeat`: `tags=a&tags=b`
+ * - `brackets`: `tags[]=a&tags[]=b`
+ * - `deepObject`: `tags[0]=a&tags[1]=b`
+ * - `pipe`: `tags=a|b`
+ * - `space`: `tags=a%20b`
+ *
+ * Arrays of objects always use indices (`items[0][name]=x`). Dates are sent as ISO strings,
+ * `undefined` and `null` are left out.
+ *
+ * @method static stringify(data, options) Serializes data into a query string.
+ * @method static append(url, query) Appends a query string to a url.
+ * @method static fromOpenAPIStyle(style, explode) Maps an OpenAPI `style`/`explode` pair to a style.
+ * @method static toOpenAPIStyle(style) Maps a style to an OpenAPI `style`/`explode` pair.
+ */
+export class TurtlQuery {
+  static styles = [
+    "comma",
+    "repeat",
+    "brackets",
+    "deepObject",
+    "pipe",
+    "space",
+  ];
+
+  static #delimiters = { comma: ",", pipe: "|", space: " " };
+
+  /**
+   * Serializes data into a query string
+   *
+   * @param {Object} data - values by parameter name
+   * @param {Object} [options={}] - serialization options
+   * @param {string} [options.style="comma"] - array style, see the class description
+   * @param {Object} [options.styles={}] - style per parameter name, overrides `style`
+   * @returns {string} - query string without the leading `?`
+   */
+  static stringify(data, { style = "comma", styles = {} } = {}) {
+    const params = new URLSearchParams();
+    for (const name in data || {}) {
+      const paramStyle = styles[name] ?? style;
+      if (!TurtlQuery.styles.includes(paramStyle)) {
+        throw new Error(
+          `Unknown query style '${paramStyle}', use one of: ${TurtlQuery.styles.join(
+            ", "
+          )}.`
+        );
+      }
+      TurtlQuery.#append(params, name, data[name], paramStyle);
+    }
+    return params.toString();
+  }
+
+  /**
+   * Appends a query string to a url, keeping a query string the url already has
+   *
+   * @param {string} url - url
+   * @param {string} query - query string without the leading `?`
+   * @returns {string} - url with the query string
+   */
+  static append(url, query) {
+    if (!query) {
+      return url;
+    }
+    return `${url}${url.includes("?") ? "&" : "?"}${query}`;
+  }
+
+  /**
+   * Maps an OpenAPI query parameter `style` and `explode` to a style
+   *
+   * @param {string} [style="form"] - OpenAPI style: `form`, `spaceDelimited`, `pipeDelimited` or `deepObject`
+   * @param {boolean} [explode] - OpenAPI explode, defaults to true for `form`
+   * @returns {string} - query style
+   */
+  static fromOpenAPIStyle(style = "form", explode = undefined) {
+    if (style === "deepObject") {
+      return "deepObject";
+    }
+    if (style === "pipeDelimited") {
+      return explode ? "repeat" : "pipe";
+    }
+    if (style === "spaceDelimited") {
+      return explode ? "repeat" : "space";
+    }
+    return explode === false ? "comma" : "repeat";
+  }
+
+  /**
+   * Maps a style to an OpenAPI query parameter `style` and `explode`
+   *
+   * @param {string} [style="comma"] - query style
+   * @returns {{style: string, explode: boolean}} - OpenAPI style and explode, `brackets` has no counterpart and maps to `form` exploded
+   */
+  static toOpenAPIStyle(style = "comma") {
+    switch (style) {
+      case "comma":
+        return { style: "form", explode: false };
+      case "deepObject":
+        return { style: "deepObject", explode: true };
+      case "pipe":
+        return { style: "pipeDelimited", explode: false };
+      case "space":
+        return { style: "spaceDelimited", explode: false };
+      default:
+        return { style: "form", explode: true };
+    }
+  }
+
+  static #append(params, name, value, style) {
+    if (value === undefined || value === null) {
+      return;
+    }
+    if (value instanceof Date) {
+      params.append(name, value.toISOString());
+    } else if (Array.isArray(value)) {
+      TurtlQuery.#appendArray(params, name, value, style);
+    } else if (typeof value === "object") {
+      for (const key in value) {
+        TurtlQuery.#append(params, `${name}[${key}]`, value[key], style);
+      }
+    } else {
+      params.append(name, String(value));
+    }
+  }
+
+  static #appendArray(params, name, items, style) {
+    const values = items.filter((item) => item !== undefined && item !== null);
+    const nested = values.some(
+      (item) => typeof item === "object" && !(item instanceof Date)
+    );
+    if (nested || style === "deepObject") {
+      values.forEach((item, index) =>
+        TurtlQuery.#append(params, `${name}[${index}]`, item, style)
+      );
+      return;
+    }
+    const strings = values.map((item) =>
+      item instanceof Date ? item.toISOString() : String(item)
+    );
+    if (style in TurtlQuery.#delimiters) {
+      if (strings.length > 0) {
+        params.append(name, strings.join(TurtlQuery.#delimiters[style]));
+      }
+      return;
+    }
+    const key = style === "brackets" ? `${name}[]` : name;
+    for (const item of strings) {
+      params.append(key, item);
+    }
+  }
+}
@@ -1,4 +1,5 @@
 import { TurtlResponse } from "./TurtlResponse.js";
+import { TurtlMessages } from "./TurtlMessages.js";
 
 /**
  * Represents a request model with schema-based and custom validation.
@@ -8,54 +9,298 @@ import { TurtlResponse } from "./TurtlResponse.js";
  * @param {Object} [schema={}] - Validation schema defining rules for each field.
  * @param {Function|null} [customValidator=null] - Optional custom validation function.
  * @param {Object|null} [api=null] - Optional API object providing validation rule functions.
+ * @param {Object} [options={}] - Optional model options.
+ * @param {string} [options.validationMode] - `first` stops at the first failing rule, `all` collects every error. Defaults to the api setting or `first`.
+ * @param {boolean} [options.deferValidation=false] - Skip validation in the constructor, call `validateAsync()` instead.
+ * @param {Object|null} [service=null] - Optional service the model belongs to, used to look up nested models.
  *
  * @property {Object} _schema - The validation schema for the model.
  * @property {Function|null} _customValidator - Custom validation function.
  * @property {Object|null} _api - API object for validation rules.
+ * @property {Object} _options - Model options.
+ * @property {Object|null} _service - Service used to look up nested models.
  * @property {Object} validateResult - Result of the validation process.
  * @property {boolean} isValid - Indicates if the model is valid.
+ * @property {boolean} isPending - Indicates validation has async rules that still need `validateAsync()`.
  *
  * @method static createFactory
  *   Creates a factory for generating TurtlRequestModel instances with a given schema and optional custom validator.
  *   @param {Object} schema - Schema definition for the request model.
  *   @param {Function|null} [customValidator=null] - Optional custom validation function.
- *   @returns {{create: function(Object=, Object=): TurtlRequestModel}} Factory object with a `create` method.
+ *   @param {Object} [options={}] - Optional model options.
+ *   @returns {{create: function(Object=, Object=, Object=): TurtlRequestModel, createAsync: function(Object=, Object=, Object=, AbortSignal=): Promise<TurtlRequestModel>}} Factory object with `create` and `createAsync` methods.
+ *
+ * @method getErrorMessage(index, defaultMessage, options, params)
+ *   Gets an overridden or default error message with `{placeholders}` filled in, message keys are resolved through the api message catalog.
+ *
+ * @method validateAsync(signal)
+ *   Runs every rule and the custom validator, awaiting async rules.
+ *
+ * @method toDataObject()
+ *   Returns the data of the model as a plain object, nested models included.
+ *
+ * @method toJSON()
+ *   Returns the same as toDataObject, used by `JSON.stringify`.
+ *
+ * @method static validateNested
+ *   Validates a nested object against a registered model or inline schema, used by the `model` and `arrayOfModel` rules.
  */
 export class TurtlRequestModel {
-  constructor(data = {}, schema = {}, customValidator = null, api = null) {
+  static #messages = null;
+  // Stands in for an async rule that isn't started during sync validation
+  static #deferred = Symbol("deferred");
+
+  constructor(
+    data = {},
+    schema = {},
+    customValidator = null,
+    api = null,
+    options = {},
+    service = null
+  ) {
+    const { deferValidation = false, ...modelOptions } = options;
+    const mode = modelOptions.validationMode ?? api?.validationMode ?? "first";
     this._schema = schema;
     this._customValidator = customValidator;
     this._api = api;
+    this._options = { ...modelOptions, validationMode: mode };
+    this._service = service;
 
     Object.assign(this, data);
 
-    const result = TurtlRequestModel.validateFields(schema, this, api);
-    const custom = customValidator ? customValidator(this) : null;
+    if (deferValidation) {
+      this.#setPending();
+      return;
+    }
+
+    // Async rules can't be awaited here, they are skipped (or cancelled when they only turn out
+    // to be async by returning a promise) and the model is marked as pending
+    const controller =
+      typeof AbortController !== "undefined" ? new AbortController() : null;
+    const context = { signal: controller?.signal ?? null, pending: false };
+    const result = TurtlRequestModel.validateFields(
+      schema,
+      this,
+      api,
+      mode,
+      context
+    );
+    let custom = null;
+    if (
+      customValidator &&
+      !context.pending &&
+      !TurtlRequestModel.#isAsyncFunction(customValidator)
+    ) {
+      custom = customValidator(this, { signal: context.signal });
+    }
+    if (
+      TurtlRequestModel.#isAsyncFunction(customValidator) ||
+      TurtlRequestModel.#isThenable(custom)
+    ) {
+      TurtlRequestModel.#ignoreRejection(custom);
+      context.pending = true;
+      custom = null;
+    }
+
+    if (context.pending) {
+      controller?.abort();
+      this.#setPending();
+      return;
+    }
+    this.#applyResults(result, custom);
+  }
+
+  /**
+   * Runs all validation rules and the custom validator, awaiting async rules.
+   * Async rules and the custom validator receive the signal as `context.signal`.
+   *
+   * @async
+   * @param {AbortSignal} [signal=null] - signal to cancel a superseded validation
+   * @returns {Promise<TurtlResponse>} - the validation result, or an aborted response when the signal aborted
+   */
+  async validateAsync(signal = null) {
+    if (signal?.aborted) {
+      return TurtlResponse.Aborted(
+        TurtlRequestModel.translate(this._api, "validation.aborted")
+      );
+    }
+    const context = { signal, pending: false };
+    const result = await TurtlRequestModel.validateFieldsAsync(
+      this._schema,
+      this,
+      this._api,
+      this._options.validationMode,
+      context
+    );
+    if (signal?.aborted) {
+      return TurtlResponse.Aborted(
+        TurtlRequestModel.translate(this._api, "validation.aborted")
+      );
+    }
+    let custom = null;
+    if (this._customValidator) {
+      try {
+        custom = await this._customValidator(this, { signal });
+      } catch (error) {
+        custom = TurtlRequestModel.#ruleFailure(this._api, error);
+      }
+    }
+    if (signal?.aborted) {
+      return TurtlResponse.Aborted(
+        TurtlRequestModel.translate(this._api, "validation.aborted")
+      );
+    }
+    this.#applyResults(result, custom);
+    return this.validateResult;
+  }
+
+  #setPending() {
+    this.isPending = true;
+    this.isValid = false;
+    this.validateResult = TurtlResponse.Error(
+      TurtlRequestModel.translate(this._api, "validation.pending"),
+      TurtlResponse.ErrorType.VALIDATION
+    );
+  }
 
-    if (!result.success) {
+  #applyResults(result, custom) {
+    this.isPending = false;
+    if (this._options.validationMode === "all") {
+      this.validateResult = TurtlRequestModel.#mergeResults(
+        result,
+        custom,
+        this._api
+      );
+      this.isValid = this.validateResult.success;
+    } else if (!result.success) {
       this.validateResult = result;
       this.isValid = false;
     } else if (custom && !custom.success) {
       this.validateResult = custom;
       this.isValid = false;
     } else {
-      this.validateResult = TurtlResponse.Success("Validation successful");
+      this.validateResult = TurtlResponse.Success(
+        TurtlRequestModel.translate(this._api, "validation.success")
+      );
       this.isValid = true;
     }
+    if (!this.isValid && !this.validateResult.errorType) {
+      this.validateResult.errorType = TurtlResponse.ErrorType.VALIDATION;
+    }
+  }
+
+  /**
+   * Validates the fields of an instance against a schema.
+   * Async rules can't be awaited, they are not started (`async` functions) or their promise is ignored.
+   * They count as passing and `context.pending` is set.
+   *
+   * @param {Object} schema - schema definition
+   * @param {Object} instance - the object to validate
+   * @param {Object|null} api - api providing the validation rules
+   * @param {string} [mode="first"] - `first` returns the first failing rule, `all` collects every error
+   * @param {Object} [context={}] - validation context, `signal` is passed on to the rules
+   * @returns {TurtlResponse} - success, or an error response. In `all` mode the data holds `errors` (per field) and `errorList`
+   */
+  static validateFields(schema, instance, api, mode = "first", context = {}) {
+    const steps = TurtlRequestModel.#validationSteps(
+      schema,
+      instance,
+      api,
+      mode,
+      {
+        signal: context.signal ?? null,
+        async: false,
+      }
+    );
+    let step = steps.next();
+    while (!step.done) {
+      let result = step.value;
+      if (
+        result === TurtlRequestModel.#deferred ||
+        TurtlRequestModel.#isThenable(result)
+      ) {
+        TurtlRequestModel.#ignoreRejection(result);
+        context.pending = true;
+        result = TurtlResponse.Success();
+      }
+      step = steps.next(result);
+    }
+    return step.value;
+  }
+
+  /**
+   * Validates the fields of an instance against a schema, awaiting async rules.
+   * A rule that throws or rejects fails its field, unless the signal aborted: then the result is an aborted response.
+   *
+   * @async
+   * @param {Object} schema - schema definition
+   * @param {Object} instance - the object to validate
+   * @param {Object|null} api - api providing the validation rules
+   * @param {string} [mode="first"] - `first` returns the first failing rule, `all` collects every error
+   * @param {Object} [context={}] - validation context, `signal` is passed on to the rules
+   * @returns {Promise<TurtlResponse>} - same as validateFields, or an aborted response
+   */
+  static async validateFieldsAsync(
+    schema,
+    instance,
+    api,
+    mode = "first",
+    context = {}
+  ) {
+    const steps = TurtlRequestModel.#validationSteps(
+      schema,
+      instance,
+      api,
+      mode,
+      {
+        signal: context.signal ?? null,
+        async: true,
+      }
+    );
+    let step = steps.next();
+    while (!step.done) {
+      let result;
+      try {
+        result = await step.value;
+      } catch (error) {
+        if (context.signal?.aborted) {
+          return TurtlResponse.Aborted(
+            TurtlRequestModel.translate(api, "validation.aborted")
+          );
+        }
+        result = TurtlRequestModel.#ruleFailure(api, error);
+      }
+      step = steps.next(result);
+    }
+    return step.value;
   }
 
-  static validateFields(schema, instance, api) {
+  /**
+   * Walks the schema and yields every rule result, the caller sends back the (awaited) result.
+   *
+   * @param {Object} schema - schema definition
+   * @param {Object} instance - the object to validate
+   * @param {Object|null} api - api providing the validation rules
+   * @param {string} mode - `first` or `all`
+   * @param {Object} ruleContext - context passed to every rule as fourth argument
+   * @returns {Generator<*, TurtlResponse, *>} - generator returning the validation result
+   */
+  static *#validationSteps(schema, instance, api, mode, ruleContext) {
     if (!instance.getErrorMessage) {
-      instance.getErrorMessage = (i, d, o) => {
+      instance.getErrorMessage = (i, d, o, p = {}) => {
         const errorMessages = o?.errors || [];
-        return (
+        return TurtlRequestModel.translate(
+          api,
           (Array.isArray(errorMessages) &&
             errorMessages.length > i &&
             errorMessages[i]) ||
-          d
+            d,
+          { ...o, ...p }
         );
       };
     }
+    const errors = {};
+    const errorList = [];
     for (const key in schema) {
       const rulesArray = schema[key];
       const value = instance[key];
@@ -69,6 +314,9 @@ export class TurtlRequestModel {
       for (const ruleEntry of rulesArray) {
         const ruleName = ruleEntry.rule;
         const options = ruleEntry.options || {};
+        if (ruleEntry.optional && (value === undefined || value === null)) {
+          continue;
+        }
 
         const validator = api?.getValidationRule(ruleName);
         if (typeof validator !== "function") {
@@ -77,26 +325,322 @@ export class TurtlRequestModel {
           );
         }
 
-        const result = validator(value, instance, options);
+        let outcome;
+        if (
+          !ruleContext.async &&
+          TurtlRequestModel.#isAsyncFunction(validator)
+        ) {
+          outcome = TurtlRequestModel.#deferred;
+        } else {
+          try {
+            outcome = validator(value, instance, options, {
+              ...ruleContext,
+              field: key,
+              value,
+            });
+          } catch (error) {
+            outcome = TurtlRequestModel.#ruleFailure(api, error);
+          }
+        }
+        const result = yield outcome;
         if (result instanceof TurtlResponse && !result.success) {
-          return result;
+          // Rules validating nested values report errors relative to the field
+          const nested = result.data?.errors;
+          if (mode !== "all") {
+            return nested
+              ? TurtlRequestModel.#prefixErrors(key, result)
+              : result;
+          }
+          if (nested) {
+            const prefixed = TurtlRequestModel.#prefixErrors(key, result).data;
+            for (const path in prefixed.errors) {
+              errors[path] = [
+                ...(errors[path] || []),
+                ...prefixed.errors[path],
+              ];
+            }
+            errorList.push(...prefixed.errorList);
+          } else {
+            errors[key] = [...(errors[key] || []), result.message];
+            errorList.push({ field: key, message: result.message });
+          }
+          if (ruleEntry.bail) {
+            break;
+          }
         }
       }
     }
 
+    if (errorList.length > 0) {
+      return new TurtlResponse(false, errorList[0].message, {
+        errors,
+        errorList,
+      });
+    }
     return TurtlResponse.Success();
   }
 
-  getErrorMessage(index, defaultMessage, options) {
-    const errorMessages = options?.errors || [];
+  /**
+   * Validates a nested value against a registered model (`options.model`) or an inline schema (`options.schema`).
+   * Errors are reported relative to the nested value, like `street` or `items[0].quantity`.
+   * A model instance that is already validated against the same schema is not validated again.
+   *
+   * @param {Object} value - the nested value
+   * @param {TurtlRequestModel} parent - the model that contains the value
+   * @param {Object} options - rule options
+   * @param {string} [options.model] - name of a model registered on the service or api
+   * @param {Object} [options.schema] - inline schema
+   * @param {Function} [options.customValidator] - custom validator for an inline schema
+   * @param {Object} [context={}] - rule context, nested async rules receive its `signal`
+   * @returns {TurtlResponse|Promise<TurtlResponse>} - success, or an error response with `errors` and `errorList` in the data. A promise when the nested model has async rules
+   */
+  static validateNested(value, parent, options = {}, context = {}) {
+    const api = parent?._api ?? null;
+    const service = parent?._service ?? null;
+    const data =
+      value instanceof TurtlRequestModel ? value.toDataObject() : value;
+    // In async validation the nested model is validated with validateAsync, so async rules run once
+    const modelOptions = {
+      validationMode: "all",
+      deferValidation: !!context.async,
+    };
+    let nested;
+
+    if (options.model) {
+      const factory =
+        service?.getModel(options.model) ?? api?.getModel(options.model);
+      if (!factory) {
+        return TurtlResponse.Error(
+          `Request model '${options.model}' not found.`
+        );
+      }
+      if (
+        factory.schema &&
+        TurtlRequestModel.#isValidatedBy(
+          value,
+          factory.schema,
+          factory.customValidator ?? null
+        )
+      ) {
+        return TurtlRequestModel.#nestedResult(value, parent);
+      }
+      nested = factory.schema
+        ? new TurtlRequestModel(
+            data,
+            factory.schema,
+            factory.customValidator ?? null,
+            api,
+            { ...factory.options, ...modelOptions },
+            service
+          )
+        : factory.create(data, api, service);
+    } else if (options.schema) {
+      if (
+        TurtlRequestModel.#isValidatedBy(
+          value,
+          options.schema,
+          options.customValidator ?? null
+        )
+      ) {
+        return TurtlRequestModel.#nestedResult(value, parent);
+      }
+      nested = new TurtlRequestModel(
+        data,
+        options.schema,
+        options.customValidator ?? null,
+        api,
+        modelOptions,
+        service
+      );
+    } else {
+      return TurtlResponse.Error(
+        "No model or schema specified for nested rule."
+      );
+    }
+
+    if (nested.isPending && typeof nested.validateAsync === "function") {
+      return nested
+        .validateAsync(context.signal ?? null)
+        .then((result) =>
+          result.aborted
+            ? result
+            : TurtlRequestModel.#nestedResult(nested, parent)
+        );
+    }
+    return TurtlRequestModel.#nestedResult(nested, parent);
+  }
+
+  // A model instance that is already validated against the same schema, like a nested response
+  // model, keeps its result. Only a failure without field errors (`first` mode) is validated again
+  static #isValidatedBy(value, schema, customValidator) {
+    return (
+      value instanceof TurtlRequestModel &&
+      !value.isPending &&
+      !!value.validateResult &&
+      value._schema === schema &&
+      value._customValidator === customValidator &&
+      (value.isValid || value._options.validationMode === "all")
+    );
+  }
+
+  static #nestedResult(nested, parent) {
+    if (nested.isValid) {
+      return TurtlResponse.Success();
+    }
+    const result = nested.validateResult;
+    if (!result.data?.errorList) {
+      return result;
+    }
+    let errorList = result.data.errorList;
+    if (parent?._options?.validationMode !== "all") {
+      errorList = errorList.slice(0, 1);
+    }
+    const errors = {};
+    for (const error of errorList) {
+      errors[error.field] = [...(errors[error.field] || []), error.message];
+    }
+    return new TurtlResponse(false, errorList[0].message, {
+      errors,
+      errorList,
+    });
+  }
+
+  static #isThenable(value) {
+    return !!value && typeof value.then === "function";
+  }
+
+  static #isAsyncFunction(value) {
     return (
+      typeof value === "function" && value.constructor?.name === "AsyncFunction"
+    );
+  }
+
+  static #ignoreRejection(value) {
+    // The promise is dropped, its rejection (like an AbortError) must not go unhandled
+    if (TurtlRequestModel.#isThenable(value)) {
+      Promise.resolve(value).catch(() => {});
+    }
+  }
+
+  static #ruleFailure(api, error) {
+    return TurtlResponse.Error(
+      TurtlRequestModel.translate(api, "validation.failed", {
+        message: error?.message ?? String(error),
+      }),
+      TurtlResponse.ErrorType.VALIDATION
+    );
+  }
+
+  static #prefixErrors(key, result) {
+    const errors = {};
+    const errorList = [];
+    for (const path in result.data.errors) {
+      const fullPath = path.startsWith("[")
+        ? `${key}${path}`
+        : `${key}.${path}`;
+      const messages = [].concat(result.data.errors[path]);
+      errors[fullPath] = messages;
+      for (const message of messages) {
+        errorList.push({ field: fullPath, message });
+      }
+    }
+    return new TurtlResponse(false, result.message, { errors, errorList });
+  }
+
+  /**
+   * Merges the field validation result with the custom validator result into one error map.
+   * Custom errors with `data.errors` are merged per field, other custom errors are added under `_model`.
+   *
+   * @param {TurtlResponse} result - result of validateFields in `all` mode
+   * @param {TurtlResponse|null} custom - result of the custom validator
+   * @returns {TurtlResponse} - merged result
+   */
+  static #mergeResults(result, custom, api) {
+    const errors = { ...(result.data?.errors || {}) };
+    const errorList = [...(result.data?.errorList || [])];
+    if (result.success === false && errorList.length === 0) {
+      // schema or rule configuration error
+      return result;
+    }
+
+    if (custom && !custom.success) {
+      const customErrors = custom.data?.errors;
+      if (customErrors && typeof customErrors === "object") {
+        for (const field in customErrors) {
+          const messages = [].concat(customErrors[field]);
+          errors[field] = [...(errors[field] || []), ...messages];
+          for (const message of messages) {
+            errorList.push({ field, message });
+          }
+        }
+      } else {
+        errors._model = [...(errors._model || []), custom.message];
+        errorList.push({ field: "_model", message: custom.message });
+      }
+    }
+
+    if (errorList.length > 0) {
+      return new TurtlResponse(false, errorList[0].message, {
+        errors,
+        errorList,
+      });
+    }
+    return TurtlResponse.Success(
+      TurtlRequestModel.translate(api, "validation.success")
+    );
+  }
+
+  /**
+   * Gets the overridden error message at an index or the default message, with placeholders filled in.
+   * Both can be a message key, which is resolved through the api message catalog.
+   *
+   * @param {number} index - index in `options.errors`
+   * @param {string} defaultMessage - message (key) used when it is not overridden
+   * @param {Object} options - rule options, also used as placeholder values
+   * @param {Object} [params={}] - extra placeholder values, like the rule context (`{field}`, `{value}`)
+   * @returns {string} - the error message
+   */
+  getErrorMessage(index, defaultMessage, options, params = {}) {
+    const errorMessages = options?.errors || [];
+    return TurtlRequestModel.translate(
+      this._api,
       (Array.isArray(errorMessages) &&
         errorMessages.length > index &&
         errorMessages[index]) ||
-      defaultMessage
+        defaultMessage,
+      { ...options, ...params }
     );
   }
 
+  /**
+   * Resolves a message key through the api message catalog, or the built-in catalog when there is no api.
+   * Values that are not a known key are used as literal message.
+   *
+   * @param {Object|null} api - api providing the message catalog
+   * @param {string} keyOrMessage - message key or literal message
+   * @param {Object} [params={}] - placeholder values
+   * @returns {string} - the translated message
+   */
+  static translate(api, keyOrMessage, params = {}) {
+    if (api && typeof api.translate === "function") {
+      return api.translate(keyOrMessage, params);
+    }
+    TurtlRequestModel.#messages =
+      TurtlRequestModel.#messages ?? new TurtlMessages();
+    return TurtlRequestModel.#messages.translate(keyOrMessage, params);
+  }
+
+  /**
+   * Fills `{name}` placeholders in a message, unknown placeholders are left as is.
+   *
+   * @param {string} message - message template
+   * @param {Object} [params={}] - placeholder values
+   * @returns {string} - the formatted message
+   */
+  static formatMessage(message, params = {}) {
+    return TurtlMessages.format(message, params);
+  }
+
   toDataObject() {
     const cleaned = {};
     for (const key in this) {
@@ -105,28 +649,74 @@ export class TurtlRequestModel {
           "_schema",
           "_customValidator",
           "_api",
+          "_options",
+          "_service",
           "validateResult",
           "isValid",
+          "isPending",
           "getErrorMessage",
         ].includes(key)
       ) {
-        cleaned[key] = this[key];
+        cleaned[key] = TurtlRequestModel.#serialize(this[key]);
       }
     }
     return cleaned;
   }
 
+  /**
+   * Serializes the model as its data, so `JSON.stringify` leaves out the api, schema and validation state
+   *
+   * @returns {Object} - same as toDataObject
+   */
+  toJSON() {
+    return this.toDataObject();
+  }
+
+  static #serialize(value) {
+    if (value instanceof TurtlRequestModel) {
+      return value.toDataObject();
+    }
+    if (Array.isArray(value)) {
+      return value.map((item) => TurtlRequestModel.#serialize(item));
+    }
+    return value;
+  }
+
   /**
    * Creates a factory object for generating instances of TurtlRequestModel.
    *
    * @param {Object} schema - The schema definition for the request model.
    * @param {Function|null} [customValidator=null] - Optional custom validation function.
-   * @returns {{create: function(Object=, Object=): TurtlRequestModel}} Factory object with a `create` method.
+   * @param {Object} [options={}] - Optional model options.
+   * @param {string} [options.validationMode] - `first` or `all`, defaults to the api setting.
+   * @returns {{schema: Object, customValidator: Function|null, options: Object, create: function(Object=, Object=, Object=): TurtlRequestModel, createAsync: function(Object=, Object=, Object=, AbortSignal=): Promise<TurtlRequestModel>}} Factory object with `create` and `createAsync` methods.
    */
-  static createFactory(schema, customValidator = null) {
+  static createFactory(schema, customValidator = null, options = {}) {
     return {
-      create(data = {}, api = null) {
-        return new TurtlRequestModel(data, schema, customValidator, api);
+      schema,
+      customValidator,
+      options,
+      create(data = {}, api = null, service = null) {
+        return new TurtlRequestModel(
+          data,
+          schema,
+          customValidator,
+          api,
+          options,
+          service
+        );
+      },
+      async createAsync(data = {}, api = null, service = null, signal = null) {
+        const model = new TurtlRequestModel(
+          data,
+          schema,
+          customValidator,
+          api,
+          { ...options, deferValidation: true },
+          service
+        );
+        await model.validateAsync(signal);
+        return model;
       },
     };
   }
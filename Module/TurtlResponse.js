@@ -5,15 +5,57 @@
  * @property {boolean} success - Indicates if the operation was successful.
  * @property {string} message - A message describing the result of the operation.
  * @property {Object} data - Additional data returned by the operation.
+ * @property {number} [attempts] - Number of attempts made, only set on responses from the transport.
+ * @property {boolean} [cached] - Indicates the response came from the cache, only set on cached responses.
+ * @property {boolean} [stale] - Indicates the cached response is past its TTL and is being refreshed, only set on cached responses.
+ * @property {Object|null} [meta] - Top level `meta` of a JSON:API document, only set by TurtlJsonApiAdapter.
+ * @property {Object|null} [links] - Top level `links` of a JSON:API document, only set by TurtlJsonApiAdapter.
+ * @property {*} [error] - The error that was thrown, only set when a middleware, the transport or the auth strategy threw.
+ * @property {boolean} aborted - Indicates the request was cancelled with an AbortSignal.
+ * @property {boolean} timedOut - Indicates the request timed out.
+ * @property {boolean} invalidResponse - Indicates the response data did not match the endpoint response model.
+ * @property {number|null} status - HTTP status code, null when no response was received.
+ * @property {Object} headers - Response headers with lower-cased names.
+ * @property {string|Blob|ArrayBuffer|ReadableStream|null} body - Raw response body, null when no response was received.
+ * @property {string|null} errorType - Error category, one of `TurtlResponse.ErrorType`. null on success and for failures reported in a 2xx response body.
  *
  * @example
  * const response = new TurtlResponse(true, "Operation succeeded", { id: 1 });
+ *
+ * if (response.errorType === TurtlResponse.ErrorType.AUTH) {
+ *   // redirect to login
+ * }
+ *
+ * // endpoint with responseType "blob"
+ * saveAs(response.data, response.getFilename() ?? "export.csv");
  */
 export class TurtlResponse {
+  /**
+   * Error categories used for `errorType`
+   */
+  static ErrorType = Object.freeze({
+    VALIDATION: "validation",
+    NETWORK: "network",
+    TIMEOUT: "timeout",
+    ABORTED: "aborted",
+    AUTH: "auth",
+    CLIENT: "client",
+    SERVER: "server",
+    PARSE: "parse",
+    CONFIG: "config",
+  });
+
   constructor(success = false, message = "", data = {}) {
     this.success = success;
     this.message = message;
     this.data = data;
+    this.aborted = false;
+    this.timedOut = false;
+    this.invalidResponse = false;
+    this.status = null;
+    this.headers = {};
+    this.body = null;
+    this.errorType = null;
   }
 
   static fromJson(json) {
@@ -24,11 +66,86 @@ export class TurtlResponse {
     );
   }
 
-  static Error(message) {
-    return new TurtlResponse(false, message);
+  static Error(message, errorType = null) {
+    const response = new TurtlResponse(false, message);
+    response.errorType = errorType;
+    return response;
+  }
+
+  static Aborted(message = "Request aborted.") {
+    const response = new TurtlResponse(false, message);
+    response.aborted = true;
+    response.errorType = TurtlResponse.ErrorType.ABORTED;
+    return response;
+  }
+
+  static TimedOut(message = "Request timed out.") {
+    const response = new TurtlResponse(false, message);
+    response.timedOut = true;
+    response.errorType = TurtlResponse.ErrorType.TIMEOUT;
+    return response;
+  }
+
+  static InvalidResponse(message = "Invalid response data.", data = {}) {
+    const response = new TurtlResponse(false, message, data);
+    response.invalidResponse = true;
+    response.errorType = TurtlResponse.ErrorType.PARSE;
+    return response;
   }
 
   static Success(message = "", data = {}) {
     return new TurtlResponse(true, message, data);
   }
+
+  /**
+   * Gets the file name from the `Content-Disposition` header
+   *
+   * @returns {string|null} - file name, null when the header has none
+   */
+  getFilename() {
+    return TurtlResponse.parseFilename(this.headers?.["content-disposition"]);
+  }
+
+  /**
+   * Extracts the file name from a `Content-Disposition` header, `filename*` (RFC 5987) takes priority over `filename`
+   *
+   * @param {string|null|undefined} header - header value, e.g. `attachment; filename="report.pdf"`
+   * @returns {string|null} - file name, null when the header has none
+   */
+  static parseFilename(header) {
+    if (!header) {
+      return null;
+    }
+    const extended = /filename\*\s*=\s*([^']*)'[^']*'([^;]+)/i.exec(header);
+    if (extended) {
+      try {
+        return decodeURIComponent(extended[2].trim().replace(/^"|"$/g, ""));
+      } catch (e) {
+        // Malformed encoding, fall back to the plain file name
+      }
+    }
+    const plain = /filename\s*=\s*("((?:\\.|[^"\\])*)"|[^;]+)/i.exec(header);
+    if (!plain) {
+      return null;
+    }
+    return plain[2] !== undefined
+      ? plain[2].replace(/\\(.)/g, "$1")
+      : plain[1].trim();
+  }
+
+  /**
+   * Gets the error category for a HTTP status that is not accepted
+   *
+   * @param {number} status - HTTP status code
+   * @returns {string} - `auth` for 401 and 403, `server` for 5xx and `client` otherwise
+   */
+  static getErrorTypeForStatus(status) {
+    if (status === 401 || status === 403) {
+      return TurtlResponse.ErrorType.AUTH;
+    }
+    if (status >= 500) {
+      return TurtlResponse.ErrorType.SERVER;
+    }
+    return TurtlResponse.ErrorType.CLIENT;
+  }
 }
@@ -0,0 +1,103 @@
+import { TurtlResponse } from "./TurtlResponse.js";
+
+/**
+ * Base class for response adapters, maps a raw HTTP response into a TurtlResponse.
+ * The base class reads the Turtl envelope `{ success, message, data }` and is the default adapter.
+ *
+ * @class
+ * @example
+ * // custom envelope { ok, error, result }
+ * const adapter = new TurtlResponseAdapter({
+ *   adapt: (raw, { accepted }) => {
+ *     const json = TurtlResponseAdapter.parseJson(raw.body) ?? {};
+ *     return new TurtlResponse(accepted && json.ok === true, json.error ?? "", json.result ?? {});
+ *   },
+ * });
+ *
+ * const api = new TurtlAPI({ host: "https://api.example.com", responseAdapter: adapter });
+ *
+ * @description
+ * `adapt` receives the raw response with the body as text and a context:
+ * - `raw`: `{ status, statusText, headers, body }`
+ * - `context.accepted`: whether the status passed `validateStatus`
+ * - `context.api`: the TurtlAPI, for `api.translate(key, params)`
+ *
+ * When the status is not accepted the response is always turned into a failure afterwards,
+ * an empty message is replaced with the status message and `errorType` is set from the status.
+ * The adapter only runs for `json` endpoints, other response types put the body in `data`.
+ *
+ * @param {Object} [options={}] - Adapter options.
+ * @param {Function} [options.adapt=null] - `(raw, context) => TurtlResponse`, used when the class is not extended.
+ *
+ * @method adapt(raw, context) Maps a raw response into a TurtlResponse.
+ * @method static parseJson(body) Parses a JSON body, undefined when it is empty or invalid.
+ * @method static isJson(headers) Checks if the response has a JSON content type.
+ * @method static isAdapter(value) Checks if a value implements the adapter interface.
+ */
+export class TurtlResponseAdapter {
+  constructor({ adapt = null } = {}) {
+    this.adapter = adapt;
+  }
+
+  /**
+   * Maps a raw response into a TurtlResponse
+   *
+   * @param {Object} raw - raw response with the body as text
+   * @param {Object} context - `{ api, accepted }`
+   * @returns {TurtlResponse} - the response
+   */
+  adapt(raw, context) {
+    if (typeof this.adapter === "function") {
+      return this.adapter(raw, context);
+    }
+    try {
+      return TurtlResponse.fromJson(JSON.parse(raw.body));
+    } catch (e) {
+      return context.accepted
+        ? TurtlResponse.Error(
+            context.api.translate("transport.invalidResponse"),
+            TurtlResponse.ErrorType.PARSE
+          )
+        : TurtlResponse.Error(
+            context.api.translate("transport.status", { status: raw.status })
+          );
+    }
+  }
+
+  /**
+   * Parses a JSON body
+   *
+   * @param {string|null} body - response body
+   * @returns {*} - parsed value, undefined when the body is empty or not valid JSON
+   */
+  static parseJson(body) {
+    if (typeof body !== "string" || body.trim() === "") {
+      return undefined;
+    }
+    try {
+      return JSON.parse(body);
+    } catch (e) {
+      return undefined;
+    }
+  }
+
+  /**
+   * Checks if the response has a JSON content type, including `+json` types like `application/problem+json`
+   *
+   * @param {Object} headers - headers with lower-cased names
+   * @returns {boolean} - true for JSON content types
+   */
+  static isJson(headers) {
+    return /[/+]json\b/i.test(headers?.["content-type"] ?? "");
+  }
+
+  /**
+   * Checks if a value implements the adapter interface.
+   *
+   * @param {*} value - value to check
+   * @returns {boolean} - true if the value has an `adapt` method
+   */
+  static isAdapter(value) {
+    return !!value && typeof value.adapt === "function";
+  }
+}
@@ -0,0 +1,237 @@
+import { TurtlRequestModel } from "./TurtlRequestModel.js";
+import { TurtlResponse } from "./TurtlResponse.js";
+
+/**
+ * Turns response data into validated model instances, using the same model factories as requests.
+ *
+ * @class
+ * @example
+ * api.addModel(
+ *   "user",
+ *   TurtlRequestModel.createFactory(
+ *     {
+ *       id: [{ rule: "required" }, { rule: "integer" }],
+ *       createdAt: [{ rule: "date" }],
+ *       roles: [{ rule: "arrayOf", options: { type: "string" } }],
+ *     },
+ *     null,
+ *     { defaults: { roles: () => [] } }
+ *   )
+ * );
+ * service.addEndpoint("get", { path: "/user/:id", method: "GET", responseModelName: "user" });
+ *
+ * const response = await api.call("users.get", { id: 5 });
+ * response.data.createdAt instanceof Date; // true
+ *
+ * @description
+ * The transformation runs before validation:
+ * - fields that are not in the schema are dropped, unless the model option `keepUnknown` is set
+ * - missing fields get the value from the model option `defaults`, functions are called for a fresh value
+ * - strings in fields with a `date` or `dateRange` rule become `Date` objects
+ * - fields with a `model` or `arrayOfModel` rule become (arrays of) model instances
+ * - array data is mapped into an array of model instances
+ * - data that is not an object fails validation under `_model` and is returned as is
+ * - nested model instances keep their validation result, the parent doesn't validate them again
+ *
+ * @method static parse(data, factory, api, service, signal) Transforms and validates response data.
+ * @method static transform(data, factory, api, service, signal) Transforms response data without validating the top level.
+ */
+export class TurtlResponseModel {
+  /**
+   * Transforms and validates response data
+   *
+   * @async
+   * @param {*} data - response data, an object or an array of objects, other values fail validation
+   * @param {Object} factory - model factory created with `TurtlRequestModel.createFactory`
+   * @param {Object|null} [api=null] - api providing the validation rules and models
+   * @param {Object|null} [service=null] - service used to look up nested models
+   * @param {AbortSignal|null} [signal=null] - signal passed to async rules
+   * @returns {Promise<{data: *, result: TurtlResponse}>} - model instance(s) and the validation result
+   */
+  static async parse(data, factory, api = null, service = null, signal = null) {
+    if (Array.isArray(data)) {
+      const items = [];
+      const errors = {};
+      const errorList = [];
+      let message = null;
+      for (let i = 0; i < data.length; i++) {
+        const item = await TurtlResponseModel.parse(
+          data[i],
+          factory,
+          api,
+          service,
+          signal
+        );
+        if (item.result.aborted) {
+          return item;
+        }
+        items.push(item.data);
+        if (item.result.success) {
+          continue;
+        }
+        message = message ?? item.result.message;
+        for (const error of item.result.data?.errorList ?? [
+          { field: "", message: item.result.message },
+        ]) {
+          const field = error.field ? `[${i}].${error.field}` : `[${i}]`;
+          errors[field] = [...(errors[field] || []), error.message];
+          errorList.push({ field, message: error.message });
+        }
+      }
+      return {
+        data: items,
+        result:
+          message === null
+            ? TurtlResponse.Success()
+            : new TurtlResponse(false, message, { errors, errorList }),
+      };
+    }
+
+    if (typeof data !== "object" || data === null) {
+      const message = TurtlRequestModel.translate(api, "validation.object");
+      return {
+        data,
+        result: new TurtlResponse(false, message, {
+          errors: { _model: [message] },
+          errorList: [{ field: "_model", message }],
+        }),
+      };
+    }
+
+    const model = await TurtlResponseModel.#create(
+      factory,
+      await TurtlResponseModel.transform(data, factory, api, service, signal),
+      api,
+      service,
+      signal
+    );
+    if (model.isPending) {
+      return {
+        data: model,
+        result: TurtlResponse.Aborted(
+          TurtlRequestModel.translate(api, "validation.aborted")
+        ),
+      };
+    }
+    return { data: model, result: model.validateResult };
+  }
+
+  /**
+   * Transforms response data into plain data for the model, nested models become model instances
+   *
+   * @async
+   * @param {*} data - response data
+   * @param {Object} factory - model factory
+   * @param {Object|null} [api=null] - api providing the models
+   * @param {Object|null} [service=null] - service used to look up nested models
+   * @param {AbortSignal|null} [signal=null] - signal passed to async rules of nested models
+   * @returns {Promise<*>} - transformed data, values that are not an object are returned as is
+   */
+  static async transform(
+    data,
+    factory,
+    api = null,
+    service = null,
+    signal = null
+  ) {
+    if (data instanceof TurtlRequestModel) {
+      data = data.toDataObject();
+    }
+    if (typeof data !== "object" || data === null || Array.isArray(data)) {
+      return data;
+    }
+    const schema = factory.schema ?? {};
+    const { defaults = {}, keepUnknown = false } = factory.options ?? {};
+    const output = keepUnknown ? { ...data } : {};
+
+    for (const key in schema) {
+      let value = data[key];
+      if ((value === undefined || value === null) && key in defaults) {
+        value =
+          typeof defaults[key] === "function" ? defaults[key]() : defaults[key];
+      }
+      for (const rule of schema[key] || []) {
+        value = await TurtlResponseModel.#transformValue(
+          value,
+          rule,
+          api,
+          service,
+          signal
+        );
+      }
+      if (value !== undefined) {
+        output[key] = value;
+      }
+    }
+    return output;
+  }
+
+  static async #transformValue(value, rule, api, service, signal) {
+    const options = rule.options || {};
+    if (rule.rule === "date" || rule.rule === "dateRange") {
+      if (typeof value === "string" && value.trim() !== "") {
+        const date = new Date(value);
+        return Number.isNaN(date.getTime()) ? value : date;
+      }
+      return value;
+    }
+    if (rule.rule !== "model" && rule.rule !== "arrayOfModel") {
+      return value;
+    }
+    const factory = TurtlResponseModel.#getNestedFactory(options, api, service);
+    if (!factory) {
+      return value;
+    }
+    const toModel = async (item) =>
+      typeof item === "object" && item !== null && !Array.isArray(item)
+        ? await TurtlResponseModel.#create(
+            factory,
+            await TurtlResponseModel.transform(
+              item,
+              factory,
+              api,
+              service,
+              signal
+            ),
+            api,
+            service,
+            signal
+          )
+        : item;
+    if (rule.rule === "model") {
+      return await toModel(value);
+    }
+    if (!Array.isArray(value)) {
+      return value;
+    }
+    const items = [];
+    for (const item of value) {
+      items.push(await toModel(item));
+    }
+    return items;
+  }
+
+  static #getNestedFactory(options, api, service) {
+    if (options.model) {
+      return service?.getModel(options.model) ?? api?.getModel(options.model);
+    }
+    if (options.schema) {
+      return TurtlRequestModel.createFactory(
+        options.schema,
+        options.customValidator ?? null
+      );
+    }
+    return null;
+  }
+
+  static async #create(factory, data, api, service, signal) {
+    if (typeof factory.createAsync === "function") {
+      return await factory.createAsync(data, api, service, signal);
+    }
+    const model = factory.create(data, api, service);
+    if (model.isPending && typeof model.validateAsync === "function") {
+      await model.validateAsync(signal);
+    }
+    return model;
+  }
+}
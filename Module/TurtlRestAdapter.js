@@ -0,0 +1,80 @@
+import { TurtlResponse } from "./TurtlResponse.js";
+import { TurtlResponseAdapter } from "./TurtlResponseAdapter.js";
+
+/**
+ * Response adapter for plain REST APIs, the HTTP status decides success and the whole body is the data.
+ *
+ * @class
+ * @extends TurtlResponseAdapter
+ * @example
+ * const github = new TurtlAPIService("github", "/repos", {
+ *   responseAdapter: new TurtlRestAdapter(),
+ * });
+ * github.addEndpoint("issues", { path: "/:owner/:repo/issues", method: "GET" });
+ *
+ * const response = await api.call("github.issues", { owner: "turtl", repo: "api" });
+ * response.data; // the array of issues
+ *
+ * @description
+ * - An empty body (like a 204) gives `null` data, a body that isn't JSON is kept as text.
+ * - A JSON content type with a body that can't be parsed is a parse error.
+ * - The message of a failure is read from `message`, `error`, `error.message` or `detail`.
+ *
+ * @param {Object} [options={}] - adapter options, see TurtlResponseAdapter
+ *
+ * @method getMessage(data) Finds the error message in a failure body.
+ */
+export class TurtlRestAdapter extends TurtlResponseAdapter {
+  /**
+   * Maps a raw response into a TurtlResponse
+   *
+   * @param {Object} raw - raw response with the body as text
+   * @param {Object} context - `{ api, accepted }`
+   * @returns {TurtlResponse} - the response
+   */
+  adapt(raw, context) {
+    if (typeof this.adapter === "function") {
+      return this.adapter(raw, context);
+    }
+    const body = raw.body ?? "";
+    let data = null;
+    if (body.trim() !== "") {
+      data = TurtlResponseAdapter.parseJson(body);
+      if (data === undefined) {
+        if (context.accepted && TurtlResponseAdapter.isJson(raw.headers)) {
+          return TurtlResponse.Error(
+            context.api.translate("transport.invalidResponse"),
+            TurtlResponse.ErrorType.PARSE
+          );
+        }
+        data = body;
+      }
+    }
+    return context.accepted
+      ? TurtlResponse.Success("", data)
+      : new TurtlResponse(false, this.getMessage(data), data);
+  }
+
+  /**
+   * Finds the error message in a failure body
+   *
+   * @param {*} data - parsed body
+   * @returns {string} - the message, empty when there is none
+   */
+  getMessage(data) {
+    if (!data || typeof data !== "object") {
+      return "";
+    }
+    for (const value of [
+      data.message,
+      data.error,
+      data.error?.message,
+      data.detail,
+    ]) {
+      if (typeof value === "string" && value !== "") {
+        return value;
+      }
+    }
+    return "";
+  }
+}
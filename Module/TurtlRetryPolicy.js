@@ -0,0 +1,172 @@
+/**
+ * Decides if and when a failed request is sent again.
+ *
+ * @class
+ * @example
+ * const api = new TurtlAPI({
+ *   host: "https://api.example.com",
+ *   retry: { maxAttempts: 4, backoff: "exponential", baseDelay: 250 },
+ * });
+ *
+ * @param {Object} [options={}] - Retry options.
+ * @param {number} [options.maxAttempts=3] - Maximum number of attempts, including the first one.
+ * @param {string|Function} [options.backoff="exponential"] - `exponential`, `linear`, `fixed` or `(attempt) => delayMs`.
+ * @param {number} [options.baseDelay=300] - Base delay in milliseconds.
+ * @param {number} [options.maxDelay=10000] - Maximum delay in milliseconds, also caps `Retry-After`.
+ * @param {string} [options.jitter="full"] - `full`, `equal` or `none`.
+ * @param {string[]} [options.methods=["GET","PUT","DELETE"]] - Methods that may be retried, add `POST` to opt in.
+ * @param {string[]} [options.retryOn=["network","timeout"]] - Transport failure kinds that are retried.
+ * @param {number[]} [options.statuses=[408,429,500,502,503,504]] - HTTP statuses that are retried.
+ * @param {boolean} [options.respectRetryAfter=true] - Whether to wait for the `Retry-After` response header.
+ *
+ * @method shouldRetry(request, raw, attempt) Checks if a raw transport response should be retried.
+ * @method getDelay(attempt, raw) Returns the delay in milliseconds before the next attempt.
+ * @method static resolve(...configs) Merges api, service and endpoint retry configs into a policy.
+ * @method static wait(ms, signal) Waits for a delay, resolves false when the signal aborts.
+ */
+export class TurtlRetryPolicy {
+  constructor({
+    maxAttempts = 3,
+    backoff = "exponential",
+    baseDelay = 300,
+    maxDelay = 10000,
+    jitter = "full",
+    methods = ["GET", "PUT", "DELETE"],
+    retryOn = ["network", "timeout"],
+    statuses = [408, 429, 500, 502, 503, 504],
+    respectRetryAfter = true,
+  } = {}) {
+    this.maxAttempts = Math.max(1, maxAttempts);
+    this.backoff = backoff;
+    this.baseDelay = baseDelay;
+    this.maxDelay = maxDelay;
+    this.jitter = jitter;
+    this.methods = methods.map((method) => method.toUpperCase());
+    this.retryOn = retryOn;
+    this.statuses = statuses;
+    this.respectRetryAfter = respectRetryAfter;
+  }
+
+  /**
+   * Checks if a raw transport response should be retried
+   *
+   * @param {Object} request - normalized request object
+   * @param {Object} raw - normalized raw response
+   * @param {number} attempt - number of attempts made so far
+   * @returns {boolean} - true if another attempt should be made
+   */
+  shouldRetry(request, raw, attempt) {
+    if (attempt >= this.maxAttempts) {
+      return false;
+    }
+    if (!this.methods.includes(request.method)) {
+      return false;
+    }
+    if (raw.error) {
+      return this.retryOn.includes(raw.error);
+    }
+    return this.statuses.includes(raw.status);
+  }
+
+  /**
+   * Returns the delay before the next attempt
+   *
+   * @param {number} attempt - number of attempts made so far
+   * @param {Object} [raw=null] - normalized raw response of the last attempt
+   * @returns {number} - delay in milliseconds
+   */
+  getDelay(attempt, raw = null) {
+    const retryAfter = this.respectRetryAfter
+      ? TurtlRetryPolicy.#parseRetryAfter(raw?.headers?.["retry-after"])
+      : null;
+    if (retryAfter !== null) {
+      return Math.min(retryAfter, this.maxDelay);
+    }
+
+    let delay;
+    if (typeof this.backoff === "function") {
+      delay = this.backoff(attempt);
+    } else if (this.backoff === "linear") {
+      delay = this.baseDelay * attempt;
+    } else if (this.backoff === "fixed") {
+      delay = this.baseDelay;
+    } else {
+      delay = this.baseDelay * 2 ** (attempt - 1);
+    }
+    delay = Math.min(delay, this.maxDelay);
+
+    if (this.jitter === "full") {
+      return Math.round(Math.random() * delay);
+    }
+    if (this.jitter === "equal") {
+      return Math.round(delay / 2 + (Math.random() * delay) / 2);
+    }
+    return delay;
+  }
+
+  /**
+   * Merges retry configs, later configs take priority.
+   * `false` disables retries, `true` uses the defaults and objects are merged.
+   *
+   * @param {...(Object|boolean|null)} configs - retry configs in order api, service, endpoint
+   * @returns {TurtlRetryPolicy} - the resolved policy, a single attempt when nothing is configured
+   */
+  static resolve(...configs) {
+    let merged = null;
+    for (const config of configs) {
+      if (config === undefined || config === null) {
+        continue;
+      }
+      if (config === false) {
+        merged = null;
+      } else if (config === true) {
+        merged = merged ?? {};
+      } else if (config instanceof TurtlRetryPolicy) {
+        merged = { ...config };
+      } else {
+        merged = { ...(merged ?? {}), ...config };
+      }
+    }
+    return new TurtlRetryPolicy(merged ?? { maxAttempts: 1 });
+  }
+
+  /**
+   * Waits for a delay
+   *
+   * @param {number} ms - delay in milliseconds
+   * @param {AbortSignal} [signal=null] - signal that stops the wait
+   * @returns {Promise<boolean>} - false if the signal aborted before the delay passed
+   */
+  static wait(ms, signal = null) {
+    return new Promise((resolve) => {
+      if (signal?.aborted) {
+        resolve(false);
+        return;
+      }
+      const onAbort = () => {
+        clearTimeout(timer);
+        resolve(false);
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener("abort", onAbort);
+        resolve(true);
+      }, ms);
+      signal?.addEventListener("abort", onAbort, { once: true });
+    });
+  }
+
+  static #parseRetryAfter(value) {
+    if (value === undefined || value === null || value === "") {
+      return null;
+    }
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(value);
+    if (!Number.isNaN(date)) {
+      return Math.max(0, date - Date.now());
+    }
+    return null;
+  }
+}
@@ -0,0 +1,172 @@
+/**
+ * Base class for transport adapters used by TurtlAPI to send requests over the wire.
+ *
+ * @class
+ * @example
+ * class MyTransport extends TurtlTransport {
+ *   async send(request) {
+ *     const body = await doSomething(request);
+ *     return TurtlTransport.createResponse({ status: 200, body });
+ *   }
+ * }
+ *
+ * const api = new TurtlAPI({ host: "https://api.example.com", transport: new MyTransport() });
+ *
+ * @description
+ * A transport receives a normalized request object and resolves a normalized raw response.
+ * Transports never reject for network problems, they resolve a response with an `error` kind instead.
+ *
+ * Request object:
+ * - `method`: HTTP method in upper case
+ * - `url`: fully resolved URL, including the query string
+ * - `headers`: plain object of header names and values
+ * - `body`: string, `FormData`, `Blob`, `ArrayBuffer` or typed array, or `null`. Without a `Content-Type` header the transport sets it (like the multipart boundary)
+ * - `timeout`: timeout in milliseconds, `0` for none
+ * - `signal`: optional `AbortSignal`
+ * - `responseType`: `text`, `blob`, `arraybuffer` or `stream`, how the response body is read
+ * - `onUploadProgress`, `onDownloadProgress`: optional `(progress) => void` callbacks, report them with `TurtlTransport.reportProgress`
+ *
+ * Response object:
+ * - `status`: HTTP status code, `0` when no response was received
+ * - `statusText`: HTTP status text
+ * - `headers`: plain object of lower-cased header names and values
+ * - `body`: response body as text, or a `Blob`, `ArrayBuffer` or `ReadableStream` for those response types
+ * - `error`: `null`, `"network"`, `"timeout"` or `"aborted"`
+ * - `cause`: optional thrown error behind a failed request, set on the TurtlResponse as `error`
+ *
+ * @method send(request) Sends a normalized request and resolves a normalized raw response.
+ * @method static createRequest(request) Normalizes a request object.
+ * @method static createResponse(response) Normalizes a raw response object.
+ * @method static parseHeaders(raw) Parses a raw header string into a plain object.
+ * @method static reportProgress(callback, loaded, total) Calls a progress callback with `{ loaded, total, percentage }`.
+ * @method static isTransport(value) Checks if a value implements the transport interface.
+ */
+export class TurtlTransport {
+  /**
+   * Sends a request, should be implemented by the adapter.
+   *
+   * @async
+   * @param {Object} request - normalized request object
+   * @returns {Promise<Object>} - normalized raw response
+   */
+  async send(request) {
+    throw new Error(
+      `[TurtlTransport] send() is not implemented for '${this.constructor.name}'.`
+    );
+  }
+
+  /**
+   * Normalizes a request object so adapters can rely on every field being present.
+   *
+   * @param {Object} request - request object
+   * @returns {Object} - normalized request object
+   */
+  static createRequest({
+    method = "GET",
+    url,
+    headers = {},
+    body = null,
+    timeout = 0,
+    signal = null,
+    responseType = "text",
+    onUploadProgress = null,
+    onDownloadProgress = null,
+  }) {
+    return {
+      method: method.toUpperCase(),
+      url,
+      headers: { ...headers },
+      body,
+      timeout,
+      signal,
+      responseType,
+      onUploadProgress,
+      onDownloadProgress,
+    };
+  }
+
+  /**
+   * Normalizes a raw response object.
+   *
+   * @param {Object} response - raw response object
+   * @returns {Object} - normalized raw response
+   */
+  static createResponse({
+    status = 0,
+    statusText = "",
+    headers = {},
+    body = "",
+    error = null,
+    cause = null,
+  } = {}) {
+    const normalizedHeaders = {};
+    for (const key in headers) {
+      normalizedHeaders[key.toLowerCase()] = headers[key];
+    }
+    return {
+      status,
+      statusText,
+      headers: normalizedHeaders,
+      body,
+      error,
+      cause,
+    };
+  }
+
+  /**
+   * Parses a raw header string (as returned by `getAllResponseHeaders`) into a plain object.
+   *
+   * @param {string} raw - raw header string
+   * @returns {Object} - headers object with lower-cased names
+   */
+  static parseHeaders(raw) {
+    const headers = {};
+    if (!raw) {
+      return headers;
+    }
+    for (const line of raw.trim().split(/[\r\n]+/)) {
+      const index = line.indexOf(":");
+      if (index <= 0) {
+        continue;
+      }
+      const name = line.slice(0, index).trim().toLowerCase();
+      headers[name] = line.slice(index + 1).trim();
+    }
+    return headers;
+  }
+
+  /**
+   * Calls a progress callback, errors thrown by the callback are ignored so they can't break the request.
+   *
+   * @param {Function|null} callback - progress callback
+   * @param {number} loaded - bytes sent or received so far
+   * @param {number|null} [total=null] - total bytes, null when unknown
+   */
+  static reportProgress(callback, loaded, total = null) {
+    if (typeof callback !== "function") {
+      return;
+    }
+    const known = typeof total === "number" && total > 0;
+    try {
+      callback({
+        loaded,
+        total: known ? total : null,
+        percentage: known
+          ? Math.min(100, Math.round((loaded / total) * 100))
+          : null,
+      });
+    } catch (e) {
+      // A failing progress handler must not break the request
+    }
+  }
+
+  /**
+   * Checks if a value implements the transport interface.
+   *
+   * @param {*} value - value to check
+   * @returns {boolean} - true if the value has a `send` method
+   */
+  static isTransport(value) {
+    return !!value && typeof value.send === "function";
+  }
+}
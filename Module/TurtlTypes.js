@@ -0,0 +1,384 @@
+/** @typedef {import("./TurtlAPI.js").TurtlAPI} TurtlAPI */
+
+/**
+ * Generates TypeScript declarations with a typed `call` overload per endpoint, from an api or a definition.
+ *
+ * @class
+ * @example
+ * // in a build script, or with the bin: npx turtl-types ./src/api.js --out ./src/api-types.d.ts
+ * fs.writeFileSync("src/api-types.d.ts", TurtlTypes.generate(api));
+ *
+ * // in the app
+ * import type { TypedTurtlAPI } from "./api-types";
+ * const typed = api as unknown as TypedTurtlAPI;
+ * const response = await typed.call("account.login", { email, password }); // checked name and payload
+ *
+ * @description
+ * Every model becomes an interface (`LoginModel`, service models prefixed with the service: `AccountGetInfoModel`),
+ * fields with a `required` rule are non-optional. Field types come from the rules:
+ *
+ * | rules                                                         | type                                |
+ * | ------------------------------------------------------------- | ----------------------------------- |
+ * | `typeOf`                                                      | the primitive type                  |
+ * | `arrayOf`                                                     | array of the type, or of the class  |
+ * | `instanceOf`                                                  | the class when it is a global, like `Date` or `File` |
+ * | `oneOf`                                                       | union of the values                 |
+ * | `email`, `url`, `uuid`, `phone`, `pattern`, `minLength`       | `string`                            |
+ * | `integer`, `min`, `max`, `between`                            | `number`                            |
+ * | `date`, `dateRange`                                           | `string \| Date`                    |
+ * | `fileType`, `maxFileSize`                                     | `Blob \| Blob[]`                    |
+ * | `model`, `arrayOfModel`                                       | the model, or an array of it        |
+ *
+ * Custom rules use the `type` of their `jsonSchema`, other fields are `unknown`. The response data is the
+ * response model when the endpoint has one, `string`, `Blob`, `ArrayBuffer` or `ReadableStream` for other
+ * response types and `unknown` otherwise.
+ *
+ * @method static generate(source, options) Generates the declarations for an api or a definition.
+ */
+export class TurtlTypes {
+  /**
+   * Generates the declarations for an api or a definition
+   *
+   * @param {TurtlAPI|Object} source - a registered api, or a definition (see TurtlDefinition)
+   * @param {Object} [options={}] - generator options
+   * @param {string} [options.importFrom="turtl-js-api"] - module the Turtl types are imported from
+   * @param {string} [options.typeName="TypedTurtlAPI"] - name of the typed api interface
+   * @returns {string} - the declarations, the contents of a `.d.ts` file
+   *
+   * @throws {Error} - If an endpoint or `model` rule refers to a model that doesn't exist
+   */
+  static generate(
+    source,
+    { importFrom = "turtl-js-api", typeName = "TypedTurtlAPI" } = {}
+  ) {
+    const surface = TurtlTypes.#read(source);
+    const names = new Map();
+    const used = new Set();
+    for (const model of surface.models) {
+      const base = `${TurtlTypes.#pascalCase(
+        `${model.service ?? ""} ${model.name}`
+      )}Model`.replace(/^(\d)/, "_$1");
+      let name = base;
+      for (let i = 2; used.has(name); i++) {
+        name = `${base}${i}`;
+      }
+      used.add(name);
+      names.set(TurtlTypes.#modelKey(model.service, model.name), name);
+    }
+    // Service models are looked up before the global models, like a call does
+    const findModel = (service, name, path) => {
+      const found =
+        names.get(TurtlTypes.#modelKey(service, name)) ??
+        names.get(TurtlTypes.#modelKey(null, name));
+      if (!found) {
+        throw new Error(`[TurtlTypes] ${path}: model '${name}' not found.`);
+      }
+      return found;
+    };
+
+    const lines = [
+      "// Generated by turtl-types, do not edit.",
+      `import type { TurtlAPI, TurtlRequestModel, TurtlResponse } from ${JSON.stringify(
+        importFrom
+      )};`,
+      "",
+      'export type TurtlTypedResponse<T> = Omit<TurtlResponse, "data"> & { data: T };',
+      "",
+    ];
+    for (const model of surface.models) {
+      const context = {
+        ruleSchemas: surface.ruleSchemas,
+        findModel: (name) =>
+          findModel(model.service, name, TurtlTypes.#modelPath(model)),
+      };
+      lines.push(
+        `export interface ${names.get(
+          TurtlTypes.#modelKey(model.service, model.name)
+        )} ${TurtlTypes.#objectType(model.schema, context, "")}`,
+        ""
+      );
+    }
+
+    const endpoints = surface.endpoints.map((endpoint) => {
+      const fullName = `${endpoint.service}.${endpoint.name}`;
+      const request = findModel(
+        endpoint.service,
+        endpoint.modelName,
+        `${fullName}.modelName`
+      );
+      const model = surface.models.find(
+        (item) =>
+          names.get(TurtlTypes.#modelKey(item.service, item.name)) === request
+      );
+      return {
+        fullName,
+        request,
+        optional: !Object.values(model.schema).some((rules) =>
+          TurtlTypes.#isRequired(rules)
+        ),
+        response: TurtlTypes.#responseType(endpoint, (name) =>
+          findModel(endpoint.service, name, `${fullName}.responseModelName`)
+        ),
+      };
+    });
+
+    lines.push("export interface TurtlEndpoints {");
+    for (const endpoint of endpoints) {
+      lines.push(
+        `  ${JSON.stringify(endpoint.fullName)}: { request: ${
+          endpoint.request
+        }; response: ${endpoint.response} };`
+      );
+    }
+    lines.push("}", "");
+
+    lines.push(`export interface ${typeName} extends Omit<TurtlAPI, "call"> {`);
+    for (const endpoint of endpoints) {
+      lines.push(
+        `  call(fullName: ${JSON.stringify(endpoint.fullName)}, modelOrData${
+          endpoint.optional ? "?" : ""
+        }: ${
+          endpoint.request
+        } | TurtlRequestModel, options?: Parameters<TurtlAPI["call"]>[2]): Promise<TurtlTypedResponse<${
+          endpoint.response
+        }>>;`
+      );
+    }
+    lines.push("}", "");
+    return lines.join("\n");
+  }
+
+  /**
+   * Reads the models and endpoints of an api or a definition into one shape
+   *
+   * @param {TurtlAPI|Object} source - api or definition
+   * @returns {{models: Array<Object>, endpoints: Array<Object>, ruleSchemas: Map<string, Object|Function>}} - models with their schema and endpoints with their model names
+   */
+  static #read(source) {
+    if (source?.services instanceof Map) {
+      const models = [];
+      const endpoints = [];
+      for (const [name, factory] of source.Models) {
+        models.push({ service: null, name, schema: factory?.schema ?? {} });
+      }
+      for (const [serviceName, service] of source.services) {
+        for (const [name, factory] of service.Models) {
+          models.push({
+            service: serviceName,
+            name,
+            schema: factory?.schema ?? {},
+          });
+        }
+        for (const [name, endpoint] of service.endpoints) {
+          endpoints.push({ service: serviceName, name, ...endpoint });
+        }
+      }
+      return {
+        models,
+        endpoints,
+        ruleSchemas: source.validationRuleSchemas ?? new Map(),
+      };
+    }
+
+    if (!source || typeof source !== "object") {
+      throw new Error(
+        "[TurtlTypes] Pass a TurtlAPI instance or a definition object."
+      );
+    }
+    // Every api has the empty model
+    const models = [{ service: null, name: "empty", schema: {} }];
+    const endpoints = [];
+    for (const name in source.models ?? {}) {
+      if (name !== "empty") {
+        models.push({
+          service: null,
+          name,
+          schema: source.models[name]?.schema ?? {},
+        });
+      }
+    }
+    for (const serviceName in source.services ?? {}) {
+      const service = source.services[serviceName];
+      for (const name in service.models ?? {}) {
+        models.push({
+          service: serviceName,
+          name,
+          schema: service.models[name]?.schema ?? {},
+        });
+      }
+      for (const name in service.endpoints ?? {}) {
+        endpoints.push({
+          service: serviceName,
+          name,
+          modelName: "empty",
+          ...service.endpoints[name],
+        });
+      }
+    }
+    return { models, endpoints, ruleSchemas: new Map() };
+  }
+
+  static #objectType(schema, context, indent) {
+    const fields = Object.keys(schema || {});
+    if (fields.length === 0) {
+      return "{}";
+    }
+    const lines = fields.map(
+      (field) =>
+        `${indent}  ${TurtlTypes.#propertyName(field)}${
+          TurtlTypes.#isRequired(schema[field]) ? "" : "?"
+        }: ${TurtlTypes.#fieldType(schema[field], context, `${indent}  `)};`
+    );
+    return `{\n${lines.join("\n")}\n${indent}}`;
+  }
+
+  static #fieldType(rules, context, indent) {
+    // The most specific rule decides the type
+    let best = { priority: 0, type: "unknown" };
+    for (const entry of Array.isArray(rules) ? rules : []) {
+      const candidate = TurtlTypes.#ruleType(
+        entry?.rule,
+        entry?.options || {},
+        context,
+        indent
+      );
+      if (candidate && candidate.priority > best.priority) {
+        best = candidate;
+      }
+    }
+    return best.type;
+  }
+
+  static #ruleType(rule, options, context, indent) {
+    const nested = () =>
+      options.model
+        ? context.findModel(options.model)
+        : TurtlTypes.#objectType(options.schema, context, indent);
+    switch (rule) {
+      case "oneOf":
+        return {
+          priority: 4,
+          type:
+            (options.values || [])
+              .map((value) => JSON.stringify(value))
+              .join(" | ") || "never",
+        };
+      case "model":
+        return { priority: 3, type: nested() };
+      case "arrayOfModel":
+        return { priority: 3, type: `Array<${nested()}>` };
+      case "arrayOf":
+        return {
+          priority: 3,
+          type: `${
+            options.isTypeClass
+              ? TurtlTypes.#classType(options.type)
+              : TurtlTypes.#primitiveType(options.type)
+          }[]`,
+        };
+      case "typeOf":
+        return { priority: 3, type: TurtlTypes.#primitiveType(options.type) };
+      case "instanceOf":
+        return { priority: 3, type: TurtlTypes.#classType(options.type) };
+      case "fileType":
+      case "maxFileSize":
+        return { priority: 2, type: "Blob | Blob[]" };
+      case "date":
+      case "dateRange":
+        return { priority: 2, type: "string | Date" };
+      case "integer":
+      case "min":
+      case "max":
+      case "between":
+        return { priority: 1, type: "number" };
+      case "email":
+      case "url":
+      case "uuid":
+      case "phone":
+      case "pattern":
+      case "minLength":
+        return { priority: 1, type: "string" };
+      default: {
+        let fragment = context.ruleSchemas.get(rule);
+        if (typeof fragment === "function") {
+          fragment = fragment(options);
+        }
+        const type = {
+          string: "string",
+          number: "number",
+          integer: "number",
+          boolean: "boolean",
+          array: "unknown[]",
+          object: "Record<string, unknown>",
+        }[fragment?.type];
+        return type ? { priority: 1, type } : null;
+      }
+    }
+  }
+
+  static #responseType(endpoint, findModel) {
+    switch (endpoint.responseType) {
+      case "text":
+        return "string";
+      case "blob":
+        return "Blob";
+      case "arraybuffer":
+        return "ArrayBuffer";
+      case "stream":
+        return "ReadableStream<Uint8Array>";
+    }
+    return endpoint.responseModelName
+      ? findModel(endpoint.responseModelName)
+      : "unknown";
+  }
+
+  static #primitiveType(type) {
+    return (
+      {
+        string: "string",
+        number: "number",
+        boolean: "boolean",
+        bigint: "bigint",
+        symbol: "symbol",
+        object: "Record<string, unknown>",
+        function: "Function",
+        undefined: "undefined",
+      }[type] ?? "unknown"
+    );
+  }
+
+  static #classType(type) {
+    // Only globals like Date, File or Blob can be named in a declaration file
+    const name = typeof type === "function" ? type.name : null;
+    return name && globalThis[name] === type ? name : "unknown";
+  }
+
+  static #isRequired(rules) {
+    return (
+      Array.isArray(rules) && rules.some((entry) => entry?.rule === "required")
+    );
+  }
+
+  static #propertyName(name) {
+    return /^[A-Za-z_$][\w$]*$/.test(name) ? name : JSON.stringify(name);
+  }
+
+  static #modelKey(service, name) {
+    return `${service ?? ""}:${name}`;
+  }
+
+  static #modelPath(model) {
+    return model.service
+      ? `${model.service}.models.${model.name}`
+      : `models.${model.name}`;
+  }
+
+  static #pascalCase(value) {
+    return String(value)
+      .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+      .split(/[^A-Za-z0-9]+/)
+      .filter(Boolean)
+      .map((word) => word[0].toUpperCase() + word.slice(1))
+      .join("");
+  }
+}
@@ -0,0 +1,79 @@
+/**
+ * Cache store backed by `localStorage` or `sessionStorage`, entries survive a page reload.
+ *
+ * @class
+ * @example
+ * const api = new TurtlAPI({
+ *   host: "https://api.example.com",
+ *   cache: new TurtlCache({ store: new TurtlWebStorageCacheStore({ prefix: "myapp:" }) }),
+ * });
+ *
+ * @param {Object} [options={}] - store options
+ * @param {Storage} [options.storage=globalThis.localStorage] - web storage to use
+ * @param {string} [options.prefix="turtl:"] - prefix for the storage keys, only keys with this prefix are used
+ *
+ * @method get(key) Gets an entry.
+ * @method set(key, entry) Stores an entry, ignored when the storage is full.
+ * @method delete(key) Removes an entry.
+ * @method keys() Lists all keys with the prefix.
+ * @method clear() Removes every entry with the prefix.
+ */
+export class TurtlWebStorageCacheStore {
+  /**
+   * Creates a new web storage store.
+   *
+   * @param {Object} [options={}] - store options
+   * @param {Storage} [options.storage=globalThis.localStorage] - web storage to use
+   * @param {string} [options.prefix="turtl:"] - prefix for the storage keys
+   */
+  constructor({ storage = null, prefix = "turtl:" } = {}) {
+    this.storage = storage ?? globalThis.localStorage;
+    this.prefix = prefix;
+    if (!this.storage) {
+      throw new Error(
+        "[TurtlWebStorageCacheStore] Web storage is not available."
+      );
+    }
+  }
+
+  get(key) {
+    const value = this.storage.getItem(this.prefix + key);
+    if (value === null) {
+      return undefined;
+    }
+    try {
+      return JSON.parse(value);
+    } catch (e) {
+      return undefined;
+    }
+  }
+
+  set(key, entry) {
+    try {
+      this.storage.setItem(this.prefix + key, JSON.stringify(entry));
+    } catch (e) {
+      // Storage is full or disabled, the response is just not cached
+    }
+  }
+
+  delete(key) {
+    this.storage.removeItem(this.prefix + key);
+  }
+
+  keys() {
+    const keys = [];
+    for (let i = 0; i < this.storage.length; i++) {
+      const name = this.storage.key(i);
+      if (name !== null && name.startsWith(this.prefix)) {
+        keys.push(name.slice(this.prefix.length));
+      }
+    }
+    return keys;
+  }
+
+  clear() {
+    for (const key of this.keys()) {
+      this.delete(key);
+    }
+  }
+}
@@ -0,0 +1,89 @@
+import { TurtlTransport } from "./TurtlTransport.js";
+
+/**
+ * Transport adapter that sends requests with `XMLHttpRequest`.
+ *
+ * @class
+ * @extends TurtlTransport
+ * @example
+ * const api = new TurtlAPI({ host: "https://api.example.com", transport: new TurtlXHRTransport() });
+ *
+ * @description
+ * XHR can't stream a response, the `stream` response type reads a blob and returns its stream.
+ */
+export class TurtlXHRTransport extends TurtlTransport {
+  /**
+   * Sends a request with XMLHttpRequest
+   *
+   * @param {Object} request - normalized request object
+   * @returns {Promise<Object>} - normalized raw response
+   */
+  send(request) {
+    return new Promise((resolve) => {
+      const xhr = new XMLHttpRequest();
+      const signal = request.signal;
+
+      if (signal?.aborted) {
+        resolve(TurtlTransport.createResponse({ error: "aborted" }));
+        return;
+      }
+
+      xhr.open(request.method, request.url);
+
+      for (const key in request.headers) {
+        xhr.setRequestHeader(key, request.headers[key]);
+      }
+
+      if (request.timeout > 0) {
+        xhr.timeout = request.timeout;
+      }
+      if (request.responseType !== "text") {
+        xhr.responseType =
+          request.responseType === "arraybuffer" ? "arraybuffer" : "blob";
+      }
+
+      const onAbort = () => xhr.abort();
+      const finish = (response) => {
+        signal?.removeEventListener("abort", onAbort);
+        resolve(TurtlTransport.createResponse(response));
+      };
+
+      xhr.onload = () =>
+        finish({
+          status: xhr.status,
+          statusText: xhr.statusText,
+          headers: TurtlTransport.parseHeaders(xhr.getAllResponseHeaders()),
+          body:
+            request.responseType === "text"
+              ? xhr.responseText
+              : request.responseType === "stream"
+              ? xhr.response.stream()
+              : xhr.response,
+        });
+      xhr.onerror = () => finish({ error: "network" });
+      xhr.ontimeout = () => finish({ error: "timeout" });
+      xhr.onabort = () => finish({ error: "aborted" });
+
+      if (request.onUploadProgress) {
+        xhr.upload.onprogress = (event) =>
+          TurtlTransport.reportProgress(
+            request.onUploadProgress,
+            event.loaded,
+            event.lengthComputable ? event.total : null
+          );
+      }
+      if (request.onDownloadProgress) {
+        xhr.onprogress = (event) =>
+          TurtlTransport.reportProgress(
+            request.onDownloadProgress,
+            event.loaded,
+            event.lengthComputable ? event.total : null
+          );
+      }
+
+      signal?.addEventListener("abort", onAbort, { once: true });
+
+      xhr.send(request.body ?? null);
+    });
+  }
+}
@@ -5,3 +5,30 @@ export { TurtlAPIService } from "./TurtlAPIService.js";
 export { TurtlEndpoint } from "./TurtlEndpoint.js";
 export { TurtlRequestModel } from "./TurtlRequestModel.js";
 export { TurtlResponse } from "./TurtlResponse.js";
+export { TurtlTransport } from "./TurtlTransport.js";
+export { TurtlXHRTransport } from "./TurtlXHRTransport.js";
+export { TurtlFetchTransport } from "./TurtlFetchTransport.js";
+export { TurtlMemoryTransport } from "./TurtlMemoryTransport.js";
+export { TurtlMockServer } from "./TurtlMockServer.js";
+export { TurtlMockCollection } from "./TurtlMockCollection.js";
+export { TurtlRetryPolicy } from "./TurtlRetryPolicy.js";
+export { TurtlPath } from "./TurtlPath.js";
+export { TurtlMessages } from "./TurtlMessages.js";
+export { TurtlResponseModel } from "./TurtlResponseModel.js";
+export { TurtlAuth } from "./TurtlAuth.js";
+export { TurtlBearerAuth } from "./TurtlBearerAuth.js";
+export { TurtlBasicAuth } from "./TurtlBasicAuth.js";
+export { TurtlApiKeyAuth } from "./TurtlApiKeyAuth.js";
+export { TurtlCache } from "./TurtlCache.js";
+export { TurtlMemoryCacheStore } from "./TurtlMemoryCacheStore.js";
+export { TurtlWebStorageCacheStore } from "./TurtlWebStorageCacheStore.js";
+export { TurtlBody } from "./TurtlBody.js";
+export { TurtlResponseAdapter } from "./TurtlResponseAdapter.js";
+export { TurtlRestAdapter } from "./TurtlRestAdapter.js";
+export { TurtlProblemJsonAdapter } from "./TurtlProblemJsonAdapter.js";
+export { TurtlJsonApiAdapter } from "./TurtlJsonApiAdapter.js";
+export { TurtlQuery } from "./TurtlQuery.js";
+export { TurtlJsonSchema } from "./TurtlJsonSchema.js";
+export { TurtlOpenAPI } from "./TurtlOpenAPI.js";
+export { TurtlDefinition } from "./TurtlDefinition.js";
+export { TurtlTypes } from "./TurtlTypes.js";
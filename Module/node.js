@@ -0,0 +1,5 @@
+// Module/node.js
+// Node only exports, kept out of the main entry so browser bundles don't include node: modules
+
+export * from "./index.js";
+export { TurtlNodeTransport } from "./TurtlNodeTransport.js";
@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+import { readFile, writeFile } from "node:fs/promises";
+import { resolve } from "node:path";
+import { pathToFileURL } from "node:url";
+import { TurtlTypes } from "../Module/TurtlTypes.js";
+
+const usage = `Usage: turtl-types <source> [options]
+
+Generates TypeScript declarations with a typed api.call per endpoint.
+
+<source> is a definition (.json), or a module exporting a TurtlAPI instance or a definition.
+
+Options:
+  --out <file>        write the declarations to a file instead of stdout
+  --export <name>     export of the module to read, "default" or "api" when omitted
+  --import-from <m>   module the Turtl types are imported from, "turtl-js-api" by default
+  --type-name <name>  name of the typed api interface, "TypedTurtlAPI" by default
+  --help              show this message`;
+
+/**
+ * Parses the command line arguments
+ *
+ * @param {string[]} args - arguments after the script name
+ * @returns {Object} - `{ source, out, exportName, importFrom, typeName, help }`
+ */
+function parseArgs(args) {
+  const options = { help: false };
+  const flags = {
+    "--out": "out",
+    "--export": "exportName",
+    "--import-from": "importFrom",
+    "--type-name": "typeName",
+  };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === "--help" || arg === "-h") {
+      options.help = true;
+    } else if (arg in flags) {
+      if (args[i + 1] === undefined) {
+        throw new Error(`Missing value for ${arg}.`);
+      }
+      options[flags[arg]] = args[++i];
+    } else if (arg.startsWith("--")) {
+      throw new Error(`Unknown option ${arg}.`);
+    } else if (options.source === undefined) {
+      options.source = arg;
+    } else {
+      throw new Error(`Unexpected argument ${arg}.`);
+    }
+  }
+  return options;
+}
+
+/**
+ * Loads the api or definition from a JSON file or a module
+ *
+ * @param {string} source - path of the file
+ * @param {string} [exportName] - export of the module to read
+ * @returns {Promise<Object>} - the api or definition
+ */
+async function loadSource(source, exportName) {
+  const path = resolve(process.cwd(), source);
+  if (path.endsWith(".json")) {
+    return JSON.parse(await readFile(path, "utf8"));
+  }
+  const module = await import(pathToFileURL(path).href);
+  const value = exportName ? module[exportName] : module.default ?? module.api;
+  if (value === undefined) {
+    throw new Error(
+      `${source} has no ${
+        exportName ? `'${exportName}' export` : "default or 'api' export"
+      }.`
+    );
+  }
+  return value;
+}
+
+try {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help || options.source === undefined) {
+    console.log(usage);
+    process.exit(options.help ? 0 : 1);
+  }
+  const declarations = TurtlTypes.generate(
+    await loadSource(options.source, options.exportName),
+    {
+      ...(options.importFrom ? { importFrom: options.importFrom } : {}),
+      ...(options.typeName ? { typeName: options.typeName } : {}),
+    }
+  );
+  if (options.out) {
+    await writeFile(resolve(process.cwd(), options.out), declarations);
+  } else {
+    process.stdout.write(declarations);
+  }
+} catch (error) {
+  console.error(`turtl-types: ${error.message}`);
+  process.exit(1);
+}
@@ -4,19 +4,29 @@ import dts from "rollup-plugin-dts";
 
 export default [
   {
-    input: "Module/index.js",
+    // The node entry is separate, so the main entry has no node: imports
+    input: {
+      "turtl-js-api": "Module/index.js",
+      "turtl-js-api-node": "Module/node.js",
+    },
     output: {
-      file: "dist/turtl-js-api.mjs",
+      dir: "dist",
       format: "es",
       sourcemap: true,
+      entryFileNames: "[name].mjs",
+      chunkFileNames: "turtl-js-api-[hash].mjs",
     },
     plugins: [nodeResolve(), commonjs()],
   },
   {
-    input: "dist/types/index.d.ts",
+    input: {
+      "turtl-js-api": "dist/types/index.d.ts",
+      "turtl-js-api-node": "dist/types/node.d.ts",
+    },
     output: {
-      file: "dist/turtl-js-api.d.ts",
+      dir: "dist",
       format: "es",
+      entryFileNames: "[name].d.ts",
     },
     plugins: [dts()],
   },
@@ -0,0 +1,250 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  TurtlAPI,
+  TurtlAPIService,
+  TurtlJsonApiAdapter,
+  TurtlMemoryTransport,
+  TurtlProblemJsonAdapter,
+  TurtlResponse,
+  TurtlResponseAdapter,
+  TurtlRestAdapter,
+} from "../Module/index.js";
+
+const { ErrorType } = TurtlResponse;
+
+function createApi(result, { api = {}, service = {}, endpoint = {} } = {}) {
+  const transport = new TurtlMemoryTransport();
+  transport.on("GET", "/shop/items", () => result);
+  const turtl = new TurtlAPI({
+    host: "https://api.example.com",
+    transport,
+    ...api,
+  });
+  const shop = new TurtlAPIService("shop", "/shop", service);
+  shop.addEndpoint("items", { path: "/items", method: "GET", ...endpoint });
+  turtl.addService(shop);
+  return turtl;
+}
+
+function call(result, options) {
+  return createApi(result, options).call("shop.items");
+}
+
+const rest = { api: { responseAdapter: new TurtlRestAdapter() } };
+
+test("the REST adapter uses the status for success and the body as data", async () => {
+  const response = await call({ body: [{ name: "rex" }] }, rest);
+
+  assert.equal(response.success, true);
+  assert.deepEqual(response.data, [{ name: "rex" }]);
+  assert.equal(response.status, 200);
+});
+
+test("the REST adapter reads empty, text and broken bodies", async () => {
+  const empty = await call({ status: 204, body: "" }, rest);
+  assert.equal(empty.success, true);
+  assert.equal(empty.data, null);
+
+  const text = await call(
+    { headers: { "Content-Type": "text/plain" }, body: "pong" },
+    rest
+  );
+  assert.equal(text.data, "pong");
+
+  const broken = await call(
+    { headers: { "Content-Type": "application/json" }, body: "{oops" },
+    rest
+  );
+  assert.equal(broken.success, false);
+  assert.equal(broken.errorType, ErrorType.PARSE);
+});
+
+test("the REST adapter finds the message of a failure", async () => {
+  const bodies = [
+    [{ message: "Out of stock" }, "Out of stock"],
+    [{ error: "Out of stock" }, "Out of stock"],
+    [{ error: { message: "Out of stock" } }, "Out of stock"],
+    [{ detail: "Out of stock" }, "Out of stock"],
+    [{}, "Request failed with status 409."],
+  ];
+  for (const [body, message] of bodies) {
+    const response = await call({ status: 409, body }, rest);
+    assert.equal(response.success, false);
+    assert.equal(response.message, message);
+    assert.equal(response.errorType, ErrorType.CLIENT);
+    assert.deepEqual(response.data, body);
+  }
+});
+
+test("an endpoint adapter overrides the service and api adapter", async () => {
+  const envelope = { success: true, message: "", data: { a: 1 } };
+  const service = await call(
+    { body: envelope },
+    { service: { responseAdapter: new TurtlRestAdapter() } }
+  );
+  assert.deepEqual(service.data, envelope);
+
+  const endpoint = await call(
+    { body: envelope },
+    {
+      service: { responseAdapter: new TurtlRestAdapter() },
+      endpoint: { responseAdapter: new TurtlResponseAdapter() },
+    }
+  );
+  assert.deepEqual(endpoint.data, { a: 1 });
+});
+
+test("a custom adapt function maps its own envelope", async () => {
+  const adapter = new TurtlResponseAdapter({
+    adapt: (raw, { accepted }) => {
+      const json = TurtlResponseAdapter.parseJson(raw.body) ?? {};
+      return new TurtlResponse(
+        accepted && json.ok === true,
+        json.error ?? "",
+        json.result ?? {}
+      );
+    },
+  });
+
+  const response = await call(
+    { body: { ok: true, result: [1, 2] } },
+    { api: { responseAdapter: adapter } }
+  );
+
+  assert.equal(response.success, true);
+  assert.deepEqual(response.data, [1, 2]);
+  assert.throws(
+    () => new TurtlAPI({ host: "x", responseAdapter: {} }),
+    /must implement an 'adapt\(raw, context\)' method/
+  );
+});
+
+const problem = { api: { responseAdapter: new TurtlProblemJsonAdapter() } };
+
+test("the problem+json adapter reads the problem and its field errors", async () => {
+  const response = await call(
+    {
+      status: 422,
+      headers: { "Content-Type": "application/problem+json" },
+      body: {
+        type: "https://example.com/probs/invalid",
+        title: "Invalid order",
+        detail: "Some fields are invalid",
+        "invalid-params": [
+          { name: "quantity", reason: "Must be positive." },
+          { name: "quantity", reason: "Must be a number." },
+        ],
+      },
+    },
+    problem
+  );
+
+  assert.equal(response.success, false);
+  assert.equal(response.message, "Some fields are invalid");
+  assert.equal(response.data.type, "https://example.com/probs/invalid");
+  assert.deepEqual(response.data.errors, {
+    quantity: ["Must be positive.", "Must be a number."],
+  });
+  assert.equal(response.data.errorList.length, 2);
+});
+
+test("the problem+json adapter reads errors per field and falls back to the title", async () => {
+  const response = await call(
+    {
+      status: 400,
+      body: { title: "Bad request", errors: { email: "Taken." } },
+    },
+    problem
+  );
+  assert.equal(response.message, "Bad request");
+  assert.deepEqual(response.data.errorList, [
+    { field: "email", message: "Taken." },
+  ]);
+
+  const success = await call({ body: { id: 1 } }, problem);
+  assert.equal(success.success, true);
+  assert.deepEqual(success.data, { id: 1 });
+});
+
+const jsonApi = { api: { responseAdapter: new TurtlJsonApiAdapter() } };
+
+test("the JSON:API adapter flattens resources and resolves included ones", async () => {
+  const response = await call(
+    {
+      headers: { "Content-Type": "application/vnd.api+json" },
+      body: {
+        data: [
+          {
+            id: "1",
+            type: "articles",
+            attributes: { title: "Hello" },
+            relationships: {
+              author: { data: { id: "9", type: "people" } },
+              tags: { data: [{ id: "3", type: "tags" }] },
+              editor: { data: null },
+            },
+          },
+        ],
+        included: [{ id: "9", type: "people", attributes: { name: "An" } }],
+        meta: { total: 1 },
+        links: { next: null },
+      },
+    },
+    jsonApi
+  );
+
+  assert.equal(response.success, true);
+  assert.deepEqual(response.data, [
+    {
+      id: "1",
+      type: "articles",
+      title: "Hello",
+      author: { id: "9", type: "people", name: "An" },
+      tags: [{ id: "3", type: "tags" }],
+      editor: null,
+    },
+  ]);
+  assert.deepEqual(response.meta, { total: 1 });
+  assert.deepEqual(response.links, { next: null });
+});
+
+test("the JSON:API adapter keeps the document data without flattening", async () => {
+  const data = { id: "1", type: "articles", attributes: { title: "Hello" } };
+  const response = await call(
+    { body: { data } },
+    { api: { responseAdapter: new TurtlJsonApiAdapter({ flatten: false }) } }
+  );
+
+  assert.deepEqual(response.data, data);
+});
+
+test("the JSON:API adapter reports errors per field", async () => {
+  const response = await call(
+    {
+      status: 422,
+      body: {
+        errors: [
+          {
+            status: "422",
+            detail: "Email is taken.",
+            source: { pointer: "/data/attributes/email" },
+          },
+          { title: "Bad page", source: { parameter: "page" } },
+          { title: "Locked" },
+        ],
+      },
+    },
+    jsonApi
+  );
+
+  assert.equal(response.success, false);
+  assert.equal(response.message, "Email is taken.");
+  assert.equal(response.errorType, ErrorType.CLIENT);
+  assert.deepEqual(response.data.errors, {
+    email: ["Email is taken."],
+    page: ["Bad page"],
+    _model: ["Locked"],
+  });
+  assert.equal(response.data.jsonApiErrors.length, 3);
+});
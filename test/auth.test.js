@@ -0,0 +1,99 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  TurtlAPI,
+  TurtlAPIService,
+  TurtlBearerAuth,
+  TurtlMemoryTransport,
+  TurtlResponse,
+} from "../Module/index.js";
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test("a call refused after the refresh finished doesn't refresh again", async () => {
+  // The server only accepts the latest token, the client starts with an expired one
+  let token = "old";
+  let valid = "current";
+  let refreshes = 0;
+  const transport = new TurtlMemoryTransport();
+  transport.on("GET", "/account/fast", (request) =>
+    request.headers["Authorization"] === `Bearer ${valid}`
+      ? { body: { success: true, message: "", data: {} } }
+      : { status: 401, body: { success: false, message: "Expired" } }
+  );
+  transport.on("GET", "/account/slow", async (request) => {
+    // Answers after the refresh of the fast call finished
+    await wait(40);
+    return request.headers["Authorization"] === `Bearer ${valid}`
+      ? { body: { success: true, message: "", data: {} } }
+      : { status: 401, body: { success: false, message: "Expired" } };
+  });
+  const auth = new TurtlBearerAuth({
+    getToken: () => token,
+    refreshToken: async () => {
+      refreshes++;
+      await wait(10);
+      valid = `new-${refreshes}`;
+      token = valid;
+      return true;
+    },
+  });
+  const api = new TurtlAPI({
+    host: "https://api.example.com",
+    auth,
+    transport,
+  });
+  const service = new TurtlAPIService("account", "/account");
+  service.addEndpoint("fast", {
+    path: "/fast",
+    method: "GET",
+    requiresAuth: true,
+  });
+  service.addEndpoint("slow", {
+    path: "/slow",
+    method: "GET",
+    requiresAuth: true,
+  });
+  api.addService(service);
+
+  const [slow, fast] = await Promise.all([
+    api.call("account.slow"),
+    api.call("account.fast"),
+  ]);
+
+  assert.equal(fast.success, true);
+  assert.equal(slow.success, true);
+  assert.equal(refreshes, 1);
+});
+
+test("credentials that can't be read give an auth error", async () => {
+  const transport = new TurtlMemoryTransport();
+  transport.on("GET", "/account/data", () => ({
+    body: { success: true, message: "", data: {} },
+  }));
+  const failure = new Error("keychain locked");
+  const api = new TurtlAPI({
+    host: "https://api.example.com",
+    auth: new TurtlBearerAuth({
+      getToken: async () => {
+        throw failure;
+      },
+    }),
+    transport,
+  });
+  const service = new TurtlAPIService("account", "/account");
+  service.addEndpoint("data", {
+    path: "/data",
+    method: "GET",
+    requiresAuth: true,
+  });
+  api.addService(service);
+
+  const response = await api.call("account.data");
+
+  assert.equal(response.success, false);
+  assert.equal(response.message, "Authentication required.");
+  assert.equal(response.errorType, TurtlResponse.ErrorType.AUTH);
+  assert.equal(response.error, failure);
+  assert.equal(transport.requests.length, 0);
+});
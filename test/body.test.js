@@ -0,0 +1,159 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  TurtlAPI,
+  TurtlAPIService,
+  TurtlBody,
+  TurtlMemoryTransport,
+  TurtlRequestModel,
+} from "../Module/index.js";
+
+function createApi(transport, schema, endpoint) {
+  const api = new TurtlAPI({ host: "https://api.example.com", transport });
+  const service = new TurtlAPIService("files", "/files");
+  service.addModel("upload", TurtlRequestModel.createFactory(schema));
+  service.addEndpoint("upload", {
+    path: "/upload",
+    method: "POST",
+    modelName: "upload",
+    ...endpoint,
+  });
+  api.addService(service);
+  return api;
+}
+
+function recording() {
+  const transport = new TurtlMemoryTransport();
+  transport.on("*", "/files/upload", () => ({
+    body: { success: true, message: "", data: {} },
+  }));
+  return transport;
+}
+
+const png = new File(["x".repeat(10)], "avatar.png", { type: "image/png" });
+const pdf = new File(["%PDF"], "report.pdf", { type: "application/pdf" });
+
+test("json is the default body type", () => {
+  assert.deepEqual(TurtlBody.encode({ a: 1 }), {
+    body: '{"a":1}',
+    contentType: "application/json",
+  });
+});
+
+test("urlencoded uses brackets for nested values and leaves files out", () => {
+  const { body, contentType } = TurtlBody.encode(
+    {
+      name: "Turtl",
+      tags: ["a", "b"],
+      user: { name: "x" },
+      items: [{ name: "y" }],
+      empty: null,
+      file: png,
+    },
+    "urlencoded"
+  );
+
+  assert.equal(contentType, "application/x-www-form-urlencoded;charset=UTF-8");
+  assert.equal(
+    decodeURIComponent(body),
+    "name=Turtl&tags[]=a&tags[]=b&user[name]=x&items[0][name]=y"
+  );
+});
+
+test("text and binary send the body field", () => {
+  assert.deepEqual(TurtlBody.encode({ body: 42 }, "text"), {
+    body: "42",
+    contentType: "text/plain;charset=UTF-8",
+  });
+  const { body, contentType } = TurtlBody.encode(
+    { file: pdf },
+    "binary",
+    "file"
+  );
+  assert.equal(body, pdf);
+  assert.equal(contentType, "application/pdf");
+  assert.equal(
+    TurtlBody.encode({ body: new Uint8Array(2) }, "binary").contentType,
+    "application/octet-stream"
+  );
+});
+
+test("an unknown body type throws", () => {
+  assert.throws(() => TurtlBody.encode({}, "xml"), /Unknown body type 'xml'/);
+});
+
+test("form-data uploads files and lets the transport set the content type", async () => {
+  const transport = recording();
+  const api = createApi(
+    transport,
+    { name: [], avatar: [] },
+    { bodyType: "form-data" }
+  );
+
+  const response = await api.call("files.upload", { name: "me", avatar: png });
+
+  assert.equal(response.success, true);
+  const request = transport.requests[0];
+  assert.ok(request.body instanceof FormData);
+  assert.equal(request.body.get("name"), "me");
+  assert.equal(request.body.get("avatar").name, "avatar.png");
+  assert.equal(request.headers["Content-Type"], undefined);
+});
+
+test("a binary endpoint sends the file with its own content type", async () => {
+  const transport = recording();
+  const api = createApi(
+    transport,
+    { file: [] },
+    { method: "PUT", bodyType: "binary", bodyField: "file" }
+  );
+
+  await api.call("files.upload", { file: pdf });
+
+  assert.equal(transport.requests[0].body, pdf);
+  assert.equal(
+    transport.requests[0].headers["Content-Type"],
+    "application/pdf"
+  );
+});
+
+function check(rule, options, value) {
+  const api = new TurtlAPI({ host: "https://api.example.com" });
+  const result = TurtlRequestModel.createFactory({
+    file: [{ rule, options }],
+  }).create({ file: value }, api).validateResult;
+  return result.success ? null : result.message;
+}
+
+test("fileType accepts mime types, wildcards and extensions", () => {
+  assert.equal(check("fileType", { types: ["image/*"] }, png), null);
+  assert.equal(check("fileType", { types: [".pdf"] }, pdf), null);
+  assert.equal(check("fileType", { types: ["application/pdf"] }, [pdf]), null);
+  assert.equal(
+    check("fileType", { types: ["image/*", ".pdf"] }, new Blob(["a"])),
+    "File type must be one of: image/*, .pdf."
+  );
+  assert.equal(
+    check("fileType", { types: ["image/*"] }, "avatar.png"),
+    "Must be a file."
+  );
+  assert.equal(check("fileType", { types: ["image/*"] }, []), null);
+});
+
+test("maxFileSize checks every file against a readable limit", () => {
+  assert.equal(check("maxFileSize", { size: 10 }, png), null);
+  assert.equal(
+    check("maxFileSize", { size: 5 }, [pdf, png]),
+    "File must be at most 5 B."
+  );
+  assert.equal(
+    check("maxFileSize", { size: 1 }, new File(["ab"], "a.txt")),
+    "File must be at most 1 B."
+  );
+  assert.equal(
+    check("maxFileSize", { size: 1536 }, new File(["x".repeat(2000)], "b")),
+    "File must be at most 1.5 KB."
+  );
+  assert.equal(check("maxFileSize", { size: 1 }, 42), "Must be a file.");
+  assert.equal(check("maxFileSize", { size: 1 }, undefined), null);
+});
@@ -0,0 +1,87 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  TurtlAPI,
+  TurtlAPIService,
+  TurtlMemoryTransport,
+} from "../Module/index.js";
+
+test("cached responses of auth endpoints are kept apart per token", async () => {
+  let token = "token-a";
+  const transport = new TurtlMemoryTransport();
+  transport.on("GET", "/account/data", (request) => ({
+    body: {
+      success: true,
+      message: "",
+      data: { user: request.headers["Authorization"] },
+    },
+  }));
+  const api = new TurtlAPI({
+    host: "https://api.example.com",
+    getAuthToken: () => token,
+    transport,
+  });
+  const service = new TurtlAPIService("account", "/account");
+  service.addEndpoint("data", {
+    path: "/data",
+    method: "GET",
+    requiresAuth: true,
+    cache: true,
+  });
+  api.addService(service);
+
+  const first = await api.call("account.data");
+  const again = await api.call("account.data");
+  token = "token-b";
+  const other = await api.call("account.data");
+
+  assert.equal(first.data.user, "Bearer token-a");
+  assert.equal(again.cached, true);
+  assert.equal(other.cached ?? false, false);
+  assert.equal(other.data.user, "Bearer token-b");
+  assert.equal(transport.requests.length, 2);
+  const keys = await api.cache.store.keys();
+  assert.ok(keys.every((key) => !key.includes("token-")));
+});
+
+test("a single cache tag can be given as a string", async () => {
+  const transport = new TurtlMemoryTransport();
+  let name = "Turtl";
+  transport.on("GET", "/account/data", () => ({
+    body: { success: true, message: "", data: { name } },
+  }));
+  transport.on("POST", "/account/update", () => ({
+    body: { success: true, message: "", data: {} },
+  }));
+  const api = new TurtlAPI({ host: "https://api.example.com", transport });
+  const service = new TurtlAPIService("account", "/account");
+  service.addEndpoint("data", {
+    path: "/data",
+    method: "GET",
+    cache: true,
+    tags: "account",
+  });
+  service.addEndpoint("update", {
+    path: "/update",
+    method: "POST",
+    invalidates: "account",
+  });
+  service.addEndpoint("ping", {
+    path: "/update",
+    method: "POST",
+    tags: null,
+    invalidates: null,
+  });
+  api.addService(service);
+
+  await api.call("account.data");
+  assert.equal((await api.call("account.ping")).success, true);
+  assert.equal((await api.call("account.data")).cached, true);
+  name = "Changed";
+  await api.call("account.update");
+  const fresh = await api.call("account.data");
+
+  assert.equal(fresh.cached ?? false, false);
+  assert.equal(fresh.data.name, "Changed");
+  assert.deepEqual(service.getEndpoint("ping").invalidates, []);
+});
@@ -0,0 +1,95 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  TurtlAPI,
+  TurtlAPIService,
+  TurtlMemoryTransport,
+  TurtlRequestModel,
+} from "../Module/index.js";
+
+function createApi(transport) {
+  const api = new TurtlAPI({ host: "https://api.example.com", transport });
+  const service = new TurtlAPIService("tenant", "/tenant");
+  service.addModel("data", TurtlRequestModel.createFactory({ tenant: [] }));
+  service.addEndpoint("data", {
+    path: "/data",
+    method: "GET",
+    modelName: "data",
+  });
+  api.addService(service);
+  return api;
+}
+
+function slowly(handler) {
+  return async (request) => {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    return handler(request);
+  };
+}
+
+test("concurrent calls with different headers are not shared", async () => {
+  const transport = new TurtlMemoryTransport();
+  transport.on(
+    "GET",
+    "/tenant/data",
+    slowly((request) => ({
+      body: {
+        success: true,
+        message: "",
+        data: { tenant: request.headers["X-Tenant"] },
+      },
+    }))
+  );
+  const api = createApi(transport);
+  // Moves the tenant from the query to a header, so both calls have the same url
+  api.use(async (context, next) => {
+    context.request.headers["X-Tenant"] = context.model.tenant;
+    context.request.url = context.request.url.split("?")[0];
+    return next();
+  });
+
+  const [a, b] = await Promise.all([
+    api.call("tenant.data", { tenant: "A" }),
+    api.call("tenant.data", { tenant: "B" }),
+  ]);
+
+  assert.equal(transport.requests.length, 2);
+  assert.equal(a.data.tenant, "A");
+  assert.equal(b.data.tenant, "B");
+});
+
+test("concurrent identical calls share one request", async () => {
+  const transport = new TurtlMemoryTransport();
+  transport.on(
+    "GET",
+    "/tenant/data",
+    slowly(() => ({ body: { success: true, message: "", data: {} } }))
+  );
+  const api = createApi(transport);
+
+  const [a, b] = await Promise.all([
+    api.call("tenant.data", { tenant: "A" }),
+    api.call("tenant.data", { tenant: "A" }),
+  ]);
+
+  assert.equal(transport.requests.length, 1);
+  assert.equal(a.success, true);
+  assert.equal(b.success, true);
+});
+
+test("calls with other data are sent separately", async () => {
+  const transport = new TurtlMemoryTransport();
+  transport.on(
+    "GET",
+    "/tenant/data",
+    slowly(() => ({ body: { success: true, message: "", data: {} } }))
+  );
+  const api = createApi(transport);
+
+  await Promise.all([
+    api.call("tenant.data", { tenant: "A" }),
+    api.call("tenant.data", { tenant: "B" }),
+  ]);
+
+  assert.equal(transport.requests.length, 2);
+});
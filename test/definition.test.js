@@ -0,0 +1,67 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  TurtlAPI,
+  TurtlAPIService,
+  TurtlMemoryTransport,
+  TurtlRequestModel,
+  TurtlResponse,
+} from "../Module/index.js";
+
+test("toDefinition warns about mock responses it leaves out", (t) => {
+  const warn = t.mock.method(console, "warn", () => {});
+  const api = new TurtlAPI({ host: "https://api.example.com" });
+  const service = new TurtlAPIService("todos", "/todos");
+  service.addModel("list", TurtlRequestModel.createFactory({}));
+  service.addEndpoint("list", {
+    path: "",
+    method: "GET",
+    modelName: "list",
+    mockResponseSuccess: () => TurtlResponse.Success("", []),
+    mockResponseFailure: TurtlResponse.Error("Down"),
+  });
+  api.addService(service);
+
+  const definition = api.toDefinition();
+
+  const endpoint = definition.services.todos.endpoints.list;
+  assert.equal(endpoint.mockResponseSuccess, undefined);
+  assert.equal(endpoint.mockResponseFailure.message, "Down");
+  assert.equal(warn.mock.callCount(), 1);
+  assert.match(
+    warn.mock.calls[0].arguments[0],
+    /services\.todos\.endpoints\.list\.mockResponseSuccess/
+  );
+});
+
+test("calling an endpoint doesn't add the api and service headers to it", async () => {
+  const transport = new TurtlMemoryTransport();
+  transport.on("GET", "/todos", {
+    body: { success: true, message: "", data: [] },
+  });
+  const api = new TurtlAPI({ host: "https://api.example.com", transport });
+  api.addHeader("X-Client", "web");
+  api.addHeader("X-Version", "1");
+  const service = new TurtlAPIService("todos", "/todos");
+  service.addHeader("X-Version", "2");
+  service.addEndpoint("list", {
+    path: "",
+    method: "GET",
+    headers: { "X-Trace": "on" },
+  });
+  api.addService(service);
+
+  await api.call("todos.list");
+  api.addHeader("X-Client", "mobile");
+  await api.call("todos.list");
+
+  const [first, second] = transport.requests;
+  assert.equal(first.headers["X-Client"], "web");
+  assert.equal(first.headers["X-Version"], "2");
+  assert.equal(first.headers["X-Trace"], "on");
+  assert.equal(second.headers["X-Client"], "mobile");
+  assert.deepEqual(service.getEndpoint("list").headers, { "X-Trace": "on" });
+  assert.deepEqual(api.toDefinition().services.todos.endpoints.list.headers, {
+    "X-Trace": "on",
+  });
+});
@@ -0,0 +1,26 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import * as main from "../Module/index.js";
+import * as node from "../Module/node.js";
+
+test("the node transport is only exported from the node entry", () => {
+  assert.equal("TurtlNodeTransport" in main, false);
+  assert.equal(typeof node.TurtlNodeTransport, "function");
+  assert.equal(node.TurtlAPI, main.TurtlAPI);
+});
+
+test("the core doesn't import the node transport", async () => {
+  const source = await readFile(
+    new URL("../Module/TurtlAPI.js", import.meta.url),
+    "utf8"
+  );
+  assert.doesNotMatch(source, /from "\.\/TurtlNodeTransport\.js"/);
+});
+
+test("the top level types point at the bundled declarations of the main entry", async () => {
+  const pkg = JSON.parse(
+    await readFile(new URL("../package.json", import.meta.url), "utf8")
+  );
+  assert.equal(pkg.types, pkg.exports["."].types);
+});
@@ -0,0 +1,131 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  TurtlAPI,
+  TurtlDefinition,
+  TurtlJsonSchema,
+  TurtlRequestModel,
+  TurtlTypes,
+} from "../Module/index.js";
+
+const schema = {
+  type: "object",
+  required: ["name"],
+  properties: {
+    name: { type: "string" },
+    age: { type: "number" },
+    active: { type: "boolean" },
+    born: { type: "string", format: "date" },
+    tags: { type: "array", items: { type: "string" } },
+  },
+};
+
+test("typed fields and arrays get type rules, optional when not required", () => {
+  const modelSchema = TurtlJsonSchema.toModelSchema(schema);
+  assert.deepEqual(modelSchema.name, [
+    { rule: "required" },
+    { rule: "typeOf", options: { type: "string" } },
+  ]);
+  assert.deepEqual(modelSchema.age, [
+    { rule: "typeOf", options: { type: "number" }, optional: true },
+  ]);
+  assert.deepEqual(modelSchema.active, [
+    { rule: "typeOf", options: { type: "boolean" }, optional: true },
+  ]);
+  assert.deepEqual(modelSchema.born, [{ rule: "date" }]);
+  assert.deepEqual(modelSchema.tags, [
+    { rule: "arrayOf", options: { type: "string" }, optional: true },
+  ]);
+  assert.deepEqual(
+    TurtlJsonSchema.toRules(
+      { type: "array", items: { type: "integer" } },
+      true
+    ),
+    [{ rule: "required" }, { rule: "arrayOf", options: { type: "number" } }]
+  );
+});
+
+test("imported type rules skip missing values and survive the round trip", () => {
+  const api = new TurtlAPI({ host: "https://api.example.com" });
+  const modelSchema = TurtlJsonSchema.toModelSchema(schema);
+  const factory = TurtlRequestModel.createFactory(modelSchema);
+  api.addModel("person", factory);
+
+  assert.equal(factory.create({ name: "Turtl" }, api).isValid, true);
+  assert.equal(
+    factory.create({ name: "Turtl", age: null, tags: null }, api).isValid,
+    true
+  );
+  assert.equal(
+    factory.create({ name: "Turtl", tags: [1] }, api).isValid,
+    false
+  );
+  assert.equal(factory.create({ name: "Turtl", age: "1" }, api).isValid, false);
+
+  const exported = TurtlJsonSchema.fromModelSchema(modelSchema);
+  assert.deepEqual(exported.properties.tags, {
+    type: "array",
+    items: { type: "string" },
+  });
+  assert.deepEqual(exported.properties.age, { type: "number" });
+
+  const types = TurtlTypes.generate(api);
+  assert.match(types, /tags\?: string\[\];/);
+  assert.match(types, /age\?: number;/);
+});
+
+test("typeOf and arrayOf fail on a missing value unless the rule is optional", () => {
+  const api = new TurtlAPI({ host: "https://api.example.com" });
+  const validate = (rules, value) =>
+    TurtlRequestModel.createFactory({ field: rules }).create(
+      { field: value },
+      api
+    ).validateResult;
+  const typeOf = { rule: "typeOf", options: { type: "number" } };
+  const arrayOf = { rule: "arrayOf", options: { type: "number" } };
+
+  assert.equal(
+    validate([typeOf], undefined).message,
+    "Value must be of type 'number', but got 'undefined'."
+  );
+  assert.equal(
+    validate([typeOf], null).message,
+    "Value must be of type 'number', but got 'object'."
+  );
+  assert.equal(
+    validate([arrayOf], undefined).message,
+    "Value must be an array."
+  );
+  assert.equal(validate([arrayOf], null).message, "Value must be an array.");
+
+  for (const rule of [typeOf, arrayOf]) {
+    assert.equal(
+      validate([{ ...rule, optional: true }], undefined).success,
+      true
+    );
+    assert.equal(validate([{ ...rule, optional: true }], null).success, true);
+  }
+  assert.equal(
+    validate([{ ...typeOf, optional: true }], "1").message,
+    "Value must be of type 'number', but got 'string'."
+  );
+});
+
+test("optional rules are kept in a definition", () => {
+  const api = new TurtlAPI({ host: "https://api.example.com" });
+  api.addModel(
+    "person",
+    TurtlRequestModel.createFactory(TurtlJsonSchema.toModelSchema(schema))
+  );
+
+  const definition = TurtlDefinition.serialize(api);
+
+  assert.deepEqual(definition.models.person.schema.age, [
+    { rule: "typeOf", options: { type: "number" }, optional: true },
+  ]);
+  const loaded = TurtlAPI.fromDefinition(definition);
+  assert.equal(
+    loaded.getModel("person").create({ name: "Turtl" }, loaded).isValid,
+    true
+  );
+});
@@ -0,0 +1,68 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  TurtlAPI,
+  TurtlAPIService,
+  TurtlMemoryTransport,
+  TurtlResponse,
+} from "../Module/index.js";
+
+function createApi() {
+  const transport = new TurtlMemoryTransport();
+  transport.on("POST", "/reports/slow", async () => {
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    return { body: { success: true, message: "", data: {} } };
+  });
+  const api = new TurtlAPI({ host: "https://api.example.com", transport });
+  const service = new TurtlAPIService("reports", "/reports");
+  service.addEndpoint("slow", { path: "/slow", method: "POST", retry: false });
+  api.addService(service);
+  return api;
+}
+
+test("a handler slower than the timeout times out", async () => {
+  const response = await createApi().call(
+    "reports.slow",
+    {},
+    { timeoutMs: 30 }
+  );
+  assert.equal(response.timedOut, true);
+  assert.equal(response.errorType, TurtlResponse.ErrorType.TIMEOUT);
+});
+
+test("aborting during a handler aborts the call", async () => {
+  const controller = new AbortController();
+  setTimeout(() => controller.abort(), 20);
+  const started = Date.now();
+  const response = await createApi().call(
+    "reports.slow",
+    {},
+    { signal: controller.signal }
+  );
+  assert.equal(response.aborted, true);
+  assert.ok(Date.now() - started < 150);
+});
+
+test("a throwing handler resolves a network error with the thrown error", async () => {
+  const transport = new TurtlMemoryTransport();
+  const failure = new Error("handler broke");
+  transport.on("POST", "/reports/slow", () => {
+    throw failure;
+  });
+  const api = new TurtlAPI({ host: "https://api.example.com", transport });
+  const service = new TurtlAPIService("reports", "/reports");
+  service.addEndpoint("slow", { path: "/slow", method: "POST" });
+  api.addService(service);
+
+  const raw = await transport.send({
+    method: "POST",
+    url: "https://api.example.com/reports/slow",
+  });
+  assert.equal(raw.error, "network");
+  assert.equal(raw.cause, failure);
+
+  const response = await api.call("reports.slow");
+  assert.equal(response.success, false);
+  assert.equal(response.errorType, TurtlResponse.ErrorType.NETWORK);
+  assert.equal(response.error, failure);
+});
@@ -0,0 +1,88 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { TurtlAPI, TurtlMessages, TurtlRequestModel } from "../Module/index.js";
+
+test("a region locale falls back to its language and then the fallback locale", () => {
+  const messages = new TurtlMessages({ locale: "nl-BE", fallbackLocale: "en" });
+  messages.addMessages("nl-BE", { greeting: "Goeiedag {name}" });
+  messages.addMessages("nl", { greeting: "Goedendag {name}", bye: "Doei" });
+  messages.addMessages("en", { bye: "Bye", only: "Only in English" });
+
+  assert.equal(messages.translate("greeting", { name: "An" }), "Goeiedag An");
+  assert.equal(messages.translate("bye"), "Doei");
+  assert.equal(messages.translate("only"), "Only in English");
+  assert.equal(
+    messages.translate("validation.required"),
+    "Dit veld is verplicht."
+  );
+});
+
+test("the fallback locale is used for locales without a catalog", () => {
+  const messages = new TurtlMessages({ locale: "fr-CA", fallbackLocale: "de" });
+
+  assert.equal(
+    messages.translate("validation.required"),
+    "Dieses Feld ist erforderlich."
+  );
+  assert.equal(messages.has("validation.required"), true);
+  assert.equal(messages.has("nothing.here"), false);
+});
+
+test("unknown keys are used as literal messages", () => {
+  const messages = new TurtlMessages();
+
+  assert.equal(
+    messages.translate("Plain {word}.", { word: "text" }),
+    "Plain text."
+  );
+});
+
+test("nested messages are flattened to dotted keys", () => {
+  const messages = new TurtlMessages();
+  messages.addMessages("en", {
+    account: { locked: "Locked for {minutes} min" },
+  });
+
+  assert.equal(
+    messages.translate("account.locked", { minutes: 5 }),
+    "Locked for 5 min"
+  );
+});
+
+test("validation messages follow the locale of the api", () => {
+  const api = new TurtlAPI({
+    host: "https://api.example.com",
+    locale: "nl-BE",
+    messages: { "nl-BE": { "validation.email": "Geen geldig e-mailadres." } },
+  });
+  const factory = TurtlRequestModel.createFactory({
+    name: [{ rule: "required" }],
+    email: [{ rule: "email" }],
+    code: [{ rule: "minLength", options: { length: 3 } }],
+  });
+  const validate = (data) => factory.create(data, api).validateResult.message;
+
+  assert.equal(validate({}), "Dit veld is verplicht.");
+  assert.equal(
+    validate({ name: "An", email: "nope" }),
+    "Geen geldig e-mailadres."
+  );
+  assert.equal(validate({ name: "An", code: "ab" }), "Minimale lengte is 3.");
+
+  api.setLocale("de");
+  assert.equal(api.getLocale(), "de");
+  assert.equal(validate({}), "Dieses Feld ist erforderlich.");
+});
+
+test("overridden rule messages are translated as keys", () => {
+  const api = new TurtlAPI({ host: "https://api.example.com", locale: "nl" });
+  api.addMessages("nl", { "errors.name": "Vul een naam in." });
+  const factory = TurtlRequestModel.createFactory({
+    name: [{ rule: "required", options: { errors: ["errors.name"] } }],
+  });
+
+  assert.equal(
+    factory.create({}, api).validateResult.message,
+    "Vul een naam in."
+  );
+});
@@ -0,0 +1,49 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  TurtlAPI,
+  TurtlAPIService,
+  TurtlMemoryTransport,
+  TurtlRequestModel,
+  TurtlResponse,
+} from "../Module/index.js";
+
+function createApi(transport) {
+  const api = new TurtlAPI({ host: "https://api.example.com", transport });
+  const service = new TurtlAPIService("todos", "/todos");
+  service.addModel("list", TurtlRequestModel.createFactory({}));
+  service.addEndpoint("list", { path: "", method: "GET", modelName: "list" });
+  api.addService(service);
+  return api;
+}
+
+test("a throwing middleware keeps its error on the response", async () => {
+  const transport = new TurtlMemoryTransport();
+  transport.on("GET", "/todos", () => ({
+    body: { success: true, message: "", data: [] },
+  }));
+  const api = createApi(transport);
+  const error = new Error("token store locked");
+  api.use(() => {
+    throw error;
+  });
+
+  const response = await api.call("todos.list");
+
+  assert.equal(response.success, false);
+  assert.equal(response.message, "Middleware failed: token store locked");
+  assert.equal(response.errorType, TurtlResponse.ErrorType.CONFIG);
+  assert.equal(response.error, error);
+});
+
+test("a throwing transport keeps the request failed message", async () => {
+  const error = new Error("socket closed");
+  const api = createApi({
+    send: () => Promise.reject(error),
+  });
+
+  const response = await api.call("todos.list");
+
+  assert.equal(response.message, "Request failed");
+  assert.equal(response.error, error);
+});
@@ -0,0 +1,68 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  TurtlAPI,
+  TurtlAPIService,
+  TurtlMockServer,
+  TurtlRequestModel,
+  TurtlResponse,
+} from "../Module/index.js";
+
+function createApi(routes) {
+  const api = new TurtlAPI({
+    host: "https://api.example.com",
+    mock: new TurtlMockServer({ routes }),
+  });
+  const service = new TurtlAPIService("todos", "/todos");
+  service.addModel("list", TurtlRequestModel.createFactory({}));
+  service.addEndpoint("list", { path: "", method: "GET", modelName: "list" });
+  service.addEndpoint("stats", {
+    path: "/stats",
+    method: "GET",
+    modelName: "list",
+    mockResponseSuccess: TurtlResponse.Success("Stats", { open: 2 }),
+  });
+  service.addEndpoint("archive", {
+    path: "/archive",
+    method: "POST",
+    modelName: "list",
+  });
+  api.addService(service);
+  return api;
+}
+
+test("a throwing route gives a 500 with the error message", async () => {
+  const error = new Error("collection is locked");
+  const api = createApi({
+    "todos.list": () => {
+      throw error;
+    },
+  });
+
+  const response = await api.call("todos.list");
+
+  assert.equal(response.success, false);
+  assert.equal(response.status, 500);
+  assert.equal(response.message, "collection is locked");
+  assert.equal(response.errorType, TurtlResponse.ErrorType.SERVER);
+  assert.equal(response.error, error);
+});
+
+test("an endpoint without a route or mock responses gives a 404", async () => {
+  const api = createApi({});
+
+  const response = await api.call("todos.archive");
+
+  assert.equal(response.success, false);
+  assert.equal(response.status, 404);
+  assert.equal(response.message, "No mock route for 'todos.archive'");
+});
+
+test("an endpoint without a route keeps its own mock response", async () => {
+  const api = createApi({});
+
+  const response = await api.call("todos.stats", {}, { mockResult: true });
+
+  assert.equal(response.success, true);
+  assert.deepEqual(response.data, { open: 2 });
+});
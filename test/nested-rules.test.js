@@ -0,0 +1,49 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { TurtlAPI, TurtlRequestModel } from "../Module/index.js";
+
+test("nested model rule messages get the field context", () => {
+  const api = new TurtlAPI({ host: "https://api.example.com" });
+  api.addModel(
+    "item",
+    TurtlRequestModel.createFactory({ sku: [{ rule: "required" }] })
+  );
+  const factory = TurtlRequestModel.createFactory(
+    {
+      address: [
+        {
+          rule: "model",
+          options: { schema: {}, errors: ["{field} must be an object."] },
+        },
+      ],
+      items: [
+        {
+          rule: "arrayOfModel",
+          options: {
+            model: "item",
+            errors: [
+              "{field} must be a list.",
+              "{field}[{index}] is not an item.",
+            ],
+          },
+        },
+      ],
+    },
+    null,
+    { validationMode: "all" }
+  );
+
+  const model = factory.create(
+    { address: "Main 1", items: [{ sku: "A" }, 5] },
+    api
+  );
+  assert.deepEqual(model.validateResult.data.errors, {
+    address: ["address must be an object."],
+    "items[1]": ["items[1] is not an item."],
+  });
+
+  const list = factory.create({ items: "A" }, api);
+  assert.deepEqual(list.validateResult.data.errors, {
+    items: ["items must be a list."],
+  });
+});
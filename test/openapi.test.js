@@ -0,0 +1,164 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  TurtlAPI,
+  TurtlAPIService,
+  TurtlMemoryTransport,
+  TurtlMockServer,
+  TurtlOpenAPI,
+  TurtlRequestModel,
+  TurtlResponseAdapter,
+} from "../Module/index.js";
+
+const petstore = {
+  openapi: "3.1.0",
+  info: { title: "Pets", version: "1.0.0" },
+  servers: [{ url: "https://api.example.com" }],
+  paths: {
+    "/pets": {
+      get: {
+        operationId: "listPets",
+        tags: ["pets"],
+        responses: { 200: { description: "The pets" } },
+      },
+    },
+  },
+};
+
+function petTransport(result) {
+  const transport = new TurtlMemoryTransport();
+  transport.on("GET", "/pets", () => result);
+  return transport;
+}
+
+test("the export uses the success status an endpoint declares", () => {
+  const api = new TurtlAPI({ host: "https://api.example.com" });
+  const service = new TurtlAPIService("todos", "/todos");
+  service.addModel("todo", TurtlRequestModel.createFactory({}));
+  service.addEndpoint("create", {
+    path: "",
+    method: "POST",
+    modelName: "todo",
+    mockResponseSuccess: TurtlMockServer.respond(201, "Created", { id: 1 }),
+  });
+  service.addEndpoint("remove", {
+    path: "/:id",
+    method: "DELETE",
+    modelName: "todo",
+    mockResponseSuccess: TurtlMockServer.respond(204, "Deleted"),
+  });
+  api.addService(service);
+
+  const { paths } = api.toOpenAPI();
+
+  assert.deepEqual(Object.keys(paths["/todos"].post.responses), ["201"]);
+  assert.deepEqual(Object.keys(paths["/todos/{id}"].delete.responses), ["204"]);
+  assert.equal(paths["/todos/{id}"].delete.responses["204"].content, undefined);
+});
+
+test("201 and 204 responses without examples survive a round trip", () => {
+  const api = TurtlAPI.fromOpenAPI({
+    openapi: "3.1.0",
+    info: { title: "Todos", version: "1.0.0" },
+    servers: [{ url: "https://api.example.com" }],
+    paths: {
+      "/todos": {
+        post: {
+          operationId: "create",
+          tags: ["todos"],
+          responses: { 201: { description: "Created" } },
+        },
+      },
+      "/todos/{id}": {
+        delete: {
+          operationId: "remove",
+          tags: ["todos"],
+          parameters: [
+            {
+              name: "id",
+              in: "path",
+              required: true,
+              schema: { type: "string" },
+            },
+          ],
+          responses: { 204: { description: "Deleted" } },
+        },
+      },
+    },
+  });
+
+  const { paths } = api.toOpenAPI();
+
+  assert.deepEqual(Object.keys(paths["/todos"].post.responses), ["201"]);
+  assert.deepEqual(Object.keys(paths["/todos/{id}"].delete.responses), ["204"]);
+  assert.equal(paths["/todos"].post.responses["201"].description, "Created");
+  assert.equal(
+    paths["/todos/{id}"].delete.responses["204"].description,
+    "Deleted"
+  );
+});
+
+test("the export keeps the success description of an imported response", () => {
+  const api = TurtlAPI.fromOpenAPI(petstore);
+  const service = new TurtlAPIService("todos", "/todos");
+  service.addEndpoint("list", { path: "", method: "GET" });
+  api.addService(service);
+
+  const { paths } = api.toOpenAPI();
+
+  assert.equal(
+    api.getService("pets").getEndpoint("listPets").responseDescription,
+    "The pets"
+  );
+  assert.equal(paths["/pets"].get.responses["200"].description, "The pets");
+  assert.equal(
+    paths["/todos"].get.responses["200"].description,
+    "Successful response"
+  );
+});
+
+test("an imported api reads plain REST responses", async () => {
+  const api = TurtlAPI.fromOpenAPI(petstore, {
+    transport: petTransport({ body: [{ name: "rex" }] }),
+  });
+
+  const response = await api.call("pets.listPets");
+
+  assert.equal(response.success, true);
+  assert.deepEqual(response.data, [{ name: "rex" }]);
+
+  const failed = await TurtlAPI.fromOpenAPI(petstore, {
+    transport: petTransport({ status: 404, body: { message: "No pets" } }),
+  }).call("pets.listPets");
+  assert.equal(failed.success, false);
+  assert.equal(failed.message, "No pets");
+});
+
+test("an imported api keeps the response adapter it is given", async () => {
+  const api = TurtlAPI.fromOpenAPI(petstore, {
+    transport: petTransport({
+      body: { success: true, message: "", data: [{ name: "rex" }] },
+    }),
+    responseAdapter: new TurtlResponseAdapter(),
+  });
+
+  const response = await api.call("pets.listPets");
+
+  assert.deepEqual(response.data, [{ name: "rex" }]);
+});
+
+test("apply reads REST responses for the imported endpoints only", async () => {
+  const transport = petTransport({ body: [{ name: "rex" }] });
+  transport.on("GET", "/account/me", () => ({
+    body: { success: true, message: "", data: { name: "me" } },
+  }));
+  const api = new TurtlAPI({ host: "https://api.example.com", transport });
+  const account = new TurtlAPIService("account", "/account");
+  account.addEndpoint("me", { path: "/me", method: "GET" });
+  api.addService(account);
+
+  TurtlOpenAPI.apply(api, petstore);
+
+  assert.deepEqual((await api.call("pets.listPets")).data, [{ name: "rex" }]);
+  assert.deepEqual((await api.call("account.me")).data, { name: "me" });
+});
@@ -0,0 +1,101 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  TurtlAPI,
+  TurtlAPIService,
+  TurtlMemoryTransport,
+  TurtlPath,
+  TurtlRequestModel,
+} from "../Module/index.js";
+
+function createApi(transport, endpoint = {}) {
+  const api = new TurtlAPI({ host: "https://api.example.com", transport });
+  const service = new TurtlAPIService("posts", "/tenants/:tenantId");
+  service.addModel(
+    "get",
+    TurtlRequestModel.createFactory({
+      tenantId: [],
+      id: [],
+      postId: [],
+      expand: [],
+    })
+  );
+  service.addEndpoint("get", {
+    path: "/users/:id/posts/{postId}",
+    method: "GET",
+    modelName: "get",
+    ...endpoint,
+  });
+  api.addService(service);
+  return api;
+}
+
+function ok() {
+  return { body: { success: true, message: "", data: {} } };
+}
+
+test("service and endpoint placeholders are filled from the model", async () => {
+  const transport = new TurtlMemoryTransport();
+  transport.on("GET", "/tenants/acme/users/5/posts/12", ok);
+  const api = createApi(transport);
+
+  const response = await api.call("posts.get", {
+    tenantId: "acme",
+    id: 5,
+    postId: 12,
+    expand: "author",
+  });
+
+  assert.equal(response.success, true);
+  assert.equal(
+    transport.requests[0].url,
+    "https://api.example.com/tenants/acme/users/5/posts/12?expand=author"
+  );
+});
+
+test("path values are url encoded", async () => {
+  const transport = new TurtlMemoryTransport();
+  transport.on("GET", "/tenants/a%2Fb%20c/users/1/posts/2", ok);
+  const api = createApi(transport);
+
+  const response = await api.call("posts.get", {
+    tenantId: "a/b c",
+    id: 1,
+    postId: 2,
+  });
+
+  assert.equal(response.success, true);
+});
+
+test("keepPathParams also sends the path fields in the query", async () => {
+  const transport = new TurtlMemoryTransport();
+  transport.on("GET", "/tenants/acme/users/5/posts/12", ok);
+  const api = createApi(transport, { keepPathParams: true });
+
+  await api.call("posts.get", { tenantId: "acme", id: 5, postId: 12 });
+
+  const query = new URL(transport.requests[0].url).searchParams;
+  assert.equal(query.get("tenantId"), "acme");
+  assert.equal(query.get("id"), "5");
+  assert.equal(query.get("postId"), "12");
+});
+
+test("a missing path parameter fails without sending the request", async () => {
+  const transport = new TurtlMemoryTransport();
+  const api = createApi(transport);
+
+  const response = await api.call("posts.get", { tenantId: "acme", id: 5 });
+
+  assert.equal(response.success, false);
+  assert.equal(response.message, "Missing value for path parameter 'postId'.");
+  assert.equal(transport.requests.length, 0);
+});
+
+test("TurtlPath lists and resolves placeholders", () => {
+  assert.deepEqual(TurtlPath.getParams("/a/:id/{slug}/:id"), ["id", "slug"]);
+  assert.deepEqual(TurtlPath.resolve("/a/:id/{slug}", { id: 1, slug: "" }), {
+    path: "/a/1/{slug}",
+    params: ["id"],
+    missing: ["slug"],
+  });
+});
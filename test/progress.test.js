@@ -0,0 +1,146 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  TurtlAPI,
+  TurtlAPIService,
+  TurtlFetchTransport,
+  TurtlMemoryTransport,
+  TurtlRequestModel,
+  TurtlTransport,
+} from "../Module/index.js";
+
+function createApi(options, endpoint = {}) {
+  const api = new TurtlAPI({ host: "https://api.example.com", ...options });
+  const service = new TurtlAPIService("files", "/files");
+  service.addModel("upload", TurtlRequestModel.createFactory({ name: [] }));
+  service.addEndpoint("upload", {
+    path: "/upload",
+    method: "POST",
+    modelName: "upload",
+    ...endpoint,
+  });
+  api.addService(service);
+  return api;
+}
+
+function collect() {
+  const events = [];
+  return { events, callback: (progress) => events.push(progress) };
+}
+
+test("the memory transport reports the full upload and download once", async () => {
+  const transport = new TurtlMemoryTransport();
+  transport.on("POST", "/files/upload", () => ({
+    body: '{"success":true,"message":"","data":{}}',
+  }));
+  const api = createApi({ transport });
+  const upload = collect();
+  const download = collect();
+
+  await api.call(
+    "files.upload",
+    { name: "abc" },
+    {
+      onUploadProgress: upload.callback,
+      onDownloadProgress: download.callback,
+    }
+  );
+
+  assert.deepEqual(upload.events, [{ loaded: 14, total: 14, percentage: 100 }]);
+  assert.deepEqual(download.events, [
+    { loaded: 39, total: 39, percentage: 100 },
+  ]);
+});
+
+test("mockProgress simulates progress in steps", async () => {
+  const api = createApi(
+    { mock: true },
+    { mockProgress: { steps: 4, interval: 1, uploadSize: 100 } }
+  );
+  const upload = collect();
+
+  await api.call(
+    "files.upload",
+    { name: "abc" },
+    { mockResult: true, onUploadProgress: upload.callback }
+  );
+
+  assert.deepEqual(
+    upload.events.map((event) => event.percentage),
+    [0, 25, 50, 75, 100]
+  );
+  assert.equal(upload.events.at(-1).loaded, 100);
+});
+
+test("without mockProgress mock mode reports progress at once", async () => {
+  const api = createApi({ mock: true });
+  const download = collect();
+
+  await api.call(
+    "files.upload",
+    {},
+    { mockResult: true, onDownloadProgress: download.callback }
+  );
+
+  assert.deepEqual(
+    download.events.map((event) => event.percentage),
+    [0, 100]
+  );
+});
+
+test("calls with progress callbacks are not deduplicated", async () => {
+  const transport = new TurtlMemoryTransport();
+  transport.on("GET", "/files/upload", async () => {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    return { body: { success: true, message: "", data: {} } };
+  });
+  const api = createApi({ transport }, { method: "GET" });
+  const options = { onDownloadProgress: () => {} };
+
+  await Promise.all([
+    api.call("files.upload", {}, options),
+    api.call("files.upload", {}, options),
+  ]);
+
+  assert.equal(transport.requests.length, 2);
+});
+
+test("the fetch transport counts the download while reading the body", async () => {
+  const body = JSON.stringify({ success: true, message: "", data: {} });
+  const transport = new TurtlFetchTransport({
+    fetch: async () =>
+      new Response(body, {
+        headers: {
+          "content-type": "application/json",
+          "content-length": String(body.length),
+        },
+      }),
+  });
+  const api = createApi({ transport });
+  const download = collect();
+
+  const response = await api.call(
+    "files.upload",
+    {},
+    { onDownloadProgress: download.callback }
+  );
+
+  assert.equal(response.success, true);
+  assert.equal(download.events.at(-1).loaded, body.length);
+  assert.equal(download.events.at(-1).percentage, 100);
+});
+
+test("reportProgress leaves out unknown totals and ignores throwing callbacks", () => {
+  const progress = collect();
+  TurtlTransport.reportProgress(progress.callback, 10);
+  TurtlTransport.reportProgress(progress.callback, 5, 20);
+  TurtlTransport.reportProgress(() => {
+    throw new Error("broken progress bar");
+  }, 1);
+  TurtlTransport.reportProgress(null, 1);
+
+  assert.deepEqual(progress.events, [
+    { loaded: 10, total: null, percentage: null },
+    { loaded: 5, total: 20, percentage: 25 },
+  ]);
+});
@@ -0,0 +1,172 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  TurtlAPI,
+  TurtlAPIService,
+  TurtlMemoryTransport,
+  TurtlQuery,
+  TurtlRequestModel,
+} from "../Module/index.js";
+
+function createApi(endpoint, schema = {}) {
+  const transport = new TurtlMemoryTransport();
+  transport.on("*", /^\/users/, async () => {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    return { body: { success: true, message: "", data: {} } };
+  });
+  const api = new TurtlAPI({ host: "https://api.example.com", transport });
+  const service = new TurtlAPIService("users", "/users");
+  service.addModel("user", TurtlRequestModel.createFactory(schema));
+  service.addEndpoint("update", {
+    path: "/:id",
+    method: "PUT",
+    modelName: "user",
+    ...endpoint,
+  });
+  api.addService(service);
+  return { api, transport };
+}
+
+const decode = (url) => decodeURIComponent(url.split("?")[1] ?? "");
+
+test("every query style writes arrays its own way", () => {
+  const styles = {
+    comma: "tags=a,b",
+    repeat: "tags=a&tags=b",
+    brackets: "tags[]=a&tags[]=b",
+    deepObject: "tags[0]=a&tags[1]=b",
+    pipe: "tags=a|b",
+    space: "tags=a b",
+  };
+  for (const [style, query] of Object.entries(styles)) {
+    assert.equal(
+      decodeURIComponent(
+        TurtlQuery.stringify({ tags: ["a", "b"] }, { style }).replace(
+          /\+/g,
+          " "
+        )
+      ),
+      query,
+      style
+    );
+  }
+});
+
+test("objects are nested, dates are ISO strings and empty values are left out", () => {
+  const query = TurtlQuery.stringify({
+    filter: { name: "x", tags: ["a"] },
+    items: [{ name: "y" }],
+    at: new Date(0),
+    page: undefined,
+    sort: null,
+    ids: [1, null, 2],
+  });
+
+  assert.equal(
+    decodeURIComponent(query),
+    "filter[name]=x&filter[tags]=a&items[0][name]=y&at=1970-01-01T00:00:00.000Z&ids=1,2"
+  );
+});
+
+test("a style per parameter overrides the style and unknown styles throw", () => {
+  assert.equal(
+    decodeURIComponent(
+      TurtlQuery.stringify(
+        { a: [1, 2], b: [1, 2] },
+        { style: "comma", styles: { b: "repeat" } }
+      )
+    ),
+    "a=1,2&b=1&b=2"
+  );
+  assert.throws(
+    () => TurtlQuery.stringify({ a: [1] }, { style: "semicolon" }),
+    /Unknown query style 'semicolon'/
+  );
+});
+
+test("append keeps the query string of the url", () => {
+  assert.equal(TurtlQuery.append("/a", ""), "/a");
+  assert.equal(TurtlQuery.append("/a", "b=1"), "/a?b=1");
+  assert.equal(TurtlQuery.append("/a?b=1", "c=2"), "/a?b=1&c=2");
+});
+
+test("fromOpenAPIStyle maps OpenAPI styles", () => {
+  assert.equal(TurtlQuery.fromOpenAPIStyle(), "repeat");
+  assert.equal(TurtlQuery.fromOpenAPIStyle("form", false), "comma");
+  assert.equal(TurtlQuery.fromOpenAPIStyle("pipeDelimited"), "pipe");
+  assert.equal(TurtlQuery.fromOpenAPIStyle("spaceDelimited", true), "repeat");
+  assert.equal(TurtlQuery.fromOpenAPIStyle("deepObject", true), "deepObject");
+});
+
+test("fields are sent in the location the endpoint declares", async () => {
+  const { api, transport } = createApi(
+    {
+      fieldLocations: {
+        dryRun: "query",
+        requestId: { in: "header", name: "X-Request-Id" },
+        tags: { in: "query", style: "repeat" },
+        roles: "header",
+      },
+    },
+    { id: [], dryRun: [], requestId: [], tags: [], roles: [], name: [] }
+  );
+
+  await api.call("users.update", {
+    id: 5,
+    dryRun: true,
+    requestId: "abc",
+    tags: ["a", "b"],
+    roles: ["admin", "dev"],
+    name: "Turtl",
+  });
+
+  const request = transport.requests[0];
+  assert.equal(request.url.split("?")[0], "https://api.example.com/users/5");
+  assert.equal(decode(request.url), "dryRun=true&tags=a&tags=b");
+  assert.equal(request.headers["X-Request-Id"], "abc");
+  assert.equal(request.headers.roles, "admin, dev");
+  assert.equal(request.body, '{"name":"Turtl"}');
+});
+
+test("GET sends fields in the query with the endpoint query style", async () => {
+  const { api, transport } = createApi(
+    { method: "GET", queryStyle: "brackets", fieldLocations: { q: "body" } },
+    { id: [], q: [], tags: [] }
+  );
+
+  await api.call("users.update", { id: 1, q: "turtl", tags: ["a", "b"] });
+
+  const request = transport.requests[0];
+  assert.equal(decode(request.url), "q=turtl&tags[]=a&tags[]=b");
+  assert.equal(request.body, null);
+});
+
+test("an unknown field location throws", async () => {
+  const { api, transport } = createApi(
+    { fieldLocations: { name: "cookie" } },
+    { id: [], name: [] }
+  );
+
+  await assert.rejects(
+    api.call("users.update", { id: 1, name: "x" }),
+    /Unknown location 'cookie' for field 'name'/
+  );
+  assert.equal(transport.requests.length, 0);
+});
+
+test("concurrent calls with other header fields are not shared", async () => {
+  const { api, transport } = createApi(
+    {
+      method: "GET",
+      fieldLocations: { tenant: { in: "header", name: "X-Tenant" } },
+    },
+    { id: [], tenant: [] }
+  );
+
+  await Promise.all([
+    api.call("users.update", { id: 1, tenant: "A" }),
+    api.call("users.update", { id: 1, tenant: "B" }),
+  ]);
+
+  assert.equal(transport.requests.length, 2);
+});
@@ -0,0 +1,130 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  TurtlAPI,
+  TurtlAPIService,
+  TurtlMemoryTransport,
+  TurtlRequestModel,
+  TurtlResponse,
+} from "../Module/index.js";
+
+test("response model data serializes as plain data", async () => {
+  const transport = new TurtlMemoryTransport();
+  transport.on("GET", "/users/5", {
+    body: {
+      success: true,
+      message: "",
+      data: { id: 5, team: { name: "Turtl" } },
+    },
+  });
+  const api = new TurtlAPI({ host: "https://api.example.com", transport });
+  api.addModel(
+    "team",
+    TurtlRequestModel.createFactory({ name: [{ rule: "required" }] })
+  );
+  api.addModel(
+    "user",
+    TurtlRequestModel.createFactory({
+      id: [{ rule: "required" }, { rule: "integer" }],
+      team: [{ rule: "model", options: { model: "team" } }],
+    })
+  );
+  const service = new TurtlAPIService("users", "/users");
+  service.addModel(
+    "get",
+    TurtlRequestModel.createFactory({ id: [{ rule: "required" }] })
+  );
+  service.addEndpoint("get", {
+    path: "/:id",
+    method: "GET",
+    modelName: "get",
+    responseModelName: "user",
+  });
+  api.addService(service);
+
+  const response = await api.call("users.get", { id: 5 });
+
+  assert.equal(response.success, true);
+  assert.deepEqual(JSON.parse(JSON.stringify(response.data)), {
+    id: 5,
+    team: { name: "Turtl" },
+  });
+});
+
+function createUserApi(body, team) {
+  const transport = new TurtlMemoryTransport();
+  transport.on("GET", "/users", { body });
+  const api = new TurtlAPI({ host: "https://api.example.com", transport });
+  api.addModel("team", TurtlRequestModel.createFactory(team));
+  api.addModel(
+    "user",
+    TurtlRequestModel.createFactory({
+      team: [{ rule: "model", options: { model: "team" } }],
+    })
+  );
+  const service = new TurtlAPIService("users", "/users");
+  service.addEndpoint("list", {
+    path: "",
+    method: "GET",
+    responseModelName: "user",
+  });
+  api.addService(service);
+  return api;
+}
+
+test("a nested response model is validated once", async () => {
+  let runs = 0;
+  const api = createUserApi(
+    { success: true, message: "", data: { team: { name: "Turtl" } } },
+    { name: [{ rule: "counted" }] }
+  );
+  api.registerValidationRule("counted", async () => {
+    runs++;
+    return TurtlResponse.Success();
+  });
+
+  const response = await api.call("users.list");
+
+  assert.equal(response.success, true);
+  assert.equal(response.data.team.isValid, true);
+  assert.equal(runs, 1);
+});
+
+test("an invalid nested response model fails the response", async () => {
+  const api = createUserApi(
+    { success: true, message: "", data: { team: {} } },
+    { name: [{ rule: "required" }] }
+  );
+
+  const response = await api.call("users.list");
+
+  assert.equal(response.success, false);
+  assert.equal(response.errorType, TurtlResponse.ErrorType.PARSE);
+  assert.deepEqual(Object.keys(response.data.errors), ["team.name"]);
+});
+
+test("response data that is not an object fails the model", async () => {
+  for (const data of ["oops", 5, true]) {
+    const api = createUserApi(
+      { success: true, message: "", data },
+      { name: [] }
+    );
+
+    const response = await api.call("users.list");
+
+    assert.equal(response.success, false);
+    assert.equal(response.errorType, TurtlResponse.ErrorType.PARSE);
+    assert.deepEqual(response.data.errors, {
+      _model: ["Value must be an object."],
+    });
+  }
+
+  const list = await createUserApi(
+    { success: true, message: "", data: [{ team: { name: "a" } }, 5] },
+    { name: [] }
+  ).call("users.list");
+  assert.equal(list.success, false);
+  assert.deepEqual(list.data.errors, {
+    "[1]._model": ["Value must be an object."],
+  });
+});
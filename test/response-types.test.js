@@ -0,0 +1,110 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  TurtlAPI,
+  TurtlAPIService,
+  TurtlMemoryTransport,
+  TurtlResponse,
+} from "../Module/index.js";
+
+function createApi(transport, responseType) {
+  const api = new TurtlAPI({ host: "https://api.example.com", transport });
+  const service = new TurtlAPIService("files", "/files");
+  service.addEndpoint("export", {
+    path: "/export",
+    method: "GET",
+    responseType,
+  });
+  api.addService(service);
+  return api;
+}
+
+function respondWith(result) {
+  const transport = new TurtlMemoryTransport();
+  transport.on("GET", "/files/export", () => result);
+  return transport;
+}
+
+const csv = {
+  headers: {
+    "Content-Type": "text/csv",
+    "Content-Disposition": 'attachment; filename="export.csv"',
+  },
+  body: "id,name\n1,rex\n",
+};
+
+test("a text endpoint puts the body in data", async () => {
+  const api = createApi(respondWith(csv), "text");
+
+  const response = await api.call("files.export");
+
+  assert.equal(response.success, true);
+  assert.equal(response.data, "id,name\n1,rex\n");
+  assert.equal(response.getFilename(), "export.csv");
+});
+
+test("blob and arraybuffer endpoints read the body as binary", async () => {
+  const blob = await createApi(respondWith(csv), "blob").call("files.export");
+  assert.ok(blob.data instanceof Blob);
+  assert.equal(blob.data.type, "text/csv");
+  assert.equal(await blob.data.text(), "id,name\n1,rex\n");
+
+  const buffer = await createApi(respondWith(csv), "arraybuffer").call(
+    "files.export"
+  );
+  assert.ok(buffer.data instanceof ArrayBuffer);
+  assert.equal(buffer.data.byteLength, 14);
+});
+
+test("a stream endpoint gives the readable body", async () => {
+  const api = createApi(respondWith(csv), "stream");
+
+  const response = await api.call("files.export");
+
+  assert.ok(response.data instanceof ReadableStream);
+  assert.equal(await new Response(response.data).text(), "id,name\n1,rex\n");
+});
+
+test("a refused status on a file endpoint is still read as JSON", async () => {
+  const api = createApi(
+    respondWith({
+      status: 404,
+      body: { success: false, message: "Export not found" },
+    }),
+    "blob"
+  );
+
+  const response = await api.call("files.export");
+
+  assert.equal(response.success, false);
+  assert.equal(response.message, "Export not found");
+  assert.equal(response.errorType, TurtlResponse.ErrorType.CLIENT);
+});
+
+test("parseFilename reads plain, quoted and encoded file names", () => {
+  assert.equal(
+    TurtlResponse.parseFilename('attachment; filename="report.pdf"'),
+    "report.pdf"
+  );
+  assert.equal(
+    TurtlResponse.parseFilename("attachment; filename=report.pdf; size=12"),
+    "report.pdf"
+  );
+  assert.equal(
+    TurtlResponse.parseFilename('attachment; filename="say \\"hi\\".txt"'),
+    'say "hi".txt'
+  );
+  assert.equal(
+    TurtlResponse.parseFilename(
+      "attachment; filename=\"naive.txt\"; filename*=UTF-8''na%C3%AFve.txt"
+    ),
+    "naïve.txt"
+  );
+  assert.equal(
+    TurtlResponse.parseFilename("attachment; filename*=UTF-8''%E0%A4%A"),
+    null
+  );
+  assert.equal(TurtlResponse.parseFilename("inline"), null);
+  assert.equal(TurtlResponse.parseFilename(undefined), null);
+  assert.equal(new TurtlResponse(true).getFilename(), null);
+});
@@ -0,0 +1,143 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  TurtlAPI,
+  TurtlAPIService,
+  TurtlMemoryTransport,
+  TurtlRetryPolicy,
+} from "../Module/index.js";
+
+const fast = { baseDelay: 1, jitter: "none" };
+
+function createApi(transport, retry, endpoint = {}) {
+  const api = new TurtlAPI({
+    host: "https://api.example.com",
+    transport,
+    retry,
+  });
+  const service = new TurtlAPIService("todos", "/todos");
+  service.addEndpoint("list", { path: "/list", method: "GET", ...endpoint });
+  api.addService(service);
+  return api;
+}
+
+function failingTimes(count, failure = { status: 503 }) {
+  let calls = 0;
+  return () =>
+    ++calls <= count
+      ? failure
+      : { body: { success: true, message: "", data: { calls } } };
+}
+
+test("a retried status is sent again until it succeeds", async () => {
+  const transport = new TurtlMemoryTransport();
+  transport.on("*", "/todos/list", failingTimes(2));
+  const api = createApi(transport, { ...fast, maxAttempts: 3 });
+
+  const response = await api.call("todos.list");
+
+  assert.equal(response.success, true);
+  assert.equal(response.attempts, 3);
+  assert.equal(transport.requests.length, 3);
+});
+
+test("retries stop at maxAttempts", async () => {
+  const transport = new TurtlMemoryTransport();
+  transport.on("*", "/todos/list", failingTimes(5));
+  const api = createApi(transport, { ...fast, maxAttempts: 2 });
+
+  const response = await api.call("todos.list");
+
+  assert.equal(response.success, false);
+  assert.equal(response.attempts, 2);
+});
+
+test("statuses outside the retry list are sent once", async () => {
+  const transport = new TurtlMemoryTransport();
+  transport.on("*", "/todos/list", failingTimes(1, { status: 400 }));
+  const api = createApi(transport, fast);
+
+  const response = await api.call("todos.list");
+
+  assert.equal(response.attempts, 1);
+});
+
+test("POST is only retried when the endpoint opts in", async () => {
+  const transport = new TurtlMemoryTransport();
+  transport.on("*", "/todos/list", failingTimes(1));
+  const api = createApi(transport, fast, { method: "POST" });
+  assert.equal((await api.call("todos.list")).attempts, 1);
+
+  transport.on("*", "/todos/list", failingTimes(1));
+  const optedIn = createApi(transport, fast, {
+    method: "POST",
+    retry: { methods: ["POST"] },
+  });
+  assert.equal((await optedIn.call("todos.list")).attempts, 2);
+});
+
+test("retry false on the endpoint turns off the api retries", async () => {
+  const transport = new TurtlMemoryTransport();
+  transport.on("*", "/todos/list", failingTimes(5));
+  const api = createApi(
+    transport,
+    { ...fast, maxAttempts: 3 },
+    { retry: false }
+  );
+
+  assert.equal((await api.call("todos.list")).attempts, 1);
+});
+
+test("the backoff grows per attempt and is capped by maxDelay", () => {
+  const exponential = new TurtlRetryPolicy({ jitter: "none" });
+  assert.deepEqual(
+    [1, 2, 3].map((attempt) => exponential.getDelay(attempt)),
+    [300, 600, 1200]
+  );
+  const linear = new TurtlRetryPolicy({ backoff: "linear", jitter: "none" });
+  assert.equal(linear.getDelay(3), 900);
+  const fixed = new TurtlRetryPolicy({ backoff: "fixed", jitter: "none" });
+  assert.equal(fixed.getDelay(3), 300);
+  const capped = new TurtlRetryPolicy({ jitter: "none", maxDelay: 500 });
+  assert.equal(capped.getDelay(5), 500);
+  const custom = new TurtlRetryPolicy({
+    backoff: (attempt) => attempt * 7,
+    jitter: "none",
+  });
+  assert.equal(custom.getDelay(2), 14);
+});
+
+test("Retry-After in seconds or as a date sets the delay", () => {
+  const policy = new TurtlRetryPolicy({ jitter: "none", maxDelay: 60000 });
+  assert.equal(policy.getDelay(1, { headers: { "retry-after": "2" } }), 2000);
+
+  const date = new Date(Date.now() + 5000).toUTCString();
+  const delay = policy.getDelay(1, { headers: { "retry-after": date } });
+  assert.ok(delay > 3000 && delay <= 5000);
+
+  const capped = new TurtlRetryPolicy({ maxDelay: 1000 });
+  assert.equal(capped.getDelay(1, { headers: { "retry-after": "30" } }), 1000);
+
+  const ignored = new TurtlRetryPolicy({
+    jitter: "none",
+    respectRetryAfter: false,
+  });
+  assert.equal(ignored.getDelay(1, { headers: { "retry-after": "30" } }), 300);
+});
+
+test("the Retry-After of a 429 is waited for before the next attempt", async () => {
+  const transport = new TurtlMemoryTransport();
+  transport.on(
+    "*",
+    "/todos/list",
+    failingTimes(1, { status: 429, headers: { "Retry-After": "0.05" } })
+  );
+  const api = createApi(transport, { baseDelay: 10000, maxAttempts: 2 });
+
+  const started = Date.now();
+  const response = await api.call("todos.list");
+
+  assert.equal(response.success, true);
+  assert.ok(Date.now() - started >= 40);
+  assert.ok(Date.now() - started < 5000);
+});
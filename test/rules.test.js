@@ -0,0 +1,156 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { TurtlAPI, TurtlRequestModel } from "../Module/index.js";
+
+const api = new TurtlAPI({ host: "https://api.example.com" });
+
+function validate(schema, data) {
+  return TurtlRequestModel.createFactory(schema).create(data, api)
+    .validateResult;
+}
+
+// Message of a single rule on the `value` field, null when it passes
+function check(rule, options, value, data = {}) {
+  const result = validate({ value: [{ rule, options }] }, { ...data, value });
+  return result.success ? null : result.message;
+}
+
+class Point {}
+
+const cases = [
+  ["required", {}, undefined, "Field is required."],
+  ["required", {}, "", "Field is required."],
+  ["required", {}, 0, null],
+  ["email", {}, "user@", "Must be a valid email."],
+  ["email", {}, "user@example.com", null],
+  ["minLength", { length: 3 }, "ab", "Minimum length is 3."],
+  ["minLength", { length: 3 }, "abc", null],
+  ["maxLength", { length: 2 }, "abc", "Maximum length is 2."],
+  ["maxLength", { length: 2 }, [1, 2, 3], "Maximum length is 2."],
+  ["maxLength", { length: 2 }, "", null],
+  [
+    "typeOf",
+    { type: "string" },
+    5,
+    "Value must be of type 'string', but got 'number'.",
+  ],
+  ["typeOf", { type: "string" }, "5", null],
+  ["arrayOf", { type: "string" }, "a", "Value must be an array."],
+  [
+    "arrayOf",
+    { type: "string" },
+    ["a", 1],
+    "Array item must be of type 'string', but got 'number'.",
+  ],
+  [
+    "arrayOf",
+    { type: Point, isTypeClass: true },
+    [new Point(), {}],
+    "Array item must be an instance of 'Point', but got 'object'.",
+  ],
+  ["arrayOf", { type: "number" }, [1, 2], null],
+  [
+    "instanceOf",
+    { type: Point },
+    {},
+    "Value must be an instance of 'Point', but got 'object'.",
+  ],
+  ["instanceOf", { type: Point }, new Point(), null],
+  ["min", { min: 18 }, 17, "Must be at least 18."],
+  ["min", { min: 18 }, "18", null],
+  ["min", { min: 18 }, "abc", "Must be a number."],
+  ["min", { min: 18 }, "", null],
+  ["max", { max: 99 }, 100, "Must be at most 99."],
+  ["max", { max: 99 }, 99, null],
+  ["between", { min: 1, max: 10 }, 11, "Must be between 1 and 10."],
+  ["between", { min: 1, max: 10 }, "x", "Must be a number."],
+  ["between", { min: 1, max: 10 }, 5, null],
+  ["pattern", { pattern: /^[A-Z]{2}\d{4}$/ }, "AB12", "Invalid format."],
+  ["pattern", { pattern: "^[a-z]+$", flags: "i" }, "ABC", null],
+  [
+    "oneOf",
+    { values: ["admin", "editor"] },
+    "owner",
+    "Must be one of: admin, editor.",
+  ],
+  ["oneOf", { values: ["admin", "editor"] }, "admin", null],
+  ["url", {}, "not a url", "Must be a valid URL."],
+  ["url", {}, "ftp://example.com", "Must be a valid URL."],
+  ["url", { protocols: ["ftp:"] }, "ftp://example.com", null],
+  ["uuid", {}, "1234", "Must be a valid UUID."],
+  ["uuid", {}, "3f2504e0-4f89-41d3-9a0c-0305e82c3301", null],
+  ["integer", {}, "4.5", "Must be a whole number."],
+  ["integer", {}, "42", null],
+  ["date", {}, "not a date", "Must be a valid date."],
+  ["date", {}, "2024-02-29", null],
+  ["dateRange", { min: "2024-01-01" }, "nope", "Must be a valid date."],
+  [
+    "dateRange",
+    { min: "2024-01-01" },
+    "2023-12-31",
+    "Must be on or after 2024-01-01.",
+  ],
+  [
+    "dateRange",
+    { max: "2024-12-31" },
+    "2025-01-01",
+    "Must be on or before 2024-12-31.",
+  ],
+  ["dateRange", { min: "2024-01-01", max: "2024-12-31" }, "2024-06-01", null],
+  ["phone", {}, "12-34", "Must be a valid phone number."],
+  ["phone", {}, "+31 (0)20 123 4567", null],
+];
+
+for (const [rule, options, value, expected] of cases) {
+  test(`${rule} ${JSON.stringify(options)} with ${JSON.stringify(
+    value
+  )}`, () => {
+    assert.equal(check(rule, options, value), expected);
+  });
+}
+
+test("sameAs compares with another field", () => {
+  assert.equal(
+    check("sameAs", { field: "password" }, "b", { password: "a" }),
+    "Must match 'password'."
+  );
+  assert.equal(
+    check("sameAs", { field: "password" }, "a", { password: "a" }),
+    null
+  );
+});
+
+test("every built-in rule is listed", () => {
+  const rules = api.listValidationRules();
+  for (const [rule] of cases) {
+    assert.ok(rules.includes(rule), rule);
+  }
+  assert.ok(rules.includes("sameAs"));
+});
+
+test("placeholders are filled from the options and the rule context", () => {
+  const message = check(
+    "minLength",
+    {
+      length: 8,
+      errors: ["{field} needs {length} characters, got '{value}'."],
+    },
+    "short"
+  );
+
+  assert.equal(message, "value needs 8 characters, got 'short'.");
+});
+
+test("an empty override keeps the default message", () => {
+  const options = { min: 1, max: 10, errors: ["", "{value} is no number."] };
+
+  assert.equal(check("between", options, 20), "Must be between 1 and 10.");
+  assert.equal(check("between", options, "x"), "x is no number.");
+});
+
+test("unknown placeholders are left as they are", () => {
+  assert.equal(
+    TurtlRequestModel.formatMessage("{missing} and {length}", { length: 2 }),
+    "{missing} and 2"
+  );
+});
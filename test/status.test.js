@@ -0,0 +1,155 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  TurtlAPI,
+  TurtlAPIService,
+  TurtlMemoryTransport,
+  TurtlRequestModel,
+  TurtlResponse,
+  TurtlTransport,
+} from "../Module/index.js";
+
+const { ErrorType } = TurtlResponse;
+
+function createApi(transport, endpoint = {}) {
+  const api = new TurtlAPI({ host: "https://api.example.com", transport });
+  const service = new TurtlAPIService("account", "/account");
+  service.addModel(
+    "login",
+    TurtlRequestModel.createFactory({ email: [{ rule: "required" }] })
+  );
+  service.addEndpoint("login", {
+    path: "/login",
+    method: "POST",
+    modelName: "login",
+    ...endpoint,
+  });
+  api.addService(service);
+  return api;
+}
+
+function respondWith(result) {
+  const transport = new TurtlMemoryTransport();
+  transport.on("POST", "/account/login", () => result);
+  return transport;
+}
+
+const login = { email: "a@b.c" };
+
+test("a success keeps the status, headers and raw body", async () => {
+  const api = createApi(
+    respondWith({
+      status: 201,
+      headers: { "X-Request-Id": "abc" },
+      body: { success: true, message: "Created", data: { id: 1 } },
+    })
+  );
+
+  const response = await api.call("account.login", login);
+
+  assert.equal(response.success, true);
+  assert.equal(response.status, 201);
+  assert.equal(response.headers["x-request-id"], "abc");
+  assert.deepEqual(JSON.parse(response.body).data, { id: 1 });
+  assert.equal(response.errorType, null);
+});
+
+test("a status outside 2xx fails, even when the body says success", async () => {
+  const api = createApi(
+    respondWith({
+      status: 500,
+      body: { success: true, message: "Database down", data: {} },
+    })
+  );
+
+  const response = await api.call("account.login", login);
+
+  assert.equal(response.success, false);
+  assert.equal(response.message, "Database down");
+  assert.equal(response.status, 500);
+  assert.equal(response.errorType, ErrorType.SERVER);
+});
+
+test("a failed status without a message gets a generic one", async () => {
+  const api = createApi(respondWith({ status: 404, body: "" }));
+
+  const response = await api.call("account.login", login);
+
+  assert.equal(response.message, "Request failed with status 404.");
+  assert.equal(response.errorType, ErrorType.CLIENT);
+});
+
+test("401 and 403 are auth errors", async () => {
+  for (const status of [401, 403]) {
+    const api = createApi(
+      respondWith({ status, body: { success: false, message: "No" } })
+    );
+    const response = await api.call("account.login", login);
+    assert.equal(response.errorType, ErrorType.AUTH);
+  }
+});
+
+test("a 2xx body with success false keeps errorType null", async () => {
+  const api = createApi(
+    respondWith({ body: { success: false, message: "Wrong password" } })
+  );
+
+  const response = await api.call("account.login", login);
+
+  assert.equal(response.success, false);
+  assert.equal(response.status, 200);
+  assert.equal(response.errorType, null);
+});
+
+test("a body that is not JSON is a parse error", async () => {
+  const api = createApi(respondWith({ body: "<html>" }));
+
+  const response = await api.call("account.login", login);
+
+  assert.equal(response.errorType, ErrorType.PARSE);
+  assert.equal(response.body, "<html>");
+});
+
+test("validateStatus decides which statuses are accepted", async () => {
+  const result = {
+    status: 422,
+    body: { success: false, message: "Email taken", data: { field: "email" } },
+  };
+  const custom = createApi(respondWith(result), {
+    validateStatus: (status) => status < 500,
+  });
+  const response = await custom.call("account.login", login);
+  assert.equal(response.status, 422);
+  assert.equal(response.errorType, null);
+  assert.deepEqual(response.data, { field: "email" });
+
+  const legacy = createApi(
+    respondWith({ status: 500, body: { success: true, message: "Ok" } }),
+    { validateStatus: false }
+  );
+  assert.equal((await legacy.call("account.login", login)).success, true);
+});
+
+test("failures before or without a response have their own error type", async () => {
+  const api = createApi(respondWith({}));
+  const invalid = await api.call("account.login", {});
+  assert.equal(invalid.errorType, ErrorType.VALIDATION);
+  assert.equal(invalid.status, null);
+
+  const unknown = await api.call("account.nothing", login);
+  assert.equal(unknown.errorType, ErrorType.CONFIG);
+
+  const offline = createApi({
+    send: async () => TurtlTransport.createResponse({ error: "network" }),
+  });
+  const response = await offline.call("account.login", login);
+  assert.equal(response.errorType, ErrorType.NETWORK);
+  assert.equal(response.status, null);
+});
+
+test("getErrorTypeForStatus maps statuses to error types", () => {
+  assert.equal(TurtlResponse.getErrorTypeForStatus(401), ErrorType.AUTH);
+  assert.equal(TurtlResponse.getErrorTypeForStatus(403), ErrorType.AUTH);
+  assert.equal(TurtlResponse.getErrorTypeForStatus(409), ErrorType.CLIENT);
+  assert.equal(TurtlResponse.getErrorTypeForStatus(502), ErrorType.SERVER);
+});
@@ -0,0 +1,174 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import { mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+
+const bin = fileURLToPath(new URL("../bin/turtl-types.js", import.meta.url));
+const index = pathToFileURL(
+  fileURLToPath(new URL("../Module/index.js", import.meta.url))
+).href;
+
+const definition = {
+  version: 1,
+  api: { host: "https://api.example.com" },
+  models: {},
+  services: {
+    account: {
+      basePath: "/account",
+      models: {
+        login: {
+          schema: {
+            email: [{ rule: "required" }, { rule: "email" }],
+            remember: [{ rule: "typeOf", options: { type: "boolean" } }],
+            tags: [{ rule: "arrayOf", options: { type: "string" } }],
+            role: [{ rule: "oneOf", options: { values: ["admin", "user"] } }],
+          },
+        },
+      },
+      endpoints: {
+        login: { path: "/login", modelName: "login" },
+        export: { path: "/export", method: "GET", responseType: "blob" },
+      },
+    },
+  },
+};
+
+function run(args, cwd) {
+  return new Promise((resolve) => {
+    execFile(
+      process.execPath,
+      [bin, ...args],
+      { cwd, timeout: 30000 },
+      (error, stdout, stderr) =>
+        resolve({ code: error ? error.code : 0, stdout, stderr })
+    );
+  });
+}
+
+async function withDir(callback) {
+  const dir = await mkdtemp(join(tmpdir(), "turtl-types-"));
+  try {
+    await callback(dir);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+test("turtl-types prints a typed call per endpoint of a definition", async () => {
+  await withDir(async (dir) => {
+    await writeFile(join(dir, "api.json"), JSON.stringify(definition));
+
+    const { code, stdout } = await run(["api.json"], dir);
+
+    assert.equal(code, 0);
+    assert.match(stdout, /^\/\/ Generated by turtl-types, do not edit\./m);
+    assert.match(
+      stdout,
+      /import type \{ TurtlAPI, TurtlRequestModel, TurtlResponse \} from "turtl-js-api";/
+    );
+    assert.ok(
+      stdout.includes(
+        [
+          "export interface AccountLoginModel {",
+          "  email: string;",
+          "  remember?: boolean;",
+          "  tags?: string[];",
+          '  role?: "admin" | "user";',
+          "}",
+        ].join("\n")
+      )
+    );
+    assert.ok(
+      stdout.includes(
+        '"account.login": { request: AccountLoginModel; response: unknown };'
+      )
+    );
+    assert.ok(
+      stdout.includes(
+        '"account.export": { request: EmptyModel; response: Blob };'
+      )
+    );
+    assert.match(stdout, /export interface TypedTurtlAPI extends Omit/);
+    assert.match(
+      stdout,
+      /call\(fullName: "account\.login", modelOrData: AccountLoginModel \| TurtlRequestModel,/
+    );
+    assert.match(
+      stdout,
+      /call\(fullName: "account\.export", modelOrData\?: EmptyModel/
+    );
+  });
+});
+
+test("turtl-types reads the api export of a module and writes to a file", async () => {
+  await withDir(async (dir) => {
+    await writeFile(
+      join(dir, "api.mjs"),
+      `import { TurtlAPI, TurtlAPIService, TurtlRequestModel } from ${JSON.stringify(
+        index
+      )};
+export const api = new TurtlAPI({ host: "https://api.example.com" });
+const users = new TurtlAPIService("users", "/users");
+users.addModel("find", TurtlRequestModel.createFactory({ id: [{ rule: "required" }, { rule: "integer" }] }));
+users.addModel("user", TurtlRequestModel.createFactory({ name: [{ rule: "required" }, { rule: "minLength", options: { length: 1 } }] }));
+users.addEndpoint("find", { path: "/:id", method: "GET", modelName: "find", responseModelName: "user" });
+api.addService(users);
+`
+    );
+
+    const { code, stdout } = await run(
+      [
+        "api.mjs",
+        "--out",
+        "api-types.d.ts",
+        "--type-name",
+        "UsersAPI",
+        "--import-from",
+        "../turtl",
+      ],
+      dir
+    );
+
+    assert.equal(code, 0);
+    assert.equal(stdout, "");
+    const output = await readFile(join(dir, "api-types.d.ts"), "utf8");
+    assert.match(output, /from "\.\.\/turtl";/);
+    assert.match(output, /export interface UsersAPI extends Omit/);
+    assert.match(output, /export interface UsersFindModel \{\n {2}id: number;/);
+    assert.match(
+      output,
+      /export interface UsersUserModel \{\n {2}name: string;/
+    );
+    assert.ok(
+      output.includes(
+        '"users.find": { request: UsersFindModel; response: UsersUserModel };'
+      )
+    );
+  });
+});
+
+test("turtl-types explains wrong arguments", async () => {
+  await withDir(async (dir) => {
+    const help = await run(["--help"], dir);
+    assert.equal(help.code, 0);
+    assert.match(help.stdout, /^Usage: turtl-types <source> \[options\]/);
+
+    const missing = await run([], dir);
+    assert.equal(missing.code, 1);
+
+    const unknown = await run(["api.json", "--watch"], dir);
+    assert.equal(unknown.code, 1);
+    assert.equal(unknown.stderr.trim(), "turtl-types: Unknown option --watch.");
+
+    await writeFile(join(dir, "empty.mjs"), "export const other = 1;\n");
+    const noExport = await run(["empty.mjs"], dir);
+    assert.equal(noExport.code, 1);
+    assert.equal(
+      noExport.stderr.trim(),
+      "turtl-types: empty.mjs has no default or 'api' export."
+    );
+  });
+});
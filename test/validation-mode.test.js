@@ -0,0 +1,140 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  TurtlAPI,
+  TurtlAPIService,
+  TurtlRequestModel,
+  TurtlResponse,
+} from "../Module/index.js";
+
+function createApi(options = {}, customValidator = null, modelOptions = {}) {
+  const api = new TurtlAPI({ host: "https://api.example.com", ...options });
+  api.registerValidationRule("filled", (value) =>
+    value ? TurtlResponse.Success() : TurtlResponse.Error("Is empty.")
+  );
+  api.registerValidationRule("short", (value) =>
+    String(value ?? "").length >= 8
+      ? TurtlResponse.Success()
+      : TurtlResponse.Error("Is too short.")
+  );
+  api.registerValidationRule("hasAt", (value) =>
+    String(value ?? "").includes("@")
+      ? TurtlResponse.Success()
+      : TurtlResponse.Error("Has no @.")
+  );
+  const service = new TurtlAPIService("account", "/account");
+  service.addModel(
+    "register",
+    TurtlRequestModel.createFactory(
+      {
+        email: [{ rule: "filled" }, { rule: "hasAt" }],
+        password: [{ rule: "filled", bail: true }, { rule: "short" }],
+      },
+      customValidator,
+      modelOptions
+    )
+  );
+  service.addEndpoint("register", {
+    path: "/register",
+    method: "POST",
+    modelName: "register",
+  });
+  api.addService(service);
+  return api;
+}
+
+test("the first mode stops at the first failing rule", () => {
+  const api = createApi();
+
+  const request = api.createRequest("account.register", { email: "" });
+
+  assert.equal(request.validateResult.success, false);
+  assert.equal(request.validateResult.message, "Is empty.");
+  assert.equal(request.validateResult.data?.errors, undefined);
+});
+
+test("the all mode collects every error per field", () => {
+  const api = createApi({ validationMode: "all" });
+
+  const request = api.createRequest("account.register", {
+    email: "",
+    password: "123",
+  });
+
+  assert.equal(request.validateResult.success, false);
+  assert.equal(request.validateResult.message, "Is empty.");
+  assert.deepEqual(request.validateResult.data.errors, {
+    email: ["Is empty.", "Has no @."],
+    password: ["Is too short."],
+  });
+  assert.deepEqual(request.validateResult.data.errorList, [
+    { field: "email", message: "Is empty." },
+    { field: "email", message: "Has no @." },
+    { field: "password", message: "Is too short." },
+  ]);
+});
+
+test("bail skips the remaining rules of a field", () => {
+  const api = createApi({ validationMode: "all" });
+
+  const request = api.createRequest("account.register", {
+    email: "a@b.c",
+    password: "",
+  });
+
+  assert.deepEqual(request.validateResult.data.errors, {
+    password: ["Is empty."],
+  });
+});
+
+test("the model option overrides the api mode", () => {
+  const api = createApi({}, null, { validationMode: "all" });
+
+  const request = api.createRequest("account.register", { email: "" });
+
+  assert.deepEqual(Object.keys(request.validateResult.data.errors), [
+    "email",
+    "password",
+  ]);
+});
+
+test("custom validator errors are merged per field or under _model", () => {
+  const perField = createApi(
+    { validationMode: "all" },
+    () =>
+      new TurtlResponse(false, "Taken.", {
+        errors: { email: "Already taken." },
+      })
+  );
+  const request = perField.createRequest("account.register", {
+    email: "a@b.c",
+    password: "12",
+  });
+  assert.deepEqual(request.validateResult.data.errors, {
+    password: ["Is too short."],
+    email: ["Already taken."],
+  });
+
+  const wholeModel = createApi({ validationMode: "all" }, () =>
+    TurtlResponse.Error("Try again later.")
+  );
+  const other = wholeModel.createRequest("account.register", {
+    email: "a@b.c",
+    password: "12345678",
+  });
+  assert.equal(other.validateResult.message, "Try again later.");
+  assert.deepEqual(other.validateResult.data.errors, {
+    _model: ["Try again later."],
+  });
+});
+
+test("a valid model has no errors in the all mode", () => {
+  const api = createApi({ validationMode: "all" });
+
+  const request = api.createRequest("account.register", {
+    email: "a@b.c",
+    password: "12345678",
+  });
+
+  assert.equal(request.validateResult.success, true);
+});
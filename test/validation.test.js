@@ -0,0 +1,93 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  TurtlAPI,
+  TurtlAPIService,
+  TurtlMemoryTransport,
+  TurtlRequestModel,
+  TurtlResponse,
+} from "../Module/index.js";
+
+function createApi(rule) {
+  const transport = new TurtlMemoryTransport();
+  transport.on("POST", "/account/register", {
+    body: { success: true, message: "", data: {} },
+  });
+  const api = new TurtlAPI({ host: "https://api.example.com", transport });
+  api.registerValidationRule("available", rule);
+  const service = new TurtlAPIService("account", "/account");
+  service.addModel(
+    "register",
+    TurtlRequestModel.createFactory({ name: [{ rule: "available" }] })
+  );
+  service.addEndpoint("register", {
+    path: "/register",
+    method: "POST",
+    modelName: "register",
+  });
+  api.addService(service);
+  return { api, transport };
+}
+
+test("async rules run once per createRequest and call", async () => {
+  let runs = 0;
+  const { api } = createApi(async () => {
+    runs++;
+    return TurtlResponse.Success();
+  });
+  const request = api.createRequest("account.register", { name: "turtl" });
+  assert.equal(request.isPending, true);
+  const response = await api.call("account.register", request);
+  assert.equal(response.success, true);
+  assert.equal(runs, 1);
+});
+
+test("a dropped async rule that rejects on abort is handled", async () => {
+  const rejections = [];
+  const onRejection = (reason) => rejections.push(reason);
+  process.on("unhandledRejection", onRejection);
+  try {
+    const { api } = createApi(
+      (value, instance, options, { signal }) =>
+        new Promise((resolve, reject) => {
+          signal?.addEventListener("abort", () => reject(signal.reason));
+          setTimeout(() => resolve(TurtlResponse.Success()), 10);
+        })
+    );
+    api.createRequest("account.register", { name: "turtl" });
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    assert.deepEqual(rejections, []);
+  } finally {
+    process.off("unhandledRejection", onRejection);
+  }
+});
+
+test("call resolves aborted when an async rule rejects on abort", async () => {
+  const { api, transport } = createApi(
+    async (value, instance, options, { signal }) =>
+      new Promise((resolve, reject) => {
+        signal?.addEventListener("abort", () => reject(signal.reason));
+      })
+  );
+  const controller = new AbortController();
+  const pending = api.call(
+    "account.register",
+    { name: "turtl" },
+    { signal: controller.signal }
+  );
+  controller.abort();
+  const response = await pending;
+  assert.equal(response.aborted, true);
+  assert.equal(transport.requests.length, 0);
+});
+
+test("a rule that throws fails its field", async () => {
+  const { api, transport } = createApi(async () => {
+    throw new Error("lookup down");
+  });
+  const response = await api.call("account.register", { name: "turtl" });
+  assert.equal(response.success, false);
+  assert.equal(response.errorType, TurtlResponse.ErrorType.VALIDATION);
+  assert.equal(response.message, "Validation failed: lookup down");
+  assert.equal(transport.requests.length, 0);
+});
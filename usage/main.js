@@ -4,13 +4,54 @@ import {
   TurtlEndpoint,
   TurtlRequestModel,
   TurtlResponse,
+  TurtlMockServer,
 } from "../Module/index.js";
 
+// =-=-=-= MOCK BACKEND =-=-=-=
+// Answers the account endpoints in memory, no server needed
+const debugUser = { id: 1, email: "debug@example.com", name: "Debug User" };
+const mockServer = new TurtlMockServer({
+  collections: {
+    users: [{ ...debugUser, password: "debugpass" }],
+  },
+  routes: {
+    "account.login": ({ data, collection }) => {
+      if (!data.email || !data.password) {
+        return TurtlMockServer.respond(400, "Missing email or password");
+      }
+      const [user] = collection("users").find({
+        email: data.email,
+        password: data.password,
+      });
+      if (!user) {
+        return TurtlMockServer.respond(401, "Invalid email or password");
+      }
+      const { password, ...publicUser } = user;
+      return TurtlResponse.Success("Login successful", { user: publicUser });
+    },
+    "account.data": ({ data, collection }) => {
+      const user = collection("users").get(data.userId);
+      if (!user) {
+        return TurtlMockServer.respond(404, "User not found");
+      }
+      const { password, ...publicUser } = user;
+      return TurtlResponse.Success("User data retrieved successfully", {
+        user: publicUser,
+      });
+    },
+  },
+  latency: [50, 250],
+  scenarios: {
+    "empty-state": { collections: { users: [] } },
+    "server-down": { failureRate: 1 },
+  },
+});
+
 // Create the API instance
 const api = new TurtlAPI({
-  host: "http://apimodule.local/usage/debugAPI",
+  host: "http://apimodule.local",
   getAuthToken: () => localStorage.getItem("SessionKey"),
-  mock: false,
+  mock: mockServer,
 });
 
 // =-=-=-= REGISTER VALIDATION RULES =-=-=-=
@@ -44,15 +85,10 @@ api.addModel(
 );
 
 accountService.addEndpoint("login", {
-  path: "/login.php",
+  path: "/login",
   method: "POST",
   modelName: "login",
   requiresAuth: false,
-  mockResponseSuccess: (model) =>
-    TurtlResponse.Success("Mock login", {
-      user: { id: 1, email: model.email, name: "Mock User" },
-    }),
-  mockResponseFailure: () => TurtlResponse.Error("Mock login failure"),
 });
 
 accountService.addModel(
@@ -63,7 +99,7 @@ accountService.addModel(
 );
 
 accountService.addEndpoint("data", {
-  path: "/data.php",
+  path: "/data",
   method: "GET",
   requiresAuth: false,
   modelName: "getAccountInfo",
@@ -97,3 +133,12 @@ console.log(api.listValidationRules());
 
 const getResponse = await api.call("account.data", { userId: 1 });
 console.log("get response", getResponse);
+
+// =-=-=-= SCENARIOS =-=-=-=
+api.mock.useScenario("empty-state");
+console.log("empty state", await api.call("account.data", { userId: 1 }));
+
+api.mock.useScenario("server-down");
+console.log("server down", await api.call("account.data", { userId: 1 }));
+
+api.mock.useScenario(null);